@@ -6,6 +6,8 @@ import ContractReaderPage from './pages/ContractReader';
 import TokenBalancePage from './pages/TokenBalance';
 import AdvancedTokenBalancePage from './pages/AdvancedTokenBalance';
 import BlockAnalyticsPage from './pages/BlockAnalytics';
+import ComparePage from './pages/Compare';
+import SimulatePage from './pages/Simulate';
 
 export default function App() {
   // Routing based on pathname and hash
@@ -20,9 +22,11 @@ export default function App() {
   const isTokenBalancePage = pathname.includes('/token-balance') || hash.includes('/token-balance');
   const isAdvancedTokenBalancePage = pathname.includes('/advanced-token-balance') || hash.includes('/advanced-token-balance');
   const isBlockAnalyticsPage = pathname.includes('/block-analytics') || hash.includes('/block-analytics');
+  const isComparePage = pathname.includes('/compare') || hash.includes('/compare');
+  const isSimulatePage = pathname.includes('/simulate') || hash.includes('/simulate');
   
   // Default to transaction page if no specific page is detected
-  const isRootPage = !isTransactionPage && !isTransferPage && !isAddressTagsPage && !isContractReaderPage && !isTokenBalancePage && !isAdvancedTokenBalancePage && !isBlockAnalyticsPage;
+  const isRootPage = !isTransactionPage && !isTransferPage && !isAddressTagsPage && !isContractReaderPage && !isTokenBalancePage && !isAdvancedTokenBalancePage && !isBlockAnalyticsPage && !isComparePage && !isSimulatePage;
 
   // Navigation function
   const navigateToPage = (page) => {
@@ -75,6 +79,30 @@ export default function App() {
                 Transfer
               </button>
               
+              <button
+                onClick={() => navigateToPage('compare')}
+                className={`px-4 py-2 rounded-lg font-medium transition-all duration-200 ${
+                  isComparePage
+                    ? 'bg-blue-500 text-white shadow-md'
+                    : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                <i className="fas fa-code-compare mr-2"></i>
+                Compare
+              </button>
+              
+              <button
+                onClick={() => navigateToPage('simulate')}
+                className={`px-4 py-2 rounded-lg font-medium transition-all duration-200 ${
+                  isSimulatePage
+                    ? 'bg-blue-500 text-white shadow-md'
+                    : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                <i className="fas fa-flask mr-2"></i>
+                Simulate
+              </button>
+              
               <button
                 onClick={() => navigateToPage('address-tags')}
                 className={`px-4 py-2 rounded-lg font-medium transition-all duration-200 ${
@@ -167,6 +195,20 @@ export default function App() {
                     <i className="fas fa-exchange-alt mr-2"></i>
                     Transfer Logs
                   </button>
+                  <button
+                    onClick={() => navigateToPage('compare')}
+                    className="px-6 py-3 bg-yellow-600 text-white rounded-lg hover:bg-yellow-700 transition-colors duration-200 flex items-center"
+                  >
+                    <i className="fas fa-code-compare mr-2"></i>
+                    Compare Transactions
+                  </button>
+                  <button
+                    onClick={() => navigateToPage('simulate')}
+                    className="px-6 py-3 bg-rose-600 text-white rounded-lg hover:bg-rose-700 transition-colors duration-200 flex items-center"
+                  >
+                    <i className="fas fa-flask mr-2"></i>
+                    Simulate Call
+                  </button>
                   <button
                     onClick={() => navigateToPage('address-tags')}
                     className="px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors duration-200 flex items-center"
@@ -214,6 +256,8 @@ export default function App() {
         {isTokenBalancePage && <TokenBalancePage />}
         {isAdvancedTokenBalancePage && <AdvancedTokenBalancePage />}
         {isBlockAnalyticsPage && <BlockAnalyticsPage />}
+        {isComparePage && <ComparePage />}
+        {isSimulatePage && <SimulatePage />}
       </main>
     </div>
   );
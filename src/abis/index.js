@@ -1,6 +1,8 @@
 // Import all ABI files
 import erc20ABI from './erc20.json';
 import wethABI from './weth.json';
+import erc721ABI from './erc721.json';
+import erc1155ABI from './erc1155.json';
 import uniswapV2RouterABI from './uniswapV2Router.json';
 import uniswapV2PairABI from './uniswapV2Pair.json';
 import uniswapV3PoolABI from './uniswapV3Pool.json';
@@ -12,6 +14,8 @@ import piteasRouterABI from './piteasRouter.json';
 export { 
   erc20ABI, 
   wethABI, 
+  erc721ABI,
+  erc1155ABI,
   uniswapV2RouterABI, 
   uniswapV2PairABI, 
   uniswapV3PoolABI, 
@@ -21,9 +25,13 @@ export {
 };
 
 // Export combined ABI for transaction decoding
+// ERC20 comes first: ERC-721 Transfer/Approval share its event signatures, so those are
+// decoded separately by topic count (see decodeLogsWithABI)
 export const allABIs = [
   ...erc20ABI,
   ...wethABI,
+  ...erc721ABI,
+  ...erc1155ABI,
   ...uniswapV2RouterABI,
   ...uniswapV2PairABI,
   ...uniswapV3PoolABI,
@@ -43,7 +51,9 @@ export const defiABIs = [
 
 export const tokenABIs = [
   ...erc20ABI,
-  ...wethABI
+  ...wethABI,
+  ...erc721ABI,
+  ...erc1155ABI
 ];
 
 export const utilityABIs = [
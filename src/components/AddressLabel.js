@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { useAddressLabels } from '../hooks/useAddressLabels';
+import { useReverseName } from '../hooks/useReverseName';
+
+const shortenAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Checksum an address for display, leaving anything that is not an address untouched
+const toDisplayAddress = (address) => {
+  try {
+    return window.ethers ? window.ethers.utils.getAddress(address) : address;
+  } catch {
+    return address;
+  }
+};
+
+/**
+ * Address Label Component - shows the AddressTags name of an address (full address on hover)
+ * with an inline action to tag or re-tag it. `showName` adds its reverse-resolved ENS name; it is
+ * meant for participant fields only, since every lookup is an eth_call to a name service RPC
+ */
+export const AddressLabel = ({
+  address,
+  href,
+  short = false,
+  showTagAction = true,
+  showName = false,
+  className = 'font-mono',
+  tagClassName = 'font-semibold text-purple-700 dark:text-purple-300',
+  linkClassName = 'text-blue-600 hover:text-blue-800 underline'
+}) => {
+  const { getLabel, setTag } = useAddressLabels();
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const resolvedName = useReverseName(address, showName);
+
+  if (!address || typeof address !== 'string') return null;
+
+  const displayAddress = toDisplayAddress(address);
+  const tag = getLabel(address);
+  const text = tag || (short ? shortenAddress(displayAddress) : displayAddress);
+  const textClassName = `${tag ? tagClassName : className} ${href ? linkClassName : ''}`.trim();
+
+  const startEditing = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    setDraft(tag || '');
+    setIsEditing(true);
+  };
+
+  const saveTag = () => {
+    if (draft.trim()) {
+      setTag(displayAddress, draft);
+    }
+    setIsEditing(false);
+  };
+
+  if (isEditing) {
+    return (
+      <span className="inline-flex items-center gap-1" onClick={(event) => event.stopPropagation()}>
+        <input
+          type="text"
+          value={draft}
+          autoFocus
+          onChange={(event) => setDraft(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key === 'Enter') saveTag();
+            if (event.key === 'Escape') setIsEditing(false);
+          }}
+          placeholder="Tag name"
+          className="px-1 py-0.5 text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200"
+          title={displayAddress}
+        />
+        <button onClick={saveTag} className="text-green-600 hover:text-green-700" title="Save tag">
+          <i className="fas fa-check text-xs"></i>
+        </button>
+        <button onClick={() => setIsEditing(false)} className="text-gray-400 hover:text-gray-600" title="Cancel">
+          <i className="fas fa-times text-xs"></i>
+        </button>
+      </span>
+    );
+  }
+
+  return (
+    <span className="inline-flex items-center gap-1 break-all">
+      {href ? (
+        <a href={href} target="_blank" rel="noopener noreferrer" className={textClassName} title={displayAddress}>
+          {text}
+        </a>
+      ) : (
+        <span className={textClassName} title={displayAddress}>{text}</span>
+      )}
+      {resolvedName && (
+        <span
+          className="text-xs font-sans font-medium text-blue-600 dark:text-blue-300 bg-blue-50 dark:bg-gray-700 px-1 rounded"
+          title={`${resolvedName.service} name of ${displayAddress}`}
+        >
+          {resolvedName.name}
+        </span>
+      )}
+      {showTagAction && (
+        <button
+          onClick={startEditing}
+          className="text-gray-300 hover:text-purple-500 transition-colors"
+          title={tag ? 'Edit tag' : 'Tag this address'}
+        >
+          <i className="fas fa-tag text-xs"></i>
+        </button>
+      )}
+    </span>
+  );
+};
+
+export default AddressLabel;
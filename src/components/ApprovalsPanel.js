@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import AddressLabel from './AddressLabel';
+import { CopyAddressButton } from './TokenComponents';
+import { extractApprovalEvents, fetchApprovalState, getApprovalWarnings, isRevocation } from '../utils/approvalUtils';
+
+const WARNING_STYLES = {
+  danger: 'bg-red-100 text-red-700 border-red-200',
+  warning: 'bg-orange-100 text-orange-700 border-orange-200',
+};
+
+// Format an ERC20 amount with the token decimals, in raw units when they are unknown
+const formatAllowance = (amount, decimals) => {
+  const { BigNumber, constants, utils } = window.ethers;
+  if (BigNumber.from(amount).eq(constants.MaxUint256)) return 'Unlimited';
+  if (decimals === null || decimals === undefined) return `${amount} (raw)`;
+  return parseFloat(utils.formatUnits(amount, decimals)).toLocaleString(undefined, { maximumFractionDigits: 6 });
+};
+
+/**
+ * Approvals Panel Component - Approval and ApprovalForAll events of a transaction with the current
+ * remaining allowance and warnings for unlimited allowances, EOA and unverified spenders
+ */
+export const ApprovalsPanel = ({ decodedLogs, rpcUrl, chainId }) => {
+  const approvals = useMemo(() => extractApprovalEvents(decodedLogs || []), [decodedLogs]);
+  const [state, setState] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!rpcUrl || approvals.length === 0) return;
+
+    let cancelled = false;
+    const loadState = async () => {
+      setLoading(true);
+      setState(null);
+      setError(null);
+      try {
+        const result = await fetchApprovalState(rpcUrl, chainId, approvals);
+        if (!cancelled) setState(result);
+      } catch (err) {
+        console.error('Failed to read approval state:', err);
+        if (!cancelled) {
+          setState(null);
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadState();
+    return () => {
+      cancelled = true;
+    };
+  }, [rpcUrl, chainId, approvals]);
+
+  if (approvals.length === 0) return null;
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-xl shadow-lg p-6">
+      <h2 className="text-2xl font-bold mb-6 text-yellow-700 flex items-center">
+        <i className="fas fa-user-shield mr-2"></i>
+        Approvals
+        {loading && <i className="fas fa-spinner fa-spin text-yellow-500 text-base ml-2"></i>}
+      </h2>
+      {error && (
+        <div className="mb-3 text-xs text-red-600">Could not read the current allowances: {error}</div>
+      )}
+      <div className="space-y-3">
+        {approvals.map((approval, index) => {
+          const live = state?.approvals[index];
+          const token = state?.tokens[approval.token];
+          const spenderInfo = state?.spenders[approval.spender.toLowerCase()];
+          const warnings = getApprovalWarnings(approval, token, spenderInfo);
+          const revocation = isRevocation(approval);
+
+          return (
+            <div key={`${approval.logIndex}-${index}`} className="bg-white border border-yellow-200 rounded-lg p-4 shadow-sm text-xs text-left space-y-1">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="px-1.5 py-0.5 rounded bg-yellow-600 text-white font-semibold">{approval.kind}</span>
+                <span className="font-semibold text-gray-800">
+                  {revocation ? 'Revoked' : approval.kind === 'ERC-20'
+                    ? formatAllowance(approval.amount, token?.decimals)
+                    : approval.kind === 'ERC-721' ? `Token #${approval.tokenId}` : 'All tokens'}
+                </span>
+                <span className="font-mono font-semibold text-yellow-700">{token?.symbol || ''}</span>
+                <AddressLabel address={approval.token} short className="font-mono text-xs" tagClassName="font-semibold text-xs text-purple-700" />
+                <CopyAddressButton address={approval.token} />
+              </div>
+              <div>
+                <span className="text-gray-700 font-medium">Owner: </span>
+                <AddressLabel address={approval.owner} short showName className="font-mono text-xs" tagClassName="font-semibold text-xs text-purple-700" />
+                <span className="text-gray-700 font-medium"> Spender: </span>
+                <AddressLabel address={approval.spender} short showName className="font-mono text-xs" tagClassName="font-semibold text-xs text-purple-700" />
+                <CopyAddressButton address={approval.spender} />
+                {spenderInfo?.verified && (
+                  <span className="ml-1 text-green-600" title="Verified on Sourcify">
+                    <i className="fas fa-check-circle"></i>
+                  </span>
+                )}
+              </div>
+              <div className="text-gray-600">
+                <span className="font-medium">Now: </span>
+                {!live || live.isLive === null ? (
+                  <span className="text-gray-400">{loading ? '...' : 'unknown'}</span>
+                ) : live.isLive ? (
+                  <span className="text-red-600 font-semibold">
+                    <i className="fas fa-circle-exclamation mr-1"></i>
+                    Live
+                    {approval.kind === 'ERC-20' && ` (remaining ${formatAllowance(live.current, token?.decimals)})`}
+                  </span>
+                ) : (
+                  <span className="text-green-600 font-semibold">
+                    <i className="fas fa-circle-check mr-1"></i>
+                    {approval.kind === 'ERC-20' ? 'No remaining allowance' : 'No longer approved'}
+                  </span>
+                )}
+              </div>
+              {warnings.length > 0 && (
+                <div className="flex flex-wrap gap-1 pt-1">
+                  {warnings.map(warning => (
+                    <span key={warning.message} className={`px-1.5 py-0.5 rounded border font-semibold ${WARNING_STYLES[warning.level]}`}>
+                      <i className="fas fa-triangle-exclamation mr-1"></i>
+                      {warning.message}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ApprovalsPanel;
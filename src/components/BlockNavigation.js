@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import AddressLabel from './AddressLabel';
+import { fetchBlockWithTransactions, getMethodLabel, findTransactionByNonce } from '../utils/blockNavigationUtils';
+
+// Transactions shown on each side of the current one in the mini list
+const NEIGHBOUR_COUNT = 5;
+
+const buttonClassName = 'px-3 py-1.5 text-xs rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors';
+
+/**
+ * Block Navigation Component - previous/next transaction in the block, a mini list of neighbouring
+ * transactions with their method names, and jumps to the sender's previous/next nonce
+ */
+export const BlockNavigation = ({ rpcUrl, blockNumber, transactionIndex, transaction, chainId, onNavigate }) => {
+  const [blockTransactions, setBlockTransactions] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [nonceSearch, setNonceSearch] = useState(null);
+  const [nonceMessage, setNonceMessage] = useState(null);
+
+  useEffect(() => {
+    if (!rpcUrl || blockNumber === null || blockNumber === undefined) return;
+
+    let cancelled = false;
+    const loadBlock = async () => {
+      setLoading(true);
+      setError(null);
+      setNonceMessage(null);
+      try {
+        const block = await fetchBlockWithTransactions(rpcUrl, blockNumber);
+        if (!cancelled) setBlockTransactions(block.transactions || []);
+      } catch (err) {
+        console.error('Failed to fetch block transactions:', err);
+        if (!cancelled) {
+          setBlockTransactions(null);
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadBlock();
+    return () => {
+      cancelled = true;
+    };
+  }, [rpcUrl, blockNumber]);
+
+  const neighbours = useMemo(() => {
+    if (!blockTransactions) return [];
+    const start = Math.max(transactionIndex - NEIGHBOUR_COUNT, 0);
+    const end = Math.min(transactionIndex + NEIGHBOUR_COUNT + 1, blockTransactions.length);
+    return blockTransactions.slice(start, end).map((tx, offset) => ({
+      index: start + offset,
+      hash: tx.hash,
+      from: tx.from,
+      to: tx.to,
+      method: getMethodLabel(tx, chainId),
+    }));
+  }, [blockTransactions, transactionIndex, chainId]);
+
+  const nonce = transaction?.nonce !== undefined ? parseInt(transaction.nonce, 16) : null;
+
+  const jumpToNonce = async (direction) => {
+    const targetNonce = nonce + direction;
+    setNonceSearch(direction);
+    setNonceMessage(null);
+    try {
+      const found = await findTransactionByNonce(rpcUrl, transaction.from, targetNonce, blockNumber);
+      if (found) {
+        onNavigate(found.hash);
+      } else {
+        setNonceMessage(`The sender has not used nonce ${targetNonce} yet.`);
+      }
+    } catch (err) {
+      console.error('Nonce search failed:', err);
+      setNonceMessage(`Nonce search failed (historical nonces need an archive RPC): ${err.message}`);
+    } finally {
+      setNonceSearch(null);
+    }
+  };
+
+  const previousTransaction = blockTransactions?.[transactionIndex - 1];
+  const nextTransaction = blockTransactions?.[transactionIndex + 1];
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => onNavigate(previousTransaction.hash)}
+          disabled={!previousTransaction}
+          className={buttonClassName}
+        >
+          <i className="fas fa-chevron-left mr-1"></i>
+          Previous in Block
+        </button>
+        <button
+          onClick={() => onNavigate(nextTransaction.hash)}
+          disabled={!nextTransaction}
+          className={buttonClassName}
+        >
+          Next in Block
+          <i className="fas fa-chevron-right ml-1"></i>
+        </button>
+        {nonce !== null && transaction?.from && (
+          <>
+            <button
+              onClick={() => jumpToNonce(-1)}
+              disabled={nonce === 0 || nonceSearch !== null}
+              className={buttonClassName}
+              title="Same sender, previous nonce"
+            >
+              <i className={`fas ${nonceSearch === -1 ? 'fa-spinner fa-spin' : 'fa-backward-step'} mr-1`}></i>
+              Nonce {nonce - 1}
+            </button>
+            <button
+              onClick={() => jumpToNonce(1)}
+              disabled={nonceSearch !== null}
+              className={buttonClassName}
+              title="Same sender, next nonce"
+            >
+              Nonce {nonce + 1}
+              <i className={`fas ${nonceSearch === 1 ? 'fa-spinner fa-spin' : 'fa-forward-step'} ml-1`}></i>
+            </button>
+          </>
+        )}
+      </div>
+      {nonceMessage && <div className="text-xs text-orange-600">{nonceMessage}</div>}
+
+      {loading && (
+        <div className="text-xs text-gray-500">
+          <div className="inline-block animate-pulse">Loading block transactions...</div>
+        </div>
+      )}
+      {error && <div className="text-xs text-red-600">Could not load the block transactions: {error}</div>}
+
+      {neighbours.length > 0 && (
+        <div className="bg-white border border-purple-200 rounded-lg overflow-hidden">
+          {neighbours.map(tx => {
+            const isCurrent = tx.index === transactionIndex;
+            return (
+              <button
+                key={tx.hash}
+                onClick={() => !isCurrent && onNavigate(tx.hash)}
+                className={`w-full grid grid-cols-12 gap-2 px-3 py-1.5 text-xs text-left border-b border-purple-100 last:border-b-0 ${isCurrent ? 'bg-purple-100 font-semibold cursor-default' : 'hover:bg-purple-50'}`}
+              >
+                <span className="col-span-1 font-mono text-purple-600">{tx.index}</span>
+                <span className="col-span-3 font-mono text-gray-700 truncate" title={tx.hash}>{`${tx.hash.slice(0, 10)}...`}</span>
+                <span className="col-span-3 truncate" title={tx.method}>{tx.method}</span>
+                <span className="col-span-5 truncate">
+                  <AddressLabel address={tx.from} short showTagAction={false} className="font-mono text-xs" tagClassName="font-semibold text-xs text-purple-700" />
+                  <i className="fas fa-arrow-right text-gray-400 mx-1"></i>
+                  {tx.to ? (
+                    <AddressLabel address={tx.to} short showTagAction={false} className="font-mono text-xs" tagClassName="font-semibold text-xs text-purple-700" />
+                  ) : (
+                    <span className="text-gray-500">new contract</span>
+                  )}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BlockNavigation;
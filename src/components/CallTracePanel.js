@@ -0,0 +1,239 @@
+import React, { useState, useMemo } from 'react';
+import { fetchCallTrace, countCallFrames } from '../utils/traceUtils';
+import {
+  decodeInputWithABI,
+  decodeOutputWithABI,
+  getMethodId
+} from '../utils/decodingUtils';
+import AddressLabel from './AddressLabel';
+
+// Badge colors per call type
+const CALL_TYPE_STYLES = {
+  CALL: 'bg-blue-100 text-blue-700',
+  DELEGATECALL: 'bg-purple-100 text-purple-700',
+  STATICCALL: 'bg-gray-200 text-gray-700',
+  CALLCODE: 'bg-indigo-100 text-indigo-700',
+  CREATE: 'bg-green-100 text-green-700',
+  CREATE2: 'bg-green-100 text-green-700',
+  SELFDESTRUCT: 'bg-red-100 text-red-700',
+};
+
+const shortAddress = (address) => address ? `${address.slice(0, 6)}...${address.slice(-4)}` : 'N/A';
+
+/**
+ * Call Frame Node Component - renders one frame of the call tree and its children
+ */
+const CallFrameNode = ({ frame, abis, chainId, nativeSymbol, parentReverted = false }) => {
+  const [expanded, setExpanded] = useState(frame.depth < 2);
+  const [showDetails, setShowDetails] = useState(false);
+
+  const isCreate = frame.type === 'CREATE' || frame.type === 'CREATE2';
+  const decodedInput = useMemo(
+    () => (isCreate ? null : decodeInputWithABI(frame.input, abis, { chainId, address: frame.to })),
+    [frame.input, frame.to, abis, chainId, isCreate]
+  );
+  const decodedOutput = useMemo(
+    () => (isCreate || frame.error ? null : decodeOutputWithABI(frame.input, frame.output, abis, { chainId, address: frame.to })),
+    [frame.input, frame.output, frame.to, frame.error, abis, chainId, isCreate]
+  );
+
+  const reverted = Boolean(frame.error);
+  const hasValue = frame.value && window.ethers && window.ethers.BigNumber.from(frame.value).gt(0);
+  const callLabel = isCreate
+    ? 'constructor'
+    : decodedInput
+      ? decodedInput.functionName
+      : getMethodId(frame.input) || (frame.input === '0x' ? 'fallback / receive' : 'unknown');
+
+  return (
+    <div className="ml-4 border-l border-gray-200 dark:border-gray-700 pl-3">
+      <div
+        className={`flex flex-wrap items-center gap-2 py-1 text-xs ${
+          reverted ? 'text-red-700' : parentReverted ? 'text-gray-400' : 'text-gray-800 dark:text-gray-200'
+        }`}
+      >
+        {frame.calls.length > 0 ? (
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className="text-gray-400 hover:text-blue-500 w-4"
+            title={expanded ? 'Collapse' : 'Expand'}
+          >
+            <i className={`fas ${expanded ? 'fa-caret-down' : 'fa-caret-right'}`}></i>
+          </button>
+        ) : (
+          <span className="w-4"></span>
+        )}
+        <span className={`px-1.5 py-0.5 rounded font-semibold ${CALL_TYPE_STYLES[frame.type] || 'bg-gray-100 text-gray-700'}`}>
+          {frame.type}
+        </span>
+        {frame.to ? <AddressLabel address={frame.to} short showTagAction={false} /> : <span className="font-mono">{shortAddress(frame.to)}</span>}
+        <span className="font-mono font-semibold">.{callLabel}</span>
+        {hasValue && (
+          <span className="text-yellow-700">
+            {window.ethers.utils.formatEther(frame.value)} {nativeSymbol}
+          </span>
+        )}
+        {frame.gasUsed && (
+          <span className="text-gray-500">gas {parseInt(frame.gasUsed, 16).toLocaleString()}</span>
+        )}
+        {reverted && (
+          <span className="px-1.5 py-0.5 rounded bg-red-100 text-red-700 font-semibold" title={frame.revertReason || frame.error}>
+            <i className="fa-solid fa-circle-xmark mr-1"></i>
+            {frame.error}{frame.revertReason ? `: ${frame.revertReason}` : ''}
+          </span>
+        )}
+        {!reverted && parentReverted && (
+          <span className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-500" title="State changes were rolled back by a parent frame">
+            reverted by parent
+          </span>
+        )}
+        <button
+          onClick={() => setShowDetails(!showDetails)}
+          className="text-gray-400 hover:text-blue-500"
+          title={showDetails ? 'Hide details' : 'Show details'}
+        >
+          <i className="fa-solid fa-circle-info"></i>
+        </button>
+      </div>
+
+      {showDetails && (
+        <div className="ml-6 mb-2 p-2 text-xs space-y-1 bg-gray-50 dark:bg-gray-900 rounded border border-gray-200 dark:border-gray-700">
+          <div className="flex items-start">
+            <span className="text-gray-500 w-16 flex-shrink-0">From:</span>
+            <AddressLabel address={frame.from} showName />
+          </div>
+          <div className="flex items-start">
+            <span className="text-gray-500 w-16 flex-shrink-0">To:</span>
+            {frame.to ? <AddressLabel address={frame.to} showName /> : <code className="font-mono break-all">N/A</code>}
+          </div>
+          {decodedInput ? (
+            <>
+              <div className="flex items-start">
+                <span className="text-gray-500 w-16 flex-shrink-0">Function:</span>
+                <code className="font-mono break-all">{decodedInput.functionSignature}</code>
+              </div>
+              {Object.entries(decodedInput.decodedParameters).map(([key, value]) => (
+                <div key={key} className="flex items-start ml-4">
+                  <span className="text-gray-500 w-24 flex-shrink-0">{key}:</span>
+                  <code className="font-mono break-all">{typeof value === 'object' ? JSON.stringify(value) : String(value)}</code>
+                </div>
+              ))}
+            </>
+          ) : (
+            <div className="flex items-start">
+              <span className="text-gray-500 w-16 flex-shrink-0">Input:</span>
+              <code className="font-mono break-all max-h-24 overflow-y-auto">{frame.input}</code>
+            </div>
+          )}
+          {decodedOutput ? (
+            <>
+              <div className="text-gray-500">Output:</div>
+              {Object.entries(decodedOutput).map(([key, value]) => (
+                <div key={key} className="flex items-start ml-4">
+                  <span className="text-gray-500 w-24 flex-shrink-0">{key}:</span>
+                  <code className="font-mono break-all">{typeof value === 'object' ? JSON.stringify(value) : String(value)}</code>
+                </div>
+              ))}
+            </>
+          ) : frame.output && frame.output !== '0x' && (
+            <div className="flex items-start">
+              <span className="text-gray-500 w-16 flex-shrink-0">Output:</span>
+              <code className="font-mono break-all max-h-24 overflow-y-auto">{frame.output}</code>
+            </div>
+          )}
+        </div>
+      )}
+
+      {expanded && frame.calls.map((call, index) => (
+        <CallFrameNode
+          key={index}
+          frame={call}
+          abis={abis}
+          chainId={chainId}
+          nativeSymbol={nativeSymbol}
+          parentReverted={reverted || parentReverted}
+        />
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Call Trace Panel Component - fetches and renders the internal call tree of a transaction,
+ * or renders an already traced call passed as `trace`
+ */
+export const CallTracePanel = ({ rpcUrl, txHash, abis, chainId = null, nativeSymbol = 'ETH', trace: providedTrace = null }) => {
+  const [loadedTrace, setTrace] = useState(null);
+  const trace = providedTrace || loadedTrace;
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadTrace = async () => {
+    if (!rpcUrl || !txHash) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await fetchCallTrace(rpcUrl, txHash);
+      setTrace(result);
+    } catch (err) {
+      console.error('Failed to fetch call trace:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
+      <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center -m-6 mb-6">
+        <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200">
+          <i className="fas fa-sitemap mr-2"></i>
+          Call Trace
+          {trace && ` (${countCallFrames(trace.root)} calls)`}
+        </h3>
+        {trace ? (
+          <span className="text-xs bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 px-2 py-1 rounded">
+            via {trace.source}
+          </span>
+        ) : (
+          <button
+            onClick={loadTrace}
+            disabled={loading}
+            className="px-3 py-1 rounded text-sm text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Tracing...' : 'Load Call Trace'}
+          </button>
+        )}
+      </div>
+
+      {!trace && !loading && !error && (
+        <div className="flex items-center justify-center py-3 text-gray-500">
+          <i className="fas fa-info-circle mr-2"></i>
+          <span className="text-sm">Tracing requires an RPC with the debug or trace namespace enabled.</span>
+        </div>
+      )}
+
+      {loading && (
+        <div className="flex items-center justify-center py-3">
+          <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500"></div>
+          <span className="ml-2 text-sm text-blue-600">Fetching call trace...</span>
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 bg-red-100 text-red-700 rounded-lg border border-red-200 text-sm">
+          {error}
+        </div>
+      )}
+
+      {trace && (
+        <div className="overflow-x-auto -ml-4">
+          <CallFrameNode frame={trace.root} abis={abis} chainId={chainId} nativeSymbol={nativeSymbol} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CallTracePanel;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { findTransactionOnAllChains, getChainsWithRpcs } from '../utils/chainSearchUtils';
+
+/**
+ * Chain Search Panel Component - looks up a transaction hash on every chain with known RPCs,
+ * lists where it was found and switches to the matching chain (automatically when there is a single verified match)
+ */
+export const ChainSearchPanel = ({ txHash, currentRpcUrl, onSelectChain }) => {
+  const [searching, setSearching] = useState(false);
+  const [results, setResults] = useState(null);
+  const [searchError, setSearchError] = useState(null);
+
+  const chainCount = getChainsWithRpcs().length;
+
+  const searchAllChains = async () => {
+    const hash = (txHash || '').trim();
+    if (!/^0x[0-9a-fA-F]{64}$/.test(hash)) {
+      setSearchError('Enter a 32-byte transaction hash (0x followed by 64 hex characters) to search.');
+      setResults(null);
+      return;
+    }
+
+    setSearching(true);
+    setSearchError(null);
+    setResults([]);
+    try {
+      const allResults = await findTransactionOnAllChains(hash, result => {
+        setResults(prev => [...(prev || []), result]);
+      });
+      const verified = allResults.filter(result => result.status === 'found' && result.chainIdMatches);
+      if (verified.length === 1 && verified[0].rpcUrl !== currentRpcUrl) {
+        onSelectChain(verified[0]);
+      }
+    } catch (err) {
+      setSearchError(err.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const found = (results || []).filter(result => result.status === 'found');
+  const failed = (results || []).filter(result => result.status === 'error');
+  const answered = results ? results.length : 0;
+
+  return (
+    <div className="mt-3">
+      <button
+        onClick={searchAllChains}
+        disabled={searching}
+        className="w-full py-2 px-4 rounded-lg text-sm font-medium border border-blue-300 text-blue-700 bg-blue-50 hover:bg-blue-100
+                   dark:bg-gray-700 dark:text-blue-300 dark:border-gray-600 dark:hover:bg-gray-600
+                   disabled:opacity-60 disabled:cursor-not-allowed transition-colors"
+        title={`Query eth_getTransactionByHash on ${chainCount} chains with known RPCs`}
+      >
+        <i className={`fas ${searching ? 'fa-spinner fa-spin' : 'fa-globe'} mr-2`}></i>
+        {searching ? `Searching chains... (${answered}/${chainCount})` : `Find on any chain (${chainCount} chains)`}
+      </button>
+
+      {searchError && (
+        <div className="mt-2 text-sm text-red-600 dark:text-red-400">{searchError}</div>
+      )}
+
+      {results && !searching && found.length === 0 && !searchError && (
+        <div className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+          <i className="fas fa-circle-info mr-1"></i>
+          Not found on any of the {chainCount} chains{failed.length > 0 && ` (${failed.length} did not respond)`}.
+        </div>
+      )}
+
+      {found.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {found.map(result => {
+            const isCurrent = result.rpcUrl === currentRpcUrl;
+            return (
+              <li
+                key={result.chainId}
+                className="flex items-center justify-between text-sm bg-gray-50 dark:bg-gray-700 p-2 rounded border border-gray-200 dark:border-gray-600"
+              >
+                <div>
+                  <span className="font-semibold">{result.name}</span>
+                  <span className="text-gray-500 ml-2">Chain ID {result.chainId}</span>
+                  {result.chainIdMatches ? (
+                    <span className="ml-2 text-green-600" title="eth_chainId of the RPC matches the registry and the transaction">
+                      <i className="fas fa-check-circle mr-1"></i>verified
+                    </span>
+                  ) : (
+                    <span
+                      className="ml-2 text-orange-600"
+                      title={`RPC eth_chainId: ${result.rpcChainId}${result.txChainId ? `, transaction chainId: ${result.txChainId}` : ''}`}
+                    >
+                      <i className="fas fa-triangle-exclamation mr-1"></i>chain ID mismatch
+                    </span>
+                  )}
+                  <div className="text-xs text-gray-500 font-mono break-all">{result.rpcUrl}</div>
+                </div>
+                <button
+                  onClick={() => onSelectChain(result)}
+                  disabled={isCurrent}
+                  className="ml-2 px-3 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-default flex-shrink-0"
+                >
+                  {isCurrent ? 'Current' : 'Switch'}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ChainSearchPanel;
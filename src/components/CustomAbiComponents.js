@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { chainsData } from '../data/chains.js';
+import {
+  getStoredCustomAbis,
+  saveCustomAbi,
+  removeCustomAbi
+} from '../utils/customAbiUtils';
+
+/**
+ * Custom ABI Manager Component - binds pasted or uploaded ABIs to a contract address and chain
+ */
+export const CustomAbiManager = ({ defaultChainId = '', defaultAddress = '', onChange }) => {
+  const [chainId, setChainId] = useState(defaultChainId);
+  const [address, setAddress] = useState(defaultAddress);
+  const [name, setName] = useState('');
+  const [abiText, setAbiText] = useState('');
+  const [customAbis, setCustomAbis] = useState(getStoredCustomAbis());
+  const [message, setMessage] = useState(null);
+
+  // Follow the page's current contract/chain until the user edits the fields
+  useEffect(() => {
+    if (defaultChainId) setChainId(String(defaultChainId));
+  }, [defaultChainId]);
+
+  useEffect(() => {
+    if (defaultAddress) setAddress(defaultAddress);
+  }, [defaultAddress]);
+
+  const handleFileUpload = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      setAbiText(event.target.result);
+      if (!name) setName(file.name.replace(/\.json$/i, ''));
+    };
+    reader.onerror = () => setMessage({ type: 'error', text: 'Could not read the file' });
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const handleSave = () => {
+    try {
+      const entry = saveCustomAbi({ chainId, address, name, abiText });
+      setCustomAbis(getStoredCustomAbis());
+      setAbiText('');
+      setName('');
+      setMessage({ type: 'success', text: `Saved ${entry.abi.length} fragments for ${entry.address} on chain ${entry.chainId}` });
+      if (onChange) onChange();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  const handleRemove = (entry) => {
+    removeCustomAbi(entry.chainId, entry.address);
+    setCustomAbis(getStoredCustomAbis());
+    if (onChange) onChange();
+  };
+
+  const inputClassName = 'w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-gray-200 text-sm';
+
+  return (
+    <div className="text-sm space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Chain ID</label>
+          <input
+            type="text"
+            list="custom-abi-chains"
+            className={inputClassName}
+            value={chainId}
+            onChange={(e) => setChainId(e.target.value.trim())}
+            placeholder="e.g., 369"
+          />
+          <datalist id="custom-abi-chains">
+            {Object.entries(chainsData).map(([id, chain]) => (
+              <option key={id} value={id}>{chain.name}</option>
+            ))}
+          </datalist>
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Contract Address</label>
+          <input
+            type="text"
+            className={`${inputClassName} font-mono`}
+            value={address}
+            onChange={(e) => setAddress(e.target.value.trim())}
+            placeholder="0x..."
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Name (optional)</label>
+        <input
+          type="text"
+          className={inputClassName}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g., Staking contract"
+        />
+      </div>
+
+      <div>
+        <div className="flex justify-between items-center mb-1">
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400">ABI (JSON or human-readable, one fragment per line)</label>
+          <label className="text-xs text-blue-600 hover:text-blue-700 cursor-pointer">
+            <i className="fas fa-upload mr-1"></i>
+            Upload file
+            <input type="file" accept=".json,.txt,application/json,text/plain" className="hidden" onChange={handleFileUpload} />
+          </label>
+        </div>
+        <textarea
+          className={`${inputClassName} font-mono text-xs`}
+          rows={5}
+          value={abiText}
+          onChange={(e) => setAbiText(e.target.value)}
+          placeholder={'[{"type":"function","name":"stake",...}]\nor\nfunction stake(uint256 amount)\nevent Staked(address indexed user, uint256 amount)'}
+        />
+      </div>
+
+      <button
+        onClick={handleSave}
+        disabled={!abiText.trim() || !address || !chainId}
+        className="px-3 py-2 rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+      >
+        <i className="fas fa-save mr-1"></i>
+        Save ABI
+      </button>
+
+      {message && (
+        <div className={`text-xs ${message.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {Object.keys(customAbis).length > 0 && (
+        <div className="space-y-1">
+          <p className="font-medium text-gray-600 dark:text-gray-400">Saved ABIs ({Object.keys(customAbis).length}):</p>
+          {Object.entries(customAbis).map(([key, entry]) => (
+            <div key={key} className="flex items-center bg-gray-100 dark:bg-gray-700 p-1.5 rounded border border-gray-200 dark:border-gray-600">
+              <div className="flex-1 min-w-0">
+                <div className="text-xs text-gray-800 dark:text-gray-200">
+                  {entry.name || 'Unnamed'}
+                  <span className="text-gray-500 dark:text-gray-400 ml-2">
+                    {chainsData[entry.chainId]?.name || `Chain ${entry.chainId}`} · {entry.abi.length} fragments
+                  </span>
+                </div>
+                <code className="font-mono text-xs text-gray-600 dark:text-gray-300 break-all">{entry.address}</code>
+              </div>
+              <button
+                onClick={() => handleRemove(entry)}
+                className="text-gray-400 hover:text-red-500 ml-2 transition-colors flex-shrink-0"
+                title="Remove ABI"
+              >
+                <i className="fa-solid fa-trash"></i>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustomAbiManager;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import AddressLabel from './AddressLabel';
+import { CopyAddressButton } from './TokenComponents';
+import { makeDirectRpcCall } from '../utils/blockchainUtils';
+import { getCustomAbi, parseAbiText } from '../utils/customAbiUtils';
+import {
+  MAX_CONTRACT_SIZE,
+  getBytecodeSize,
+  extractConstructorArguments,
+  decodeConstructorArguments,
+  detectProxy
+} from '../utils/deploymentUtils';
+
+const PROXY_DESCRIPTIONS = {
+  'EIP-1167': 'Minimal proxy (clone) delegating every call to a fixed implementation',
+  'UUPS': 'EIP-1967 proxy whose upgrade logic lives in the implementation (EIP-1822 proxiableUUID)',
+  'EIP-1967': 'Transparent/EIP-1967 proxy with the implementation in the standard storage slot',
+  'EIP-1967 Beacon': 'Beacon proxy: the implementation is read from the beacon contract',
+  'OpenZeppelin (legacy)': 'Pre-EIP-1967 OpenZeppelin proxy (org.zeppelinos.proxy.implementation slot)'
+};
+
+const formatArgument = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+/**
+ * Deployment Panel Component - deployed bytecode size, constructor arguments (decoded with a bound or
+ * pasted ABI) and proxy detection for contract creation transactions
+ */
+export const DeploymentPanel = ({ rpcUrl, transaction, receipt, chainId }) => {
+  const contractAddress = receipt?.contractAddress;
+  const [runtimeCode, setRuntimeCode] = useState(null);
+  const [proxy, setProxy] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [abiText, setAbiText] = useState('');
+
+  useEffect(() => {
+    if (!rpcUrl || !contractAddress) return;
+
+    let cancelled = false;
+    const loadDeployment = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const code = await makeDirectRpcCall(rpcUrl, 'eth_getCode', [contractAddress, 'latest']);
+        if (cancelled) return;
+        setRuntimeCode(code);
+        const detected = code && code !== '0x' ? await detectProxy(rpcUrl, contractAddress, code) : null;
+        if (!cancelled) setProxy(detected);
+      } catch (err) {
+        console.error('Failed to analyse deployment:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadDeployment();
+    return () => {
+      cancelled = true;
+    };
+  }, [rpcUrl, contractAddress]);
+
+  const constructorArguments = useMemo(
+    () => (runtimeCode ? extractConstructorArguments(transaction?.input, runtimeCode) : null),
+    [transaction, runtimeCode]
+  );
+
+  // Pasted ABI takes precedence over the custom ABI bound to the new contract
+  const { constructorAbi, abiError } = useMemo(() => {
+    if (abiText.trim()) {
+      try {
+        return { constructorAbi: parseAbiText(abiText), abiError: null };
+      } catch (err) {
+        return { constructorAbi: null, abiError: err.message };
+      }
+    }
+    return { constructorAbi: getCustomAbi(chainId, contractAddress), abiError: null };
+  }, [abiText, chainId, contractAddress]);
+
+  const decodedArguments = useMemo(
+    () => (constructorArguments && constructorArguments !== '0x' ? decodeConstructorArguments(constructorAbi, constructorArguments) : null),
+    [constructorAbi, constructorArguments]
+  );
+
+  if (!contractAddress) return null;
+
+  const runtimeSize = getBytecodeSize(runtimeCode);
+  const creationSize = getBytecodeSize(transaction?.input);
+  const inspectLink = (address) => `/TransactionViewer/#/contract-reader?address=${address}&rpc=${encodeURIComponent(rpcUrl)}`;
+
+  return (
+    <div className="w-full max-w-2xl bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
+      <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center -m-6 mb-6">
+        <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200">
+          <i className="fas fa-hammer mr-2"></i>
+          Contract Deployment
+        </h3>
+        {loading && <i className="fas fa-spinner fa-spin text-gray-400"></i>}
+      </div>
+
+      <div className="space-y-4 text-sm">
+        <div className="flex items-center gap-2">
+          <span className="text-gray-500 dark:text-gray-400 w-36 flex-shrink-0">Contract</span>
+          <AddressLabel address={contractAddress} href={inspectLink(contractAddress)} />
+          <CopyAddressButton address={contractAddress} />
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          <div className="flex justify-between bg-gray-50 dark:bg-gray-700 p-2 rounded border border-gray-200 dark:border-gray-600">
+            <span className="text-gray-500 dark:text-gray-400">Deployed bytecode</span>
+            <span className={`font-mono ${runtimeSize > MAX_CONTRACT_SIZE ? 'text-red-600' : ''}`}>
+              {runtimeCode === null ? '...' : `${runtimeSize.toLocaleString()} bytes`}
+            </span>
+          </div>
+          <div className="flex justify-between bg-gray-50 dark:bg-gray-700 p-2 rounded border border-gray-200 dark:border-gray-600">
+            <span className="text-gray-500 dark:text-gray-400">Creation code</span>
+            <span className="font-mono">{creationSize.toLocaleString()} bytes</span>
+          </div>
+        </div>
+        {runtimeCode !== null && (
+          <div className="text-xs text-gray-500 dark:text-gray-400">
+            {runtimeSize === 0
+              ? 'No code at this address (deployment failed or the contract self-destructed).'
+              : `${((runtimeSize / MAX_CONTRACT_SIZE) * 100).toFixed(1)}% of the ${MAX_CONTRACT_SIZE.toLocaleString()} byte EIP-170 limit`}
+          </div>
+        )}
+
+        {/* Proxy detection */}
+        <div>
+          <h4 className="font-semibold text-gray-700 dark:text-gray-200 mb-2">
+            <i className="fas fa-shuffle mr-2"></i>
+            Proxy
+          </h4>
+          {proxy ? (
+            <div className="bg-purple-50 dark:bg-gray-700 p-3 rounded border border-purple-200 dark:border-gray-600 space-y-1">
+              <div>
+                <span className="inline-block px-2 py-0.5 text-xs font-semibold rounded bg-purple-600 text-white mr-2">{proxy.type}</span>
+                <span className="text-gray-600 dark:text-gray-300">{PROXY_DESCRIPTIONS[proxy.type]}</span>
+              </div>
+              {[
+                ['Implementation', proxy.implementation],
+                ['Beacon', proxy.beacon],
+                ['Admin', proxy.admin],
+              ].filter(([, address]) => address).map(([label, address]) => (
+                <div key={label} className="flex items-center gap-2">
+                  <span className="text-gray-500 dark:text-gray-400 w-28 flex-shrink-0">{label}</span>
+                  <AddressLabel address={address} />
+                  <CopyAddressButton address={address} />
+                  <a
+                    href={inspectLink(address)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-xs text-blue-600 hover:text-blue-800 whitespace-nowrap"
+                    title="Inspect in the Contract Reader"
+                  >
+                    <i className="fas fa-magnifying-glass mr-1"></i>
+                    Inspect
+                  </a>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-gray-500 dark:text-gray-400">
+              {loading ? 'Checking proxy patterns...' : 'Not a recognized proxy (EIP-1167, EIP-1967, UUPS or beacon).'}
+            </div>
+          )}
+        </div>
+
+        {/* Constructor arguments */}
+        <div>
+          <h4 className="font-semibold text-gray-700 dark:text-gray-200 mb-2">
+            <i className="fas fa-sliders mr-2"></i>
+            Constructor Arguments
+          </h4>
+          {constructorArguments === null ? (
+            <div className="text-gray-500 dark:text-gray-400">
+              {runtimeCode === null ? '...' : 'Could not locate the constructor arguments in the creation code (no Solidity metadata found).'}
+            </div>
+          ) : constructorArguments === '0x' ? (
+            <div className="text-gray-500 dark:text-gray-400">None</div>
+          ) : (
+            <>
+              {decodedArguments ? (
+                <table className="w-full text-xs mb-2">
+                  <tbody>
+                    {decodedArguments.map(arg => (
+                      <tr key={arg.name} className="border-b border-gray-100 dark:border-gray-700">
+                        <td className="py-1 pr-2 font-medium text-gray-700 dark:text-gray-300 whitespace-nowrap">{arg.name}</td>
+                        <td className="py-1 pr-2 text-gray-500">{arg.type}</td>
+                        <td className="py-1 font-mono break-all">
+                          {arg.type === 'address'
+                            ? <AddressLabel address={arg.value} href={inspectLink(arg.value)} />
+                            : formatArgument(arg.value)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+                  Provide an ABI with a constructor to decode the arguments.
+                </div>
+              )}
+              <details className="text-xs">
+                <summary className="cursor-pointer text-gray-500">Raw ({getBytecodeSize(constructorArguments)} bytes)</summary>
+                <div className="font-mono break-all bg-gray-50 dark:bg-gray-700 p-2 rounded mt-1">{constructorArguments}</div>
+              </details>
+              <textarea
+                rows={2}
+                value={abiText}
+                onChange={(e) => setAbiText(e.target.value)}
+                placeholder="Paste the contract ABI or a constructor signature, e.g. constructor(string name, string symbol, uint256 supply)"
+                className="w-full mt-2 p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-gray-200 font-mono text-xs"
+              />
+              {abiError && <div className="text-xs text-red-600">{abiError}</div>}
+            </>
+          )}
+        </div>
+
+        {error && (
+          <div className="text-red-600 dark:text-red-400">Failed to analyse the deployment: {error}</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DeploymentPanel;
@@ -0,0 +1,267 @@
+import React, { useMemo } from 'react';
+import AddressLabel from './AddressLabel';
+import { SignatureCandidateList } from './SignatureComponents';
+import { useAddressLabels } from '../hooks/useAddressLabels';
+import {
+  DEFAULT_LOG_FILTERS,
+  filterLogs,
+  groupLogsByContract,
+  getLogFilterOptions,
+  hasActiveLogFilters
+} from '../utils/logFilterUtils';
+
+const selectClassName = 'px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200';
+
+// Compact one-line summary of decoded arguments for the table view
+const formatArgsSummary = (args) => Object.entries(args || {})
+  .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+  .join(', ');
+
+/**
+ * Log Card Component - one event log with its decoded parameters, or topics, data and candidate signatures
+ */
+const LogCard = ({ log }) => (
+  <div className="border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden mb-4 last:mb-0">
+    {/* Log Header */}
+    <div className="bg-gray-50 dark:bg-gray-700 px-3 py-2 flex items-center space-x-2 border-b border-gray-200 dark:border-gray-600">
+      <span className="inline-flex items-center justify-center px-2 py-0.5 text-xs font-bold leading-none text-indigo-100 bg-indigo-700 rounded-full">
+        {log.logIndex}
+      </span>
+      <span className="text-sm font-semibold text-indigo-800 dark:text-indigo-200">
+        {log.isDecoded ? log.eventSignature : "Undecodable Log"}
+      </span>
+    </div>
+    {/* Log Body */}
+    <div className="p-3 text-xs space-y-2 bg-white dark:bg-gray-800">
+      {/* Address */}
+      <div className="flex items-start">
+        <span className="font-medium text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">Address:</span>
+        <span className="ml-2">
+          <AddressLabel address={log.address} className="text-blue-600 dark:text-blue-400 font-mono break-all" />
+        </span>
+        <button 
+          onClick={() => navigator.clipboard?.writeText(log.address)}
+          className="text-gray-400 hover:text-blue-500 ml-2 transition-colors flex-shrink-0"
+          title="Copy address"
+        >
+          <i className="fa-regular fa-copy"></i>
+        </button>
+      </div>
+      {/* Topics - Only show for undecodable logs */}
+      {!log.isDecoded && (
+        <div className="flex items-start">
+          <span className="font-medium text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">Topics:</span>
+          <div className="ml-2 space-y-1 w-full">
+            {log.topics.map((topic, topicIndex) => (
+              <div key={topicIndex} className="flex items-center">
+                <span className="text-gray-400 dark:text-gray-500 mr-2">{topicIndex}:</span>
+                <code className="font-mono text-gray-800 dark:text-gray-200 break-all bg-gray-100 dark:bg-gray-700 px-1 rounded border border-gray-200 dark:border-gray-600 w-full overflow-x-auto">
+                  {topic}
+                </code>
+                <button 
+                  onClick={() => navigator.clipboard?.writeText(topic)}
+                  className="text-gray-400 hover:text-blue-500 ml-2 transition-colors flex-shrink-0"
+                  title="Copy topic"
+                >
+                  <i className="fa-regular fa-copy"></i>
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      {/* Parameters / Raw Data */}
+      {log.isDecoded ? (
+        <div className="flex items-start">
+          <span className="font-medium text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">Params:</span>
+          <div className="ml-2 space-y-1 w-full">
+            {Object.entries(log.args).map(([key, value], paramIndex) => (
+              <div key={paramIndex} className="flex items-start bg-gray-100 dark:bg-gray-700 p-1 rounded border border-gray-200 dark:border-gray-600">
+                <span className="text-gray-500 dark:text-gray-400 w-16 flex-shrink-0">{key}:</span>
+                <code className="font-mono text-gray-800 dark:text-gray-200 break-all ml-2">
+                  {typeof value === 'object' ? JSON.stringify(value, null, 2) : value}
+                </code>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <div className="flex items-start">
+          <span className="font-medium text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">Data:</span>
+          <code className="font-mono text-gray-800 dark:text-gray-200 break-all bg-gray-100 dark:bg-gray-700 px-1 rounded border border-gray-200 dark:border-gray-600 w-full overflow-x-auto ml-2">
+            {log.data}
+          </code>
+        </div>
+      )}
+      {/* Candidate signatures - Only show for undecodable logs */}
+      {!log.isDecoded && log.signatureCandidates?.length > 0 && (
+        <div className="flex items-start">
+          <span className="font-medium text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">Candidates:</span>
+          <div className="ml-2 w-full">
+            <SignatureCandidateList candidates={log.signatureCandidates} />
+          </div>
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+/**
+ * Log Table Row Component - compact single-row view of an event log
+ */
+const LogTableRow = ({ log }) => (
+  <tr className="border-b border-gray-100 dark:border-gray-700 align-top">
+    <td className="py-1 pr-2 font-mono text-indigo-700 dark:text-indigo-300">{log.logIndex}</td>
+    <td className="py-1 pr-2 whitespace-nowrap">
+      <AddressLabel address={log.address} short showTagAction={false} className="font-mono text-xs" tagClassName="font-semibold text-xs text-purple-700 dark:text-purple-300" />
+    </td>
+    <td className="py-1 pr-2 font-semibold text-gray-800 dark:text-gray-200 whitespace-nowrap">
+      {log.isDecoded ? log.eventName : <span className="text-orange-600" title={log.topics?.[0]}>Undecoded</span>}
+    </td>
+    <td className="py-1 font-mono text-gray-600 dark:text-gray-400 break-all">
+      {log.isDecoded ? formatArgsSummary(log.args) : log.data}
+    </td>
+  </tr>
+);
+
+/**
+ * Event Log Panel Component - event logs with filters by event, contract, decoded state and argument
+ * search, grouping by contract and a compact table view with sortable logIndex.
+ * Filters are owned by the page so they can be kept in the URL.
+ */
+export const EventLogPanel = ({ logs, filters, onFiltersChange }) => {
+  const { getLabel } = useAddressLabels();
+  const options = useMemo(() => getLogFilterOptions(logs), [logs]);
+  const visibleLogs = useMemo(() => filterLogs(logs, filters), [logs, filters]);
+  const groups = useMemo(
+    () => (filters.groupBy === 'contract' ? groupLogsByContract(visibleLogs) : [{ address: null, logs: visibleLogs }]),
+    [filters.groupBy, visibleLogs]
+  );
+
+  const updateFilter = (key, value) => onFiltersChange({ ...filters, [key]: value });
+  const toggleSort = () => updateFilter('sort', filters.sort === 'asc' ? 'desc' : 'asc');
+
+  const renderGroupHeader = (group) => group.address && (
+    <div className="flex items-center gap-2 text-xs font-semibold text-gray-600 dark:text-gray-300 mb-2">
+      <i className="fas fa-file-contract text-gray-400"></i>
+      <AddressLabel address={group.address} className="font-mono text-xs" />
+      <span className="text-gray-400">({group.logs.length})</span>
+    </div>
+  );
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
+      <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center -m-6 mb-6">
+        <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200">
+          Event Logs ({visibleLogs.length === logs.length ? logs.length : `${visibleLogs.length} of ${logs.length}`})
+        </h3>
+        <div className="flex items-center gap-1">
+          {[['cards', 'fa-table-cells-large', 'Card view'], ['table', 'fa-table-list', 'Compact table']].map(([view, icon, title]) => (
+            <button
+              key={view}
+              onClick={() => updateFilter('view', view)}
+              className={`px-2 py-1 text-xs rounded ${filters.view === view ? 'bg-blue-600 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'}`}
+              title={title}
+            >
+              <i className={`fas ${icon}`}></i>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="space-y-2 mb-4">
+        <input
+          type="text"
+          value={filters.search}
+          onChange={(e) => updateFilter('search', e.target.value)}
+          placeholder="Search argument values, addresses, topics..."
+          className="w-full px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200"
+        />
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={filters.event} onChange={(e) => updateFilter('event', e.target.value)} className={selectClassName}>
+            <option value="">All events</option>
+            {options.events.map(({ name, count }) => (
+              <option key={name} value={name}>{name} ({count})</option>
+            ))}
+          </select>
+          <select value={filters.contract} onChange={(e) => updateFilter('contract', e.target.value)} className={`${selectClassName} max-w-[12rem]`}>
+            <option value="">All contracts</option>
+            {options.contracts.map(({ address, count }) => (
+              <option key={address} value={address.toLowerCase()}>
+                {getLabel(address) || `${address.slice(0, 6)}...${address.slice(-4)}`} ({count})
+              </option>
+            ))}
+          </select>
+          <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className={selectClassName}>
+            <option value="all">Decoded and undecoded</option>
+            <option value="decoded">Decoded only</option>
+            <option value="undecoded">Undecoded only</option>
+          </select>
+          <label className="inline-flex items-center gap-1 text-xs text-gray-600 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={filters.groupBy === 'contract'}
+              onChange={(e) => updateFilter('groupBy', e.target.checked ? 'contract' : 'none')}
+            />
+            Group by contract
+          </label>
+          <button onClick={toggleSort} className="text-xs text-gray-600 dark:text-gray-300 hover:text-blue-600" title="Sort by logIndex">
+            <i className={`fas ${filters.sort === 'asc' ? 'fa-arrow-up-1-9' : 'fa-arrow-down-9-1'} mr-1`}></i>
+            logIndex
+          </button>
+          {hasActiveLogFilters(filters) && (
+            <button
+              onClick={() => onFiltersChange({ ...DEFAULT_LOG_FILTERS, groupBy: filters.groupBy, view: filters.view, sort: filters.sort })}
+              className="text-xs text-red-600 hover:text-red-700"
+            >
+              <i className="fas fa-xmark mr-1"></i>
+              Clear filters
+            </button>
+          )}
+        </div>
+      </div>
+
+      {visibleLogs.length === 0 && (
+        <div className="flex items-center justify-center py-3 text-gray-500">
+          <i className="fas fa-info-circle mr-2"></i>
+          <span className="text-sm">No event logs match the filters</span>
+        </div>
+      )}
+
+      {visibleLogs.length > 0 && filters.view === 'table' && (
+        <table className="w-full text-xs text-left">
+          <thead>
+            <tr className="border-b border-gray-200 dark:border-gray-600 text-gray-500 dark:text-gray-400">
+              <th className="py-1 pr-2 cursor-pointer select-none" onClick={toggleSort} title="Sort by logIndex">
+                # <i className={`fas ${filters.sort === 'asc' ? 'fa-sort-up' : 'fa-sort-down'}`}></i>
+              </th>
+              <th className="py-1 pr-2">Contract</th>
+              <th className="py-1 pr-2">Event</th>
+              <th className="py-1">Arguments / Data</th>
+            </tr>
+          </thead>
+          {groups.map(group => (
+            <tbody key={group.address || 'all'}>
+              {group.address && (
+                <tr>
+                  <td colSpan={4} className="pt-3">{renderGroupHeader(group)}</td>
+                </tr>
+              )}
+              {group.logs.map(log => <LogTableRow key={log.logIndex} log={log} />)}
+            </tbody>
+          ))}
+        </table>
+      )}
+
+      {visibleLogs.length > 0 && filters.view !== 'table' && groups.map(group => (
+        <div key={group.address || 'all'} className={group.address ? 'mb-6 last:mb-0' : ''}>
+          {renderGroupHeader(group)}
+          {group.logs.map(log => <LogCard key={log.logIndex} log={log} />)}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default EventLogPanel;
@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { coingeckoService } from '../services/coingeckoService';
+
+/**
+ * Fee Breakdown Component - burnt base fee, tip, savings, blob and L1 data fees in native currency and USD
+ */
+export const FeeBreakdown = ({ breakdown, nativeSymbol = 'ETH', geckoId = null, fallbackPrice = null }) => {
+  const [nativePrice, setNativePrice] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    coingeckoService.fetchNativeTokenPrice(geckoId).then(price => {
+      if (!cancelled) setNativePrice(price);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [geckoId]);
+
+  if (!breakdown) return null;
+
+  const price = nativePrice ?? (fallbackPrice || null);
+
+  const rows = [
+    { label: 'Burnt (Base Fee × Gas Used)', value: breakdown.burnt, icon: 'fa-fire text-orange-500' },
+    { label: 'Priority Tip to Block Producer', value: breakdown.tip, icon: 'fa-hand-holding-dollar text-blue-500' },
+    { label: 'Execution Fee (Gas Used × Effective Gas Price)', value: breakdown.executionFee, icon: 'fa-gas-pump text-yellow-500' },
+    { label: 'Blob Fee (Blob Gas Used × Blob Gas Price)', value: breakdown.blobFee, icon: 'fa-cubes text-purple-500' },
+    { label: 'L1 Data Fee', value: breakdown.l1Fee, icon: 'fa-layer-group text-indigo-500' },
+    { label: 'Total Paid', value: breakdown.totalFee, icon: 'fa-receipt text-gray-600', isTotal: true },
+    { label: 'Saved vs. Max Fee', value: breakdown.savings, icon: 'fa-piggy-bank text-green-500' },
+  ].filter(row => row.value !== null);
+
+  const toNative = (wei) => parseFloat(window.ethers.utils.formatEther(wei));
+
+  return (
+    <div>
+      <span className="text-sm font-semibold text-gray-600 dark:text-gray-400">Fee Breakdown</span>
+      <table className="w-full text-sm mt-2">
+        <thead>
+          <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+            <th className="py-1 pr-2 font-medium">Item</th>
+            <th className="py-1 pr-2 font-medium text-right">{nativeSymbol}</th>
+            <th className="py-1 font-medium text-right">USD</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => {
+            const amount = toNative(row.value);
+            return (
+              <tr
+                key={row.label}
+                className={`border-b border-gray-100 dark:border-gray-700 ${row.isTotal ? 'font-semibold' : ''}`}
+              >
+                <td className="py-1 pr-2 text-gray-700 dark:text-gray-300">
+                  <i className={`fas ${row.icon} mr-2 w-4 text-center`}></i>
+                  {row.label}
+                </td>
+                <td className="py-1 pr-2 font-mono text-right">
+                  {amount.toLocaleString('en-US', { maximumFractionDigits: 8 })}
+                </td>
+                <td className="py-1 font-mono text-right text-green-600 dark:text-green-400">
+                  {price ? `$${(amount * price).toFixed(4)}` : '-'}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {breakdown.l1Fee && (
+        <div className="mt-2 text-xs text-gray-600 dark:text-gray-400 space-x-4">
+          {breakdown.l1GasUsed && <span>L1 Gas Used: {Number(breakdown.l1GasUsed).toLocaleString('en-US')}</span>}
+          {breakdown.l1GasPrice && <span>L1 Gas Price: {window.ethers.utils.formatUnits(breakdown.l1GasPrice, 'gwei')} Gwei</span>}
+          {breakdown.l1BlobBaseFee && <span>L1 Blob Base Fee: {window.ethers.utils.formatUnits(breakdown.l1BlobBaseFee, 'gwei')} Gwei</span>}
+        </div>
+      )}
+
+      <div className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+        <i className="fas fa-info-circle mr-1"></i>
+        {price
+          ? `USD values use the current ${nativeSymbol} price ($${price.toLocaleString('en-US', { maximumFractionDigits: 6 })}).`
+          : `No USD price available for ${nativeSymbol}.`}
+        {!breakdown.burnt && ' The block has no base fee, so nothing is burnt.'}
+      </div>
+    </div>
+  );
+};
+
+export default FeeBreakdown;
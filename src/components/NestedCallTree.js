@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+
+const shortAddress = (address) => address ? `${address.slice(0, 6)}...${address.slice(-4)}` : 'N/A';
+
+/**
+ * Nested Call Node Component - renders one inner call and, when expanded, its arguments and children
+ */
+const NestedCallNode = ({ call, depth }) => {
+  const [expanded, setExpanded] = useState(depth === 0);
+
+  return (
+    <div className={depth > 0 ? 'ml-4 pl-3 border-l border-gray-200 dark:border-gray-700' : ''}>
+      <div className="bg-gray-100 dark:bg-gray-700 p-1.5 rounded border border-gray-200 dark:border-gray-600 mt-1">
+        <div className="flex items-center space-x-2 text-xs">
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className="text-gray-400 hover:text-blue-500 w-4 flex-shrink-0"
+            title={expanded ? 'Collapse' : 'Expand'}
+          >
+            <i className={`fas ${expanded ? 'fa-chevron-down' : 'fa-chevron-right'}`}></i>
+          </button>
+          <span className="text-gray-500 dark:text-gray-400 font-mono">{call.path}</span>
+          <span className="text-gray-400">→</span>
+          {call.target ? (
+            <span className="font-mono text-blue-600 dark:text-blue-400" title={call.target}>
+              {shortAddress(call.target)}
+              {call.targetSource === 'self' && <span className="text-gray-500 ml-1">(self)</span>}
+            </span>
+          ) : (
+            <span className="text-gray-500 italic">unknown target</span>
+          )}
+          <span className="font-mono font-semibold text-indigo-800 dark:text-indigo-200 break-all">
+            {call.decoded ? call.decoded.functionName : call.data.slice(0, 10)}
+          </span>
+          {call.decoded?.source === 'signature-database' && (
+            <span className="bg-blue-100 text-blue-800 px-1 rounded" title="Decoded with a text signature">sig db</span>
+          )}
+          {call.calls.length > 0 && (
+            <span className="text-gray-500">({call.calls.length} inner)</span>
+          )}
+        </div>
+
+        {expanded && (
+          <div className="ml-6 mt-1 space-y-0.5 text-xs">
+            {call.decoded ? (
+              <>
+                <code className="block font-mono text-gray-600 dark:text-gray-300 break-all">{call.decoded.functionSignature}</code>
+                {Object.entries(call.decoded.decodedParameters).map(([key, value]) => (
+                  <div key={key} className="flex items-start">
+                    <span className="text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">{key}:</span>
+                    <code className="font-mono text-gray-800 dark:text-gray-200 break-all ml-2 flex-1">
+                      {typeof value === 'object' ? JSON.stringify(value) : String(value)}
+                    </code>
+                  </div>
+                ))}
+              </>
+            ) : (
+              <code className="block font-mono text-gray-800 dark:text-gray-200 break-all max-h-24 overflow-y-auto">{call.data}</code>
+            )}
+          </div>
+        )}
+      </div>
+
+      {expanded && call.calls.map((innerCall, index) => (
+        <NestedCallNode key={`${innerCall.path}-${index}`} call={innerCall} depth={depth + 1} />
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Nested Call Tree Component - shows calldata nested inside bytes parameters as a tree of inner calls
+ */
+export const NestedCallTree = ({ calls = [] }) => {
+  if (calls.length === 0) return null;
+
+  return (
+    <div>
+      {calls.map((call, index) => (
+        <NestedCallNode key={`${call.path}-${index}`} call={call} depth={0} />
+      ))}
+    </div>
+  );
+};
+
+export default NestedCallTree;
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { TokenDisplay, CopyAddressButton } from './TokenComponents';
+import { NATIVE_TOKEN_KEY } from '../utils/tokenFlowUtils';
+import AddressLabel from './AddressLabel';
+
+/**
+ * Balance Change Row Component - one address with its per-token deltas
+ */
+const BalanceChangeRows = ({ entry, tokenData, tokenLoading, nativeSymbol, nativeTokenData }) => {
+  const checksummed = window.ethers.utils.getAddress(entry.address);
+
+  if (entry.changes.length === 0) {
+    return (
+      <tr className="border-b border-gray-100 dark:border-gray-700">
+        <td className="py-2 pr-2 font-mono text-xs align-top">
+          <AddressLabel address={checksummed} short className="font-mono text-xs" tagClassName="font-semibold text-xs text-purple-700" />
+          <CopyAddressButton address={checksummed} />
+        </td>
+        <td colSpan={3} className="py-2 text-xs text-gray-500 italic">No net change</td>
+      </tr>
+    );
+  }
+
+  return entry.changes.map((change, index) => {
+    const isNative = change.token === NATIVE_TOKEN_KEY;
+    const token = isNative ? nativeTokenData : tokenData[change.token];
+    const decimals = isNative ? 18 : token?.decimals;
+    const delta = window.ethers.BigNumber.from(change.delta);
+    const isGain = !delta.isNegative();
+
+    const formattedAmount = decimals !== undefined
+      ? window.ethers.utils.formatUnits(delta.abs(), decimals)
+      : `${delta.abs().toString()} raw`;
+    const usdValue = decimals !== undefined && token?.price
+      ? parseFloat(window.ethers.utils.formatUnits(delta, decimals)) * token.price
+      : null;
+
+    return (
+      <tr key={`${entry.address}-${change.token}`} className={index === entry.changes.length - 1 ? 'border-b border-gray-100 dark:border-gray-700' : ''}>
+        <td className="py-1 pr-2 font-mono text-xs align-top">
+          {index === 0 && (
+            <>
+              <AddressLabel address={checksummed} short className="font-mono text-xs" tagClassName="font-semibold text-xs text-purple-700" />
+              <CopyAddressButton address={checksummed} />
+              {entry.isSender && (
+                <span className="ml-1 text-xs bg-blue-100 text-blue-700 px-1 rounded">sender</span>
+              )}
+            </>
+          )}
+        </td>
+        <td className="py-1 pr-2">
+          {isNative ? (
+            <span className="font-mono text-xs font-semibold text-yellow-600">{nativeSymbol} (Native)</span>
+          ) : (
+            <TokenDisplay
+              token={token}
+              contractAddress={change.token}
+              isLoading={tokenLoading[change.token]}
+              imageSize="w-4 h-4"
+              symbolClassName="font-mono text-xs font-semibold text-blue-600"
+            />
+          )}
+        </td>
+        <td className={`py-1 pr-2 font-mono text-xs text-right font-semibold ${isGain ? 'text-green-600' : 'text-red-600'}`}>
+          {isGain ? '+' : '-'}{formattedAmount}
+        </td>
+        <td className={`py-1 font-mono text-xs text-right ${isGain ? 'text-green-600' : 'text-red-600'}`}>
+          {usdValue !== null ? `${usdValue < 0 ? '-' : '+'}$${Math.abs(usdValue).toFixed(2)}` : '-'}
+        </td>
+      </tr>
+    );
+  });
+};
+
+/**
+ * Net Balance Changes Component - per-address, per-token net deltas with collapsible intermediate hops
+ */
+export const NetBalanceChanges = ({
+  balanceChanges = [],
+  tokenData = {},
+  tokenLoading = {},
+  nativeSymbol = 'ETH',
+  nativeTokenData = null
+}) => {
+  const [showIntermediates, setShowIntermediates] = useState(false);
+
+  const participants = balanceChanges.filter(entry => !entry.isIntermediate);
+  const intermediates = balanceChanges.filter(entry => entry.isIntermediate);
+
+  const rowProps = { tokenData, tokenLoading, nativeSymbol, nativeTokenData };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
+      <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center -m-6 mb-6">
+        <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200">
+          <i className="fas fa-scale-balanced mr-2"></i>
+          Net Balance Changes
+        </h3>
+        {intermediates.length > 0 && (
+          <button
+            onClick={() => setShowIntermediates(!showIntermediates)}
+            className="text-sm text-blue-600 hover:text-blue-700"
+          >
+            {showIntermediates ? 'Hide' : 'Show'} {intermediates.length} intermediate {intermediates.length === 1 ? 'hop' : 'hops'}
+            <i className={`fas ${showIntermediates ? 'fa-chevron-up' : 'fa-chevron-down'} ml-1`}></i>
+          </button>
+        )}
+      </div>
+
+      {balanceChanges.length === 0 ? (
+        <div className="flex items-center justify-center py-3 text-gray-500">
+          <i className="fas fa-info-circle mr-2"></i>
+          <span className="text-sm">No token or native balance changes found</span>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                <th className="py-2 pr-2 font-medium">Address</th>
+                <th className="py-2 pr-2 font-medium">Token</th>
+                <th className="py-2 pr-2 font-medium text-right">Change</th>
+                <th className="py-2 font-medium text-right">USD</th>
+              </tr>
+            </thead>
+            <tbody>
+              {participants.map(entry => (
+                <BalanceChangeRows key={entry.address} entry={entry} {...rowProps} />
+              ))}
+              {showIntermediates && intermediates.length > 0 && (
+                <>
+                  <tr>
+                    <td colSpan={4} className="pt-3 pb-1 text-xs font-semibold text-gray-500 dark:text-gray-400">
+                      Intermediate hops (pools, routers, ...)
+                    </td>
+                  </tr>
+                  {intermediates.map(entry => (
+                    <BalanceChangeRows key={entry.address} entry={entry} {...rowProps} />
+                  ))}
+                </>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+        <i className="fas fa-info-circle mr-1"></i>
+        Based on the transaction value, ERC20 Transfer and Deposit/Withdrawal events. Native transfers made by internal calls are not included.
+      </div>
+    </div>
+  );
+};
+
+export default NetBalanceChanges;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import AddressLabel from './AddressLabel';
+import { CopyAddressButton } from './TokenComponents';
+import { getNftTransfers, fetchCollectionInfo, fetchNftMetadata, resolveMetadataUri } from '../utils/nftUtils';
+
+// Metadata is only fetched for this many distinct tokens, large batch transfers show IDs only
+const MAX_METADATA_TOKENS = 50;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const shortenTokenId = (tokenId) => (tokenId.length > 16 ? `${tokenId.slice(0, 6)}…${tokenId.slice(-6)}` : tokenId);
+
+/**
+ * NFT Transfers Component - ERC-721 and ERC-1155 movements of a transaction with collection name,
+ * token IDs, quantities and the token metadata read from tokenURI / uri
+ */
+export const NftTransfers = ({ decodedLogs, rpcUrl }) => {
+  const transfers = useMemo(() => getNftTransfers(decodedLogs || []), [decodedLogs]);
+  const [collections, setCollections] = useState({});
+  const [metadata, setMetadata] = useState({});
+
+  useEffect(() => {
+    if (!rpcUrl || transfers.length === 0) return;
+
+    let cancelled = false;
+    const contracts = [...new Set(transfers.map(transfer => transfer.contract.toLowerCase()))];
+    contracts.forEach(contract => {
+      fetchCollectionInfo(rpcUrl, contract).then(info => {
+        if (!cancelled) setCollections(prev => ({ ...prev, [contract]: info }));
+      });
+    });
+
+    const tokens = new Map();
+    transfers.forEach(transfer => {
+      const key = `${transfer.contract.toLowerCase()}:${transfer.tokenId}`;
+      if (!tokens.has(key) && tokens.size < MAX_METADATA_TOKENS) tokens.set(key, transfer);
+    });
+    tokens.forEach((transfer, key) => {
+      fetchNftMetadata(rpcUrl, transfer.standard, transfer.contract, transfer.tokenId).then(result => {
+        if (!cancelled) setMetadata(prev => ({ ...prev, [key]: result }));
+      });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [rpcUrl, transfers]);
+
+  if (transfers.length === 0) return null;
+
+  return (
+    <div className="bg-purple-50 border border-purple-200 rounded-xl shadow-lg p-6">
+      <h2 className="text-2xl font-bold mb-6 text-purple-700 flex items-center">
+        <i className="fas fa-images mr-2"></i>
+        NFT Transfers
+      </h2>
+      <div className="space-y-3">
+        {transfers.map((transfer, index) => {
+          const contractKey = transfer.contract.toLowerCase();
+          const collection = collections[contractKey];
+          const token = metadata[`${contractKey}:${transfer.tokenId}`];
+          const isMint = transfer.from?.toLowerCase() === ZERO_ADDRESS;
+          const isBurn = transfer.to?.toLowerCase() === ZERO_ADDRESS;
+
+          return (
+            <div key={`${transfer.logIndex}-${index}`} className="bg-white border border-purple-200 rounded-lg p-4 shadow-sm text-xs text-left">
+              <div className="flex items-start gap-3">
+                <div className="w-12 h-12 flex-shrink-0 rounded bg-purple-100 flex items-center justify-center overflow-hidden">
+                  {token?.image ? (
+                    <img src={token.image} alt={token.name || `#${transfer.tokenId}`} className="w-full h-full object-cover" />
+                  ) : (
+                    <i className="fas fa-image text-purple-300 text-lg"></i>
+                  )}
+                </div>
+                <div className="min-w-0 flex-1 space-y-1">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="font-semibold text-purple-700 text-sm">
+                      {token?.name || `#${shortenTokenId(transfer.tokenId)}`}
+                    </span>
+                    <span className="px-1.5 py-0.5 rounded bg-purple-600 text-white font-semibold">{transfer.standard}</span>
+                    {transfer.standard === 'ERC-1155' && (
+                      <span className="font-mono font-semibold text-gray-700">× {transfer.amount}</span>
+                    )}
+                    {isMint && <span className="px-1.5 py-0.5 rounded bg-green-100 text-green-700 font-semibold">Mint</span>}
+                    {isBurn && <span className="px-1.5 py-0.5 rounded bg-red-100 text-red-700 font-semibold">Burn</span>}
+                  </div>
+                  <div className="flex items-center gap-1 text-gray-600">
+                    <span className="font-medium">
+                      {collection?.name || 'Unknown collection'}
+                      {collection?.symbol ? ` (${collection.symbol})` : ''}
+                    </span>
+                    <AddressLabel address={transfer.contract} short className="font-mono text-xs" tagClassName="font-semibold text-xs text-purple-700" />
+                    <CopyAddressButton address={transfer.contract} />
+                  </div>
+                  <div className="text-gray-600">
+                    <span className="font-medium">Token ID: </span>
+                    <span className="font-mono break-all" title={transfer.tokenId}>{transfer.tokenId}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-700 font-medium">From: </span>
+                    <AddressLabel address={transfer.from} short showName className="font-mono text-xs" tagClassName="font-semibold text-xs text-purple-700" />
+                    <span className="text-gray-700 font-medium"> To: </span>
+                    <AddressLabel address={transfer.to} short showName className="font-mono text-xs" tagClassName="font-semibold text-xs text-purple-700" />
+                  </div>
+                  {token?.uri && (
+                    <div className="text-gray-500 truncate" title={token.uri}>
+                      <span className="font-medium">Metadata: </span>
+                      {token.uri.startsWith('data:') ? (
+                        <span>on-chain</span>
+                      ) : (
+                        <a href={resolveMetadataUri(token.uri)} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 underline">
+                          {token.uri}
+                        </a>
+                      )}
+                      {token.error && <span className="text-orange-600"> ({token.error})</span>}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default NftTransfers;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { coingeckoService } from '../services/coingeckoService';
+import { buildTransactionReport, reportToMarkdown, reportToHtml } from '../utils/reportUtils';
+
+// Trigger a browser download of generated content
+const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Report Export Component - exports the analysis of the loaded transaction as JSON, Markdown
+ * or a print-optimized HTML page (save as PDF from the print dialog)
+ */
+export const ReportExport = ({ reportInput, geckoId = null }) => {
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState(null);
+
+  const exportReport = async (format) => {
+    setExporting(format);
+    setExportError(null);
+    // Open the print window within the click so popup blockers allow it
+    const printWindow = format === 'print' ? window.open('', '_blank') : null;
+    try {
+      const nativePrice = await coingeckoService.fetchNativeTokenPrice(geckoId);
+      const report = buildTransactionReport({ ...reportInput, nativePrice });
+      const baseName = `tx-report-${report.hash.slice(0, 10)}`;
+
+      if (format === 'json') {
+        downloadFile(JSON.stringify(report, null, 2), `${baseName}.json`, 'application/json');
+      } else if (format === 'markdown') {
+        downloadFile(reportToMarkdown(report), `${baseName}.md`, 'text/markdown;charset=utf-8');
+      } else if (format === 'html') {
+        downloadFile(reportToHtml(report), `${baseName}.html`, 'text/html;charset=utf-8');
+      } else if (format === 'print') {
+        if (!printWindow) throw new Error('The print window was blocked by the browser');
+        printWindow.document.write(reportToHtml(report));
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+      }
+    } catch (err) {
+      console.error('Failed to export report:', err);
+      if (printWindow) printWindow.close();
+      setExportError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const formats = [
+    { format: 'json', label: 'JSON', icon: 'fa-file-code' },
+    { format: 'markdown', label: 'Markdown', icon: 'fa-file-lines' },
+    { format: 'html', label: 'HTML', icon: 'fa-file-export' },
+    { format: 'print', label: 'Print / PDF', icon: 'fa-print' },
+  ];
+
+  return (
+    <div className="w-full max-w-2xl bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
+      <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center -m-6 mb-6">
+        <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200">
+          <i className="fas fa-file-export mr-2"></i>
+          Export Report
+        </h3>
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Transaction, receipt and block data, decoded input and logs, token flows with USD values and the fee breakdown.
+      </p>
+      <div className="flex flex-wrap gap-2">
+        {formats.map(({ format, label, icon }) => (
+          <button
+            key={format}
+            onClick={() => exportReport(format)}
+            disabled={exporting !== null}
+            className="px-3 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+          >
+            <i className={`fas ${exporting === format ? 'fa-spinner fa-spin' : icon} mr-2`}></i>
+            {label}
+          </button>
+        ))}
+      </div>
+      {exportError && (
+        <div className="mt-3 text-sm text-red-600 dark:text-red-400">{exportError}</div>
+      )}
+    </div>
+  );
+};
+
+export default ReportExport;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import { replayTransaction, decodeRevertData } from '../utils/revertUtils';
+
+/**
+ * Revert Reason Component - replays a failed transaction and shows its decoded revert reason
+ */
+export const RevertReason = ({ rpcUrl, transaction, blockNumber, abis, chainId }) => {
+  const [replay, setReplay] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!rpcUrl || !transaction || !blockNumber) return;
+
+    let cancelled = false;
+    const runReplay = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const result = await replayTransaction(rpcUrl, transaction, blockNumber);
+        if (!cancelled) setReplay(result);
+      } catch (err) {
+        console.error('Failed to replay transaction:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    runReplay();
+    return () => {
+      cancelled = true;
+    };
+  }, [rpcUrl, transaction, blockNumber]);
+
+  const reason = replay?.reverted
+    ? decodeRevertData(replay.revertData, abis, { chainId, address: transaction.to })
+    : null;
+
+  return (
+    <div className="p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+      <div className="flex items-center space-x-2 mb-2">
+        <i className="fa-solid fa-triangle-exclamation text-red-500"></i>
+        <span className="text-sm font-semibold text-red-700 dark:text-red-300">Revert Reason</span>
+      </div>
+
+      {loading && (
+        <div className="flex items-center text-sm text-red-600">
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-red-500"></div>
+          <span className="ml-2">Replaying transaction at block {blockNumber - 1}...</span>
+        </div>
+      )}
+
+      {error && (
+        <div className="text-sm text-red-700">Could not replay the transaction: {error}</div>
+      )}
+
+      {replay && !replay.reverted && (
+        <div className="text-sm text-gray-700 dark:text-gray-300">
+          The replay at block {replay.block} did not revert. The transaction probably failed because of state
+          changed earlier in its own block, or by running out of gas.
+        </div>
+      )}
+
+      {reason && (
+        <div className="space-y-2">
+          <div className="text-lg font-semibold text-red-700 dark:text-red-300 break-words">
+            {reason.type === 'panic' ? `Panic ${reason.code}: ${reason.message}` : reason.message}
+          </div>
+          {reason.signature && (
+            <div className="text-xs text-gray-600 dark:text-gray-400">
+              <code className="font-mono">{reason.signature}</code>
+              {reason.type === 'custom' && (
+                <span className="ml-2">
+                  {reason.source === 'signature-database' ? '(signature database)' : '(custom error)'}
+                </span>
+              )}
+            </div>
+          )}
+          {reason.args && Object.keys(reason.args).length > 0 && (
+            <div className="space-y-1">
+              {Object.entries(reason.args).map(([key, value]) => (
+                <div key={key} className="flex items-start text-xs bg-white dark:bg-gray-800 p-1 rounded border border-red-100 dark:border-red-800">
+                  <span className="text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">{key}:</span>
+                  <code className="font-mono text-gray-800 dark:text-gray-200 break-all ml-2">
+                    {typeof value === 'object' ? JSON.stringify(value) : String(value)}
+                  </code>
+                </div>
+              ))}
+            </div>
+          )}
+          {reason.data && (
+            <code className="block font-mono text-xs text-gray-700 dark:text-gray-300 break-all">{reason.data}</code>
+          )}
+          {reason.type === 'empty' && replay.rpcMessage && (
+            <div className="text-xs text-gray-600 dark:text-gray-400">{replay.rpcMessage}</div>
+          )}
+          <div className="text-xs text-gray-500 dark:text-gray-400">
+            <i className="fas fa-info-circle mr-1"></i>
+            Replayed with eth_call at block {replay.block}; transactions earlier in the same block are not applied.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevertReason;
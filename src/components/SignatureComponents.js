@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import {
+  addCustomSignature,
+  removeCustomSignature,
+  getStoredSignatures
+} from '../utils/signatureUtils';
+
+/**
+ * Signature Candidate List Component - shows every candidate signature and whether it decodes cleanly
+ */
+export const SignatureCandidateList = ({ candidates = [] }) => {
+  const [expandedIndex, setExpandedIndex] = useState(null);
+
+  if (candidates.length === 0) return null;
+
+  return (
+    <div className="space-y-1">
+      {candidates.map((candidate, index) => {
+        const params = candidate.decoded?.decodedParameters || candidate.decoded?.args || {};
+        const isExpanded = expandedIndex === index;
+
+        return (
+          <div key={`${candidate.signature}-${index}`} className="bg-gray-100 dark:bg-gray-700 p-1.5 rounded border border-gray-200 dark:border-gray-600">
+            <div className="flex items-center space-x-2">
+              {candidate.clean ? (
+                <i className="fa-solid fa-circle-check text-green-500" title="Decodes cleanly"></i>
+              ) : candidate.decoded ? (
+                <i className="fa-solid fa-triangle-exclamation text-yellow-500" title="Decodes, but the data does not re-encode to the same bytes"></i>
+              ) : (
+                <i className="fa-solid fa-circle-xmark text-red-500" title={candidate.error || 'Does not decode'}></i>
+              )}
+              <code className="font-mono text-xs text-gray-800 dark:text-gray-200 break-all flex-1">
+                {candidate.signature}
+              </code>
+              {candidate.decoded && (
+                <button
+                  onClick={() => setExpandedIndex(isExpanded ? null : index)}
+                  className="text-gray-400 hover:text-blue-500 text-xs flex-shrink-0"
+                  title={isExpanded ? 'Hide decoded values' : 'Show decoded values'}
+                >
+                  <i className={`fas ${isExpanded ? 'fa-chevron-up' : 'fa-chevron-down'}`}></i>
+                </button>
+              )}
+            </div>
+            {!candidate.decoded && candidate.error && (
+              <div className="text-xs text-red-600 ml-6">{candidate.error}</div>
+            )}
+            {isExpanded && (
+              <div className="ml-6 mt-1 space-y-0.5">
+                {Object.entries(params).map(([key, value]) => (
+                  <div key={key} className="flex items-start text-xs">
+                    <span className="text-gray-500 dark:text-gray-400 w-16 flex-shrink-0">{key}:</span>
+                    <code className="font-mono text-gray-800 dark:text-gray-200 break-all ml-2">
+                      {typeof value === 'object' ? JSON.stringify(value) : String(value)}
+                    </code>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+/**
+ * Custom Signature Form Component - adds function/event signatures to the local signature database
+ */
+export const CustomSignatureForm = ({ onChange }) => {
+  const [signatureText, setSignatureText] = useState('');
+  const [storedSignatures, setStoredSignatures] = useState(getStoredSignatures());
+  const [message, setMessage] = useState(null);
+
+  const handleAdd = () => {
+    try {
+      const added = addCustomSignature(signatureText);
+      setStoredSignatures(getStoredSignatures());
+      setSignatureText('');
+      setMessage({ type: 'success', text: `Added ${added.kind} ${added.signature} (${added.hash.slice(0, 10)})` });
+      if (onChange) onChange();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  const handleRemove = (signature) => {
+    removeCustomSignature(signature);
+    setStoredSignatures(getStoredSignatures());
+    if (onChange) onChange();
+  };
+
+  const localSignatures = [
+    ...storedSignatures.functions.map(signature => ({ kind: 'function', signature })),
+    ...storedSignatures.events.map(signature => ({ kind: 'event', signature })),
+  ];
+
+  return (
+    <div className="text-sm space-y-3">
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          className="flex-1 p-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-gray-200 font-mono text-xs"
+          value={signatureText}
+          onChange={(e) => setSignatureText(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+          placeholder="e.g., swap(address,uint256) or event Swapped(address indexed user, uint256 amount)"
+        />
+        <button
+          onClick={handleAdd}
+          disabled={!signatureText.trim()}
+          className="px-3 py-2 rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+        >
+          <i className="fas fa-plus mr-1"></i>
+          Add
+        </button>
+      </div>
+
+      {message && (
+        <div className={`text-xs ${message.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {localSignatures.length > 0 && (
+        <div className="space-y-1">
+          <p className="font-medium text-gray-600 dark:text-gray-400">Local signatures ({localSignatures.length}):</p>
+          {localSignatures.map(({ kind, signature }) => (
+            <div key={`${kind}-${signature}`} className="flex items-center bg-gray-100 dark:bg-gray-700 p-1.5 rounded border border-gray-200 dark:border-gray-600">
+              <span className="text-xs text-gray-500 dark:text-gray-400 w-16 flex-shrink-0">{kind}</span>
+              <code className="font-mono text-xs text-gray-800 dark:text-gray-200 break-all flex-1">{signature}</code>
+              <button
+                onClick={() => handleRemove(signature)}
+                className="text-gray-400 hover:text-red-500 ml-2 transition-colors flex-shrink-0"
+                title="Remove signature"
+              >
+                <i className="fa-solid fa-trash"></i>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SignatureCandidateList;
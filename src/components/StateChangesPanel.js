@@ -0,0 +1,216 @@
+import React, { useState, useMemo } from 'react';
+import {
+  fetchStateDiff,
+  summarizeStateDiff,
+  buildBalanceSlotIndex
+} from '../utils/traceUtils';
+
+const shortHex = (value, head = 10, tail = 8) =>
+  value && value.length > head + tail ? `${value.slice(0, head)}...${value.slice(-tail)}` : value;
+
+// Format a signed delta between two uint256 values with the given decimals
+const formatDelta = (before, after, decimals) => {
+  const delta = window.ethers.BigNumber.from(after).sub(before);
+  const formatted = window.ethers.utils.formatUnits(delta.abs(), decimals);
+  if (delta.isZero()) return '0';
+  return `${delta.isNegative() ? '-' : '+'}${formatted}`;
+};
+
+/**
+ * State Changes Panel Component - shows native balance, nonce and storage changes of a transaction
+ */
+export const StateChangesPanel = ({
+  rpcUrl,
+  txHash,
+  decodedLogs = [],
+  tokenData = {},
+  nativeSymbol = 'ETH'
+}) => {
+  const [stateDiff, setStateDiff] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadStateDiff = async () => {
+    if (!rpcUrl || !txHash) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const diff = await fetchStateDiff(rpcUrl, txHash);
+      setStateDiff(diff);
+    } catch (err) {
+      console.error('Failed to fetch state diff:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const accounts = useMemo(() => (stateDiff ? summarizeStateDiff(stateDiff) : []), [stateDiff]);
+
+  // Known ERC20 balance slots, derived from the holders seen in Transfer events
+  const balanceSlotIndex = useMemo(() => {
+    if (!stateDiff) return {};
+    const holdersByToken = {};
+    decodedLogs
+      .filter(log => log.isDecoded && log.eventName === 'Transfer' && log.args.from && log.args.to)
+      .forEach(log => {
+        const token = log.address.toLowerCase();
+        if (!holdersByToken[token]) holdersByToken[token] = new Set();
+        holdersByToken[token].add(log.args.from.toLowerCase());
+        holdersByToken[token].add(log.args.to.toLowerCase());
+      });
+    Object.keys(holdersByToken).forEach(token => {
+      holdersByToken[token] = Array.from(holdersByToken[token]);
+    });
+    return buildBalanceSlotIndex(holdersByToken);
+  }, [stateDiff, decodedLogs]);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
+      <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center -m-6 mb-6">
+        <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200">
+          <i className="fas fa-database mr-2"></i>
+          State Changes
+          {stateDiff && ` (${accounts.length} accounts)`}
+        </h3>
+        {!stateDiff && (
+          <button
+            onClick={loadStateDiff}
+            disabled={loading}
+            className="px-3 py-1 rounded text-sm text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Tracing...' : 'Load State Changes'}
+          </button>
+        )}
+      </div>
+
+      {!stateDiff && !loading && !error && (
+        <div className="flex items-center justify-center py-3 text-gray-500">
+          <i className="fas fa-info-circle mr-2"></i>
+          <span className="text-sm">State changes are read with the prestateTracer and require the debug namespace.</span>
+        </div>
+      )}
+
+      {loading && (
+        <div className="flex items-center justify-center py-3">
+          <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500"></div>
+          <span className="ml-2 text-sm text-blue-600">Fetching state diff...</span>
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 bg-red-100 text-red-700 rounded-lg border border-red-200 text-sm">
+          {error}
+        </div>
+      )}
+
+      {stateDiff && (
+        <div className="space-y-4">
+          {accounts.length === 0 && (
+            <div className="flex items-center justify-center py-3 text-gray-500">
+              <i className="fas fa-info-circle mr-2"></i>
+              <span className="text-sm">No state changes reported</span>
+            </div>
+          )}
+          {accounts.map(account => {
+            const tokenSlots = balanceSlotIndex[account.address] || {};
+            const token = tokenData[account.address];
+
+            return (
+              <div key={account.address} className="border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden">
+                <div className="bg-gray-50 dark:bg-gray-700 px-3 py-2 flex items-center space-x-2 border-b border-gray-200 dark:border-gray-600">
+                  <span className="font-mono text-xs font-semibold text-indigo-800 dark:text-indigo-200 break-all">
+                    {account.address}
+                  </span>
+                  <button
+                    onClick={() => navigator.clipboard?.writeText(account.address)}
+                    className="text-gray-400 hover:text-blue-500 transition-colors flex-shrink-0"
+                    title="Copy address"
+                  >
+                    <i className="fa-regular fa-copy"></i>
+                  </button>
+                  {token?.symbol && (
+                    <span className="text-xs font-semibold text-green-600">{token.symbol.toUpperCase()}</span>
+                  )}
+                  {account.deleted ? (
+                    <span className="text-xs bg-red-100 text-red-700 px-2 py-0.5 rounded">destroyed</span>
+                  ) : account.codeChanged && (
+                    <span className="text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded">code deployed</span>
+                  )}
+                </div>
+
+                <div className="p-3 text-xs space-y-2 bg-white dark:bg-gray-800">
+                  {account.balanceChanged && (
+                    <div className="flex items-start">
+                      <span className="font-medium text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">Balance:</span>
+                      <span className="font-mono ml-2">
+                        {window.ethers.utils.formatEther(account.balanceBefore)} → {window.ethers.utils.formatEther(account.balanceAfter)} {nativeSymbol}
+                        <span className={`ml-2 font-semibold ${
+                          window.ethers.BigNumber.from(account.balanceAfter).lt(account.balanceBefore) ? 'text-red-600' : 'text-green-600'
+                        }`}>
+                          ({formatDelta(account.balanceBefore, account.balanceAfter, 18)})
+                        </span>
+                      </span>
+                    </div>
+                  )}
+
+                  {account.nonceAfter !== account.nonceBefore && (
+                    <div className="flex items-start">
+                      <span className="font-medium text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">Nonce:</span>
+                      <span className="font-mono ml-2">{account.nonceBefore} → {account.nonceAfter}</span>
+                    </div>
+                  )}
+
+                  {account.storage.length > 0 && (
+                    <div className="flex items-start">
+                      <span className="font-medium text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">Storage:</span>
+                      <div className="ml-2 space-y-1 w-full">
+                        {account.storage.map(change => {
+                          const balanceSlot = tokenSlots[change.slot];
+                          const decimals = token?.decimals;
+
+                          return (
+                            <div key={change.slot} className="bg-gray-100 dark:bg-gray-700 p-1 rounded border border-gray-200 dark:border-gray-600">
+                              <div className="font-mono text-gray-500 break-all" title={change.slot}>
+                                slot {shortHex(change.slot)}
+                              </div>
+                              {balanceSlot ? (
+                                <div className="font-mono text-gray-800 dark:text-gray-200">
+                                  <span className="text-indigo-700">balanceOf({shortHex(balanceSlot.holder, 6, 4)})</span>{' '}
+                                  {decimals !== undefined ? (
+                                    <>
+                                      {window.ethers.utils.formatUnits(change.before, decimals)} → {window.ethers.utils.formatUnits(change.after, decimals)}
+                                      <span className="ml-1 font-semibold">
+                                        ({formatDelta(change.before, change.after, decimals)} {token?.symbol?.toUpperCase()})
+                                      </span>
+                                    </>
+                                  ) : (
+                                    <>
+                                      {window.ethers.BigNumber.from(change.before).toString()} → {window.ethers.BigNumber.from(change.after).toString()}
+                                      <span className="ml-1 text-gray-500">(raw units)</span>
+                                    </>
+                                  )}
+                                </div>
+                              ) : (
+                                <div className="font-mono text-gray-800 dark:text-gray-200 break-all">
+                                  {shortHex(change.before, 18, 16)} → {shortHex(change.after, 18, 16)}
+                                </div>
+                              )}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StateChangesPanel;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  extractSwapEvents,
+  fetchPoolTokens,
+  describeSwaps,
+  buildSwapRoutes
+} from '../utils/swapUtils';
+import AddressLabel from './AddressLabel';
+
+// Format a decimal amount without drowning small values in zeros
+const formatAmount = (value) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return '?';
+  if (value === 0) return '0';
+  if (Math.abs(value) < 0.0001) return value.toExponential(4);
+  return value.toLocaleString(undefined, { maximumFractionDigits: 6 });
+};
+
+/**
+ * Swaps Panel Component - shows Uniswap V2/V3 swaps of a transaction and chains them into routes
+ */
+export const SwapsPanel = ({ rpcUrl, decodedLogs = [] }) => {
+  const [poolInfo, setPoolInfo] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const swaps = useMemo(() => extractSwapEvents(decodedLogs), [decodedLogs]);
+
+  useEffect(() => {
+    if (!rpcUrl || swaps.length === 0) return;
+
+    let cancelled = false;
+    const loadPools = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const pools = Array.from(new Set(swaps.map(swap => swap.pool)));
+        const info = await fetchPoolTokens(rpcUrl, pools);
+        if (!cancelled) setPoolInfo(info);
+      } catch (err) {
+        console.error('Failed to resolve pool tokens:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadPools();
+    return () => {
+      cancelled = true;
+    };
+  }, [rpcUrl, swaps]);
+
+  const describedSwaps = useMemo(() => (poolInfo ? describeSwaps(swaps, poolInfo) : []), [swaps, poolInfo]);
+  const routes = useMemo(() => buildSwapRoutes(describedSwaps), [describedSwaps]);
+
+  if (swaps.length === 0) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
+      <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center -m-6 mb-6">
+        <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200">
+          <i className="fas fa-right-left mr-2"></i>
+          Swaps ({swaps.length})
+        </h3>
+      </div>
+
+      {loading && (
+        <div className="flex items-center justify-center py-3">
+          <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500"></div>
+          <span className="ml-2 text-sm text-blue-600">Resolving pool tokens...</span>
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 bg-red-100 text-red-700 rounded-lg border border-red-200 text-sm">
+          {error}
+        </div>
+      )}
+
+      {routes.length > 0 && (
+        <div className="space-y-4">
+          {routes.map((route, routeIndex) => (
+            <div key={routeIndex} className="border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden">
+              {/* Route summary */}
+              <div className="bg-gray-50 dark:bg-gray-700 px-3 py-2 border-b border-gray-200 dark:border-gray-600">
+                <div className="flex flex-wrap items-center gap-2 text-sm font-semibold text-gray-800 dark:text-gray-200">
+                  <span className="font-mono">{formatAmount(route.amountInDecimal)} {route.tokenInInfo.symbol}</span>
+                  <i className="fas fa-arrow-right text-gray-400"></i>
+                  <span className="font-mono">{formatAmount(route.amountOutDecimal)} {route.tokenOutInfo.symbol}</span>
+                  {route.hops.length > 1 && (
+                    <span className="text-xs bg-indigo-100 text-indigo-700 px-2 py-0.5 rounded">
+                      {route.hops.length}-hop route
+                    </span>
+                  )}
+                </div>
+                {route.price !== null && (
+                  <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    {route.hops.length > 1 && (
+                      <span className="mr-2">
+                        {[route.hops[0].tokenInInfo.symbol, ...route.hops.map(hop => hop.tokenOutInfo.symbol)].join(' → ')}
+                      </span>
+                    )}
+                    1 {route.tokenInInfo.symbol} = {formatAmount(route.price)} {route.tokenOutInfo.symbol}
+                    {route.price > 0 && ` · 1 ${route.tokenOutInfo.symbol} = ${formatAmount(1 / route.price)} ${route.tokenInInfo.symbol}`}
+                  </div>
+                )}
+              </div>
+
+              {/* Hops */}
+              <div className="p-3 space-y-2 text-xs bg-white dark:bg-gray-800">
+                {route.hops.map(hop => (
+                  <div key={hop.logIndex} className="bg-gray-100 dark:bg-gray-700 p-2 rounded border border-gray-200 dark:border-gray-600">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className="font-mono font-semibold text-gray-800 dark:text-gray-200">
+                        {formatAmount(hop.amountInDecimal)} {hop.tokenInInfo.symbol} → {formatAmount(hop.amountOutDecimal)} {hop.tokenOutInfo.symbol}
+                      </span>
+                      <span className="bg-blue-100 text-blue-700 px-1 rounded">{hop.protocol}</span>
+                      <span className="text-gray-500">{hop.direction}</span>
+                    </div>
+                    <div className="mt-1 text-gray-600 dark:text-gray-400 space-x-3">
+                      <span>
+                        Pool{' '}
+                        <AddressLabel address={hop.pool} short />
+                        <button
+                          onClick={() => navigator.clipboard?.writeText(hop.pool)}
+                          className="text-gray-400 hover:text-blue-500 ml-1 transition-colors"
+                          title="Copy pool address"
+                        >
+                          <i className="fa-regular fa-copy"></i>
+                        </button>
+                      </span>
+                      {hop.price !== null && (
+                        <span>Price: 1 {hop.tokenInInfo.symbol} = {formatAmount(hop.price)} {hop.tokenOutInfo.symbol}</span>
+                      )}
+                      <span>Log #{hop.logIndex}</span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {poolInfo && describedSwaps.length < swaps.length && (
+        <div className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+          <i className="fas fa-info-circle mr-1"></i>
+          {swaps.length - describedSwaps.length} swap event(s) could not be resolved to a token pair.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SwapsPanel;
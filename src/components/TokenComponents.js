@@ -168,8 +168,33 @@ export const TokenDisplay = ({
   return null;
 };
 
+/**
+ * Historical USD Value Component - USD value of an amount at a past price ("then") next to the current price ("now")
+ */
+export const HistoricalUsdValue = ({ amount, priceThen, priceNow, className = 'text-green-600 font-semibold', decimals = 2 }) => {
+  const valueThen = priceThen ? amount * priceThen : null;
+  const valueNow = priceNow ? amount * priceNow : null;
+  if (!valueThen && !valueNow) return null;
+
+  const title = [
+    priceThen ? `Then: $${priceThen.toFixed(6)} USD per token` : null,
+    priceNow ? `Now: $${priceNow.toFixed(6)} USD per token` : null
+  ].filter(Boolean).join('\n');
+
+  return (
+    <span className={className} title={title}>
+      {' '}(
+      {valueThen !== null && <>then ${valueThen.toFixed(decimals)}</>}
+      {valueThen !== null && valueNow !== null && ' · '}
+      {valueNow !== null && <>now ${valueNow.toFixed(decimals)}</>}
+      )
+    </span>
+  );
+};
+
 /**
  * Token Value Display Component - shows formatted amount with USD value
+ * (and the value at historicalPrice when given)
  */
 export const TokenValueDisplay = ({ 
   token,
@@ -177,6 +202,7 @@ export const TokenValueDisplay = ({
   contractAddress,
   isLoading = false,
   showUsdValue = true,
+  historicalPrice = null,
   amountClassName = 'font-mono font-semibold text-green-700',
   usdClassName = 'text-green-600 font-semibold'
 }) => {
@@ -214,7 +240,15 @@ export const TokenValueDisplay = ({
   return (
     <>
       <span className={amountClassName}>{formattedValue}</span>
-      {showUsdValue && usdValue > 0 && (
+      {showUsdValue && historicalPrice && tokenAmount > 0 && (
+        <HistoricalUsdValue
+          amount={tokenAmount}
+          priceThen={historicalPrice}
+          priceNow={token.price}
+          className={usdClassName}
+        />
+      )}
+      {showUsdValue && !historicalPrice && usdValue > 0 && (
         <span 
           className={usdClassName}
           title={`$${token.price?.toFixed(6)} USD per token`}
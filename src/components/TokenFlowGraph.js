@@ -0,0 +1,285 @@
+import React, { useState, useMemo } from 'react';
+import { CopyAddressButton } from './TokenComponents';
+import { NATIVE_TOKEN_KEY } from '../utils/tokenFlowUtils';
+import { useAddressLabels } from '../hooks/useAddressLabels';
+
+const NODE_WIDTH = 170;
+const NODE_HEIGHT = 46;
+const COLUMN_SPACING = 250;
+const ROW_SPACING = 84;
+const PADDING = 40;
+
+const EDGE_COLORS = {
+  token: '#3b82f6',
+  native: '#ca8a04',
+  in: '#16a34a',
+  out: '#dc2626'
+};
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Place nodes in columns: every receiver sits one column right of the first address that sent to it
+const layoutNodes = (nodes, edges) => {
+  const columns = {};
+  nodes.filter(node => node.isSender).forEach(node => {
+    columns[node.address] = 0;
+  });
+  edges.forEach(edge => {
+    if (columns[edge.from] === undefined) columns[edge.from] = 0;
+    if (columns[edge.to] === undefined) columns[edge.to] = columns[edge.from] + 1;
+  });
+
+  const rows = {};
+  const positions = {};
+  nodes.forEach(node => {
+    const column = columns[node.address] || 0;
+    const row = rows[column] || 0;
+    rows[column] = row + 1;
+    positions[node.address] = {
+      x: PADDING + column * COLUMN_SPACING,
+      y: PADDING + row * ROW_SPACING
+    };
+  });
+
+  const columnCount = Math.max(0, ...Object.values(columns)) + 1;
+  const rowCount = Math.max(1, ...Object.values(rows));
+  return {
+    positions,
+    width: PADDING * 2 + (columnCount - 1) * COLUMN_SPACING + NODE_WIDTH,
+    height: PADDING * 2 + (rowCount - 1) * ROW_SPACING + NODE_HEIGHT
+  };
+};
+
+// Quadratic curve between two nodes; parallel edges between the same pair fan out
+const edgePath = (source, target, parallelIndex) => {
+  const forward = target.x > source.x;
+  const sameColumn = target.x === source.x;
+  const start = {
+    x: forward || sameColumn ? source.x + NODE_WIDTH : source.x,
+    y: source.y + NODE_HEIGHT / 2
+  };
+  const end = {
+    x: forward ? target.x : target.x + NODE_WIDTH,
+    y: target.y + NODE_HEIGHT / 2
+  };
+
+  const offset = (parallelIndex % 2 === 0 ? 1 : -1) * (18 + Math.floor(parallelIndex / 2) * 22);
+  const control = sameColumn
+    ? { x: start.x + 60 + Math.abs(offset), y: (start.y + end.y) / 2 }
+    : { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 + offset };
+
+  return {
+    d: `M ${start.x} ${start.y} Q ${control.x} ${control.y} ${end.x} ${end.y}`,
+    // Point of the curve at t = 0.5, used for the label
+    label: {
+      x: 0.25 * start.x + 0.5 * control.x + 0.25 * end.x,
+      y: 0.25 * start.y + 0.5 * control.y + 0.25 * end.y
+    }
+  };
+};
+
+/**
+ * Token Flow Graph Component - directed graph of all Transfer/Deposit/Withdrawal movements of a transaction
+ */
+export const TokenFlowGraph = ({
+  graph,
+  tokenData = {},
+  nativeSymbol = 'ETH'
+}) => {
+  const [selectedAddress, setSelectedAddress] = useState(null);
+  const { nodes = [], edges = [] } = graph || {};
+
+  const { tags } = useAddressLabels();
+  const layout = useMemo(() => layoutNodes(nodes, edges), [nodes, edges]);
+
+  const nodeLabel = (address) => tags[address]?.tag || shortAddress(window.ethers.utils.getAddress(address));
+
+  const formatEdgeAmount = (edge) => {
+    const isNative = edge.token === NATIVE_TOKEN_KEY;
+    const token = isNative ? null : tokenData[edge.token];
+    const decimals = isNative ? 18 : token?.decimals;
+    const symbol = isNative ? nativeSymbol : token?.symbol || shortAddress(edge.token);
+    if (decimals === undefined) return `${edge.amount} raw ${symbol}`;
+
+    const amount = parseFloat(window.ethers.utils.formatUnits(edge.amount, decimals));
+    const formatted = amount !== 0 && Math.abs(amount) < 0.0001
+      ? amount.toExponential(3)
+      : amount.toLocaleString(undefined, { maximumFractionDigits: 4 });
+    return `${formatted} ${symbol}`;
+  };
+
+  const edgePaths = useMemo(() => {
+    const pairCounts = {};
+    return edges
+      .filter(edge => edge.from !== edge.to)
+      .map(edge => {
+        const pairKey = [edge.from, edge.to].sort().join('-');
+        const parallelIndex = pairCounts[pairKey] || 0;
+        pairCounts[pairKey] = parallelIndex + 1;
+        return { edge, ...edgePath(layout.positions[edge.from], layout.positions[edge.to], parallelIndex) };
+      });
+  }, [edges, layout]);
+
+  if (nodes.length === 0) return null;
+
+  const edgeColor = (edge) => {
+    if (selectedAddress) {
+      if (edge.to === selectedAddress) return 'in';
+      if (edge.from === selectedAddress) return 'out';
+    }
+    return edge.token === NATIVE_TOKEN_KEY ? 'native' : 'token';
+  };
+  const isDimmed = (edge) => selectedAddress && edge.from !== selectedAddress && edge.to !== selectedAddress;
+
+  const selectedFlows = selectedAddress
+    ? {
+        incoming: edges.filter(edge => edge.to === selectedAddress),
+        outgoing: edges.filter(edge => edge.from === selectedAddress)
+      }
+    : null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
+      <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center -m-6 mb-6">
+        <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200">
+          <i className="fas fa-diagram-project mr-2"></i>
+          Token Flow Graph
+        </h3>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          {nodes.length} addresses · {edges.length} movements
+        </span>
+      </div>
+
+      <div className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+        <i className="fas fa-info-circle mr-1"></i>
+        Click an address to highlight its incoming (green) and outgoing (red) flows. Edge labels show the log index and amount.
+      </div>
+
+      <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg bg-gray-50 dark:bg-gray-900">
+        <svg width={layout.width} height={layout.height} className="block">
+          <defs>
+            {Object.entries(EDGE_COLORS).map(([name, color]) => (
+              <marker
+                key={name}
+                id={`flow-arrow-${name}`}
+                viewBox="0 0 10 10"
+                refX="9"
+                refY="5"
+                markerWidth="7"
+                markerHeight="7"
+                orient="auto-start-reverse"
+              >
+                <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+              </marker>
+            ))}
+          </defs>
+
+          {edgePaths.map(({ edge, d, label }) => {
+            const color = edgeColor(edge);
+            return (
+              <g key={edge.id} opacity={isDimmed(edge) ? 0.15 : 1}>
+                <path
+                  d={d}
+                  fill="none"
+                  stroke={EDGE_COLORS[color]}
+                  strokeWidth={selectedAddress && !isDimmed(edge) ? 2.5 : 1.5}
+                  markerEnd={`url(#flow-arrow-${color})`}
+                >
+                  <title>{`${edge.kind}${edge.logIndex !== null ? ` #${edge.logIndex}` : ''}: ${formatEdgeAmount(edge)}`}</title>
+                </path>
+                <text
+                  x={label.x}
+                  y={label.y - 4}
+                  textAnchor="middle"
+                  fontSize="10"
+                  fill={EDGE_COLORS[color]}
+                  className="font-mono"
+                  style={{ paintOrder: 'stroke', stroke: 'white', strokeWidth: 3 }}
+                >
+                  {edge.logIndex !== null ? `#${edge.logIndex} ` : ''}{formatEdgeAmount(edge)}
+                </text>
+              </g>
+            );
+          })}
+
+          {nodes.map(node => {
+            const position = layout.positions[node.address];
+            const isSelected = selectedAddress === node.address;
+            const isTagged = Boolean(tags[node.address]?.tag);
+            return (
+              <g
+                key={node.address}
+                transform={`translate(${position.x}, ${position.y})`}
+                onClick={() => setSelectedAddress(isSelected ? null : node.address)}
+                style={{ cursor: 'pointer' }}
+              >
+                <title>{window.ethers.utils.getAddress(node.address)}</title>
+                <rect
+                  width={NODE_WIDTH}
+                  height={NODE_HEIGHT}
+                  rx="8"
+                  fill={isSelected ? '#dbeafe' : node.isSender ? '#eff6ff' : 'white'}
+                  stroke={isSelected ? '#2563eb' : node.isSender ? '#3b82f6' : '#9ca3af'}
+                  strokeWidth={isSelected ? 2.5 : 1.5}
+                />
+                <text
+                  x={NODE_WIDTH / 2}
+                  y={isTagged || node.isSender ? 19 : 28}
+                  textAnchor="middle"
+                  fontSize="12"
+                  fontWeight="600"
+                  fill="#1f2937"
+                  className={isTagged ? '' : 'font-mono'}
+                >
+                  {nodeLabel(node.address)}
+                </text>
+                {(isTagged || node.isSender) && (
+                  <text x={NODE_WIDTH / 2} y="35" textAnchor="middle" fontSize="10" fill="#6b7280" className="font-mono">
+                    {node.isSender ? 'sender' : ''}{node.isSender && isTagged ? ' · ' : ''}{isTagged ? shortAddress(node.address) : ''}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      {/* Flows of the selected address */}
+      {selectedFlows && (
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4 text-xs">
+          {[
+            { title: 'Incoming', flows: selectedFlows.incoming, counterparty: 'from', color: 'text-green-600' },
+            { title: 'Outgoing', flows: selectedFlows.outgoing, counterparty: 'to', color: 'text-red-600' }
+          ].map(({ title, flows, counterparty, color }) => (
+            <div key={title} className="bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg p-3">
+              <div className={`font-semibold mb-2 ${color}`}>
+                {title} ({flows.length})
+              </div>
+              {flows.length === 0 ? (
+                <div className="text-gray-500 italic">None</div>
+              ) : (
+                <div className="space-y-1">
+                  {flows.map(edge => (
+                    <div key={edge.id} className="flex items-center justify-between gap-2">
+                      <span className="text-gray-600 dark:text-gray-300">
+                        {edge.logIndex !== null ? `#${edge.logIndex}` : edge.kind} {counterparty}{' '}
+                        <span className="font-mono" title={edge[counterparty]}>{nodeLabel(edge[counterparty])}</span>
+                      </span>
+                      <span className={`font-mono font-semibold ${color}`}>{formatEdgeAmount(edge)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+          <div className="md:col-span-2 flex items-center text-gray-600 dark:text-gray-300">
+            <span className="font-mono">{window.ethers.utils.getAddress(selectedAddress)}</span>
+            <CopyAddressButton address={window.ethers.utils.getAddress(selectedAddress)} className="text-gray-400 hover:text-blue-500 ml-2 transition-colors" />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TokenFlowGraph;
@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import AddressLabel from './AddressLabel';
+import { CopyAddressButton } from './TokenComponents';
+import { makeDirectRpcCall } from '../utils/blockchainUtils';
+import { recoverAuthorizationAuthority } from '../utils/rawTransactionUtils';
+
+// Code of an EIP-7702 delegated account: 0xef0100 || delegate address
+const DELEGATION_PREFIX = '0xef0100';
+
+const formatGwei = (value) => (value ? `${window.ethers.utils.formatUnits(value, 'gwei')} Gwei` : 'N/A');
+
+/**
+ * Access List Component - accessed addresses with their pre-warmed storage slots
+ */
+const AccessList = ({ accessList }) => {
+  const slotCount = accessList.reduce((total, entry) => total + entry.storageKeys.length, 0);
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-200 mb-2">
+        <i className="fas fa-list-check mr-2"></i>
+        Access List ({accessList.length} {accessList.length === 1 ? 'address' : 'addresses'}, {slotCount} {slotCount === 1 ? 'slot' : 'slots'})
+      </h3>
+      {accessList.length === 0 ? (
+        <div className="text-xs text-gray-500 italic">Empty access list</div>
+      ) : (
+        <div className="space-y-2">
+          {accessList.map((entry, index) => (
+            <div key={`${entry.address}-${index}`} className="bg-gray-50 dark:bg-gray-700 p-2 rounded border border-gray-200 dark:border-gray-600 text-xs">
+              <div className="flex items-center gap-2">
+                <AddressLabel address={entry.address} />
+                <CopyAddressButton address={entry.address} />
+                <span className="text-gray-500">{entry.storageKeys.length} {entry.storageKeys.length === 1 ? 'slot' : 'slots'}</span>
+              </div>
+              {entry.storageKeys.length > 0 && (
+                <ul className="mt-1 ml-4 space-y-0.5">
+                  {entry.storageKeys.map(slot => (
+                    <li key={slot} className="font-mono text-gray-600 dark:text-gray-300 break-all">{slot}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Blob Details Component - EIP-4844 blob fields of the transaction and its receipt
+ */
+const BlobDetails = ({ transaction, receipt, nativeSymbol }) => {
+  const blobHashes = transaction.blobVersionedHashes || [];
+  const blobFee = receipt?.blobGasUsed && receipt?.blobGasPrice
+    ? window.ethers.BigNumber.from(receipt.blobGasUsed).mul(receipt.blobGasPrice)
+    : null;
+
+  const rows = [
+    ['Max Fee Per Blob Gas', formatGwei(transaction.maxFeePerBlobGas)],
+    ['Blob Gas Used', receipt?.blobGasUsed ? parseInt(receipt.blobGasUsed, 16).toLocaleString() : 'N/A'],
+    ['Blob Gas Price', formatGwei(receipt?.blobGasPrice)],
+    ['Blob Fee', blobFee ? `${window.ethers.utils.formatEther(blobFee)} ${nativeSymbol}` : 'N/A'],
+  ];
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-200 mb-2">
+        <i className="fas fa-cubes mr-2"></i>
+        Blobs ({blobHashes.length})
+      </h3>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-xs mb-3">
+        {rows.map(([label, value]) => (
+          <div key={label} className="flex justify-between bg-gray-50 dark:bg-gray-700 p-2 rounded border border-gray-200 dark:border-gray-600">
+            <span className="text-gray-500 dark:text-gray-400">{label}</span>
+            <span className="font-mono">{value}</span>
+          </div>
+        ))}
+      </div>
+      <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">Blob versioned hashes</div>
+      <ul className="space-y-0.5 text-xs">
+        {blobHashes.map((hash, index) => (
+          <li key={hash} className="font-mono text-gray-700 dark:text-gray-300 break-all">
+            <span className="text-gray-400 mr-2">#{index}</span>{hash}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * Authorization List Component - EIP-7702 authorizations with recovered authorities, delegate targets
+ * and the delegation currently set on each authority
+ */
+const AuthorizationList = ({ authorizationList, rpcUrl }) => {
+  const authorizations = useMemo(() => authorizationList.map(authorization => ({
+    ...authorization,
+    authority: authorization.authority || recoverAuthorizationAuthority(authorization)
+  })), [authorizationList]);
+  const [currentDelegations, setCurrentDelegations] = useState({});
+
+  useEffect(() => {
+    if (!rpcUrl) return;
+    let cancelled = false;
+
+    const loadDelegations = async () => {
+      const authorities = Array.from(new Set(authorizations.map(auth => auth.authority).filter(Boolean)));
+      const results = {};
+      await Promise.all(authorities.map(async (authority) => {
+        try {
+          const code = await makeDirectRpcCall(rpcUrl, 'eth_getCode', [authority, 'latest']);
+          results[authority] = code && code.toLowerCase().startsWith(DELEGATION_PREFIX)
+            ? window.ethers.utils.getAddress(`0x${code.slice(DELEGATION_PREFIX.length)}`)
+            : null;
+        } catch (err) {
+          console.error('Failed to fetch authority code:', err);
+        }
+      }));
+      if (!cancelled) setCurrentDelegations(results);
+    };
+
+    loadDelegations();
+    return () => {
+      cancelled = true;
+    };
+  }, [authorizations, rpcUrl]);
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-200 mb-2">
+        <i className="fas fa-user-shield mr-2"></i>
+        Authorizations ({authorizations.length})
+      </h3>
+      <div className="space-y-2">
+        {authorizations.map((auth, index) => {
+          const delegate = window.ethers.utils.getAddress(auth.address);
+          const isRevocation = delegate === window.ethers.constants.AddressZero;
+          const current = currentDelegations[auth.authority];
+
+          return (
+            <div key={index} className="bg-gray-50 dark:bg-gray-700 p-2 rounded border border-gray-200 dark:border-gray-600 text-xs space-y-1">
+              <div className="flex items-center gap-2">
+                <span className="text-gray-500 w-24 flex-shrink-0">Authority</span>
+                {auth.authority ? <AddressLabel address={auth.authority} /> : <span className="text-red-600">Invalid signature</span>}
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="text-gray-500 w-24 flex-shrink-0">Delegates to</span>
+                {isRevocation ? (
+                  <span className="text-orange-600 font-semibold">Clears delegation (zero address)</span>
+                ) : (
+                  <AddressLabel address={delegate} />
+                )}
+              </div>
+              <div className="flex items-center gap-4 text-gray-600 dark:text-gray-300">
+                <span>Chain: {parseInt(auth.chainId, 16) === 0 ? 'any' : parseInt(auth.chainId, 16)}</span>
+                <span>Nonce: {parseInt(auth.nonce, 16)}</span>
+              </div>
+              {auth.authority && current !== undefined && (
+                <div className="text-gray-500">
+                  Current code:{' '}
+                  {current
+                    ? <>delegated to <span className="font-mono">{current}</span>{current === delegate && ' (this authorization)'}</>
+                    : 'no delegation'}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Typed Transaction Details Component - access lists (types 1-4), blobs (type 3) and
+ * EIP-7702 authorizations (type 4)
+ */
+export const TypedTransactionDetails = ({ transaction, receipt, rpcUrl, nativeSymbol = 'ETH' }) => {
+  if (!transaction) return null;
+
+  const type = transaction.type ? parseInt(transaction.type, 16) : 0;
+  const hasAccessList = type >= 1 && Array.isArray(transaction.accessList);
+  const isBlob = type === 3;
+  const hasAuthorizations = type === 4 && Array.isArray(transaction.authorizationList);
+
+  if (!hasAccessList && !isBlob && !hasAuthorizations) return null;
+
+  return (
+    <div className="w-full max-w-2xl bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
+      <h2 className="text-2xl font-bold mb-6 text-gray-800 dark:text-gray-200">Typed Transaction Fields</h2>
+      <div className="space-y-6">
+        {hasAuthorizations && <AuthorizationList authorizationList={transaction.authorizationList} rpcUrl={rpcUrl} />}
+        {isBlob && <BlobDetails transaction={transaction} receipt={receipt} nativeSymbol={nativeSymbol} />}
+        {hasAccessList && <AccessList accessList={transaction.accessList} />}
+      </div>
+    </div>
+  );
+};
+
+export default TypedTransactionDetails;
@@ -1,9 +1,15 @@
 // Chain data sourced from https://api.llama.fi/v2/chains on August 17, 2025
 // Organized by chainId as key for efficient lookups
+// `rpcUrls` are public endpoints maintained by hand (used e.g. to look up a transaction on every chain)
+// `nameService` is an ENS-compatible registry used for reverse/forward name resolution on that chain
+// `nativeGeckoId` and `nativeSymbol` are the CoinGecko id and symbol of the coin fees are paid in;
+// `gecko_id` and `tokenSymbol` are the chain's own token (e.g. OP on OP Mainnet, where fees are paid in ETH)
 
 export const chainsData = {
   1666600000: {
     gecko_id: "harmony",
+    nativeGeckoId: "harmony",
+    nativeSymbol: "ONE",
     tvl: 1447536.43086931,
     tokenSymbol: "ONE",
     cmcId: "3945",
@@ -11,6 +17,8 @@ export const chainsData = {
   },
   1313161554: {
     gecko_id: "aurora-near",
+    nativeGeckoId: "ethereum",
+    nativeSymbol: "ETH",
     tvl: 4685505.85467315,
     tokenSymbol: "AURORA",
     cmcId: "14803",
@@ -18,6 +26,8 @@ export const chainsData = {
   },
   42793: {
     gecko_id: null,
+    nativeGeckoId: "tezos",
+    nativeSymbol: "XTZ",
     tvl: 45900862.5549598,
     tokenSymbol: null,
     cmcId: null,
@@ -25,6 +35,8 @@ export const chainsData = {
   },
   57073: {
     gecko_id: null,
+    nativeGeckoId: "ethereum",
+    nativeSymbol: "ETH",
     tvl: 9583594.58546253,
     tokenSymbol: null,
     cmcId: null,
@@ -32,10 +44,13 @@ export const chainsData = {
   },
   42220: {
     gecko_id: "celo",
+    nativeGeckoId: "celo",
+    nativeSymbol: "CELO",
     tvl: 83778049.5775139,
     tokenSymbol: "CELO",
     cmcId: "5567",
-    name: "Celo"
+    name: "Celo",
+    rpcUrls: ["https://forno.celo.org"]
   },
   21000000: {
     gecko_id: null,
@@ -46,6 +61,8 @@ export const chainsData = {
   },
   239: {
     gecko_id: "tac",
+    nativeGeckoId: "tac",
+    nativeSymbol: "TAC",
     tvl: 209413263.240837,
     tokenSymbol: "TAC",
     cmcId: null,
@@ -53,10 +70,13 @@ export const chainsData = {
   },
   1284: {
     gecko_id: "moonbeam",
+    nativeGeckoId: "moonbeam",
+    nativeSymbol: "GLMR",
     tvl: 8012492.60017388,
     tokenSymbol: "GLMR",
     cmcId: "6836",
-    name: "Moonbeam"
+    name: "Moonbeam",
+    rpcUrls: ["https://rpc.api.moonbeam.network"]
   },
   252: {
     gecko_id: "fraxtal",
@@ -67,20 +87,28 @@ export const chainsData = {
   },
   146: {
     gecko_id: "sonic-3",
+    nativeGeckoId: "sonic-3",
+    nativeSymbol: "S",
     tvl: 452618432.341368,
     tokenSymbol: "S",
     cmcId: null,
-    name: "Sonic"
+    name: "Sonic",
+    rpcUrls: ["https://rpc.soniclabs.com"]
   },
   5000: {
     gecko_id: "mantle",
+    nativeGeckoId: "mantle",
+    nativeSymbol: "MNT",
     tvl: 246033684.424775,
     tokenSymbol: "MNT",
     cmcId: "27075",
-    name: "Mantle"
+    name: "Mantle",
+    rpcUrls: ["https://rpc.mantle.xyz"]
   },
   98866: {
     gecko_id: "plume",
+    nativeGeckoId: "plume",
+    nativeSymbol: "PLUME",
     tvl: 266364649.665735,
     tokenSymbol: "PLUME",
     cmcId: "35364",
@@ -88,20 +116,28 @@ export const chainsData = {
   },
   56: {
     gecko_id: "binancecoin",
+    nativeGeckoId: "binancecoin",
+    nativeSymbol: "BNB",
     tvl: 7289506630.19932,
     tokenSymbol: "BNB",
     cmcId: "1839",
-    name: "BSC"
+    name: "BSC",
+    rpcUrls: ["https://bsc-dataseed.binance.org", "https://bsc-rpc.publicnode.com"]
   },
   100: {
     gecko_id: "gnosis",
+    nativeGeckoId: "xdai",
+    nativeSymbol: "xDAI",
     tvl: 351523432.816459,
     tokenSymbol: "GNO",
     cmcId: "1659",
-    name: "Gnosis"
+    name: "Gnosis",
+    rpcUrls: ["https://rpc.gnosischain.com", "https://gnosis-rpc.publicnode.com"]
   },
   167000: {
     gecko_id: null,
+    nativeGeckoId: "ethereum",
+    nativeSymbol: "ETH",
     tvl: 2919257.59458989,
     tokenSymbol: null,
     cmcId: null,
@@ -109,60 +145,85 @@ export const chainsData = {
   },
   250: {
     gecko_id: "fantom",
+    nativeGeckoId: "fantom",
+    nativeSymbol: "FTM",
     tvl: 16192688.1120384,
     tokenSymbol: "FTM",
     cmcId: "3513",
-    name: "Fantom"
+    name: "Fantom",
+    rpcUrls: ["https://fantom-rpc.publicnode.com"]
   },
   43114: {
     gecko_id: "avalanche-2",
+    nativeGeckoId: "avalanche-2",
+    nativeSymbol: "AVAX",
     tvl: 1976699437.04554,
     tokenSymbol: "AVAX",
     cmcId: "5805",
-    name: "Avalanche"
+    name: "Avalanche",
+    rpcUrls: ["https://api.avax.network/ext/bc/C/rpc", "https://avalanche-c-chain-rpc.publicnode.com"]
   },
   1: {
     gecko_id: "ethereum",
+    nativeGeckoId: "ethereum",
+    nativeSymbol: "ETH",
     tvl: 93518925875.6537,
     tokenSymbol: "ETH",
     cmcId: "1027",
-    name: "Ethereum"
+    name: "Ethereum",
+    rpcUrls: ["https://ethereum-rpc.publicnode.com", "https://eth.llamarpc.com"],
+    nameService: { name: "ENS", registry: "0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e" }
   },
   137: {
     gecko_id: "polygon-ecosystem-token",
+    nativeGeckoId: "polygon-ecosystem-token",
+    nativeSymbol: "POL",
     tvl: 1255891253.15489,
     tokenSymbol: "POL",
     cmcId: "28321",
-    name: "Polygon"
+    name: "Polygon",
+    rpcUrls: ["https://polygon-rpc.com", "https://polygon-bor-rpc.publicnode.com"]
   },
   10: {
     gecko_id: "optimism",
+    nativeGeckoId: "ethereum",
+    nativeSymbol: "ETH",
     tvl: 492144584.968249,
     tokenSymbol: "OP",
     cmcId: "11840",
-    name: "OP Mainnet"
+    name: "OP Mainnet",
+    rpcUrls: ["https://mainnet.optimism.io", "https://optimism-rpc.publicnode.com"]
   },
   8453: {
     gecko_id: null,
+    nativeGeckoId: "ethereum",
+    nativeSymbol: "ETH",
     tvl: 4880343128.92545,
     tokenSymbol: null,
     cmcId: null,
-    name: "Base"
+    name: "Base",
+    rpcUrls: ["https://mainnet.base.org", "https://base-rpc.publicnode.com"]
   },
   42161: {
     gecko_id: "arbitrum",
+    nativeGeckoId: "ethereum",
+    nativeSymbol: "ETH",
     tvl: 3302146974.95435,
     tokenSymbol: "ARB",
     cmcId: "11841",
-    name: "Arbitrum"
+    name: "Arbitrum",
+    rpcUrls: ["https://arb1.arbitrum.io/rpc", "https://arbitrum-one-rpc.publicnode.com"]
   },
   369: {
     gecko_id: "pulsechain",
+    nativeGeckoId: "pulsechain",
+    nativeSymbol: "PLS",
     tvl: 379131155.449014,
     tokenSymbol: "PLS",
     cmcId: "11145",
     name: "PulseChain",
-    nativeTokenAddress: "0xA1077a294dDE1B09bB078844df40758a5D0f9a27"
+    nativeTokenAddress: "0xA1077a294dDE1B09bB078844df40758a5D0f9a27",
+    rpcUrls: ["https://rpc-pulsechain.g4mm4.io", "https://rpc.pulsechain.com"]
   }
   // Add more chains as needed...
 };
@@ -0,0 +1,174 @@
+// Offline function selector and event topic database
+// Text signatures of widely used contracts (tokens, NFTs, DEX routers and pools, lending, proxies, multisigs),
+// keyed by 4-byte selector / topic0 so that calldata and logs can be decoded without the contract ABI.
+// A key may map to several candidate signatures when selectors collide.
+// More entries can be added locally from the Transaction page; those are kept in localStorage.
+
+export const functionSignatures = {
+  '0xa9059cbb': ['transfer(address,uint256)'],
+  '0x23b872dd': ['transferFrom(address,address,uint256)'],
+  '0x095ea7b3': ['approve(address,uint256)'],
+  '0x70a08231': ['balanceOf(address)'],
+  '0xdd62ed3e': ['allowance(address,address)'],
+  '0x18160ddd': ['totalSupply()'],
+  '0x06fdde03': ['name()'],
+  '0x95d89b41': ['symbol()'],
+  '0x313ce567': ['decimals()'],
+  '0x39509351': ['increaseAllowance(address,uint256)'],
+  '0xa457c2d7': ['decreaseAllowance(address,uint256)'],
+  '0xd505accf': ['permit(address,address,uint256,uint256,uint8,bytes32,bytes32)'],
+  '0x40c10f19': ['mint(address,uint256)'],
+  '0x42966c68': ['burn(uint256)'],
+  '0x79cc6790': ['burnFrom(address,uint256)'],
+  '0xd0e30db0': ['deposit()'],
+  '0x2e1a7d4d': ['withdraw(uint256)'],
+  '0x42842e0e': ['safeTransferFrom(address,address,uint256)'],
+  '0xb88d4fde': ['safeTransferFrom(address,address,uint256,bytes)'],
+  '0xf242432a': ['safeTransferFrom(address,address,uint256,uint256,bytes)'],
+  '0x2eb2c2d6': ['safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)'],
+  '0xa22cb465': ['setApprovalForAll(address,bool)'],
+  '0xe985e9c5': ['isApprovedForAll(address,address)'],
+  '0x6352211e': ['ownerOf(uint256)'],
+  '0xc87b56dd': ['tokenURI(uint256)'],
+  '0x0e89341c': ['uri(uint256)'],
+  '0x081812fc': ['getApproved(uint256)'],
+  '0x01ffc9a7': ['supportsInterface(bytes4)'],
+  '0x8da5cb5b': ['owner()'],
+  '0xf2fde38b': ['transferOwnership(address)'],
+  '0x715018a6': ['renounceOwnership()'],
+  '0xac9650d8': ['multicall(bytes[])'],
+  '0x5ae401dc': ['multicall(uint256,bytes[])'],
+  '0x252dba42': ['aggregate((address,bytes)[])'],
+  '0x82ad56cb': ['aggregate3((address,bool,bytes)[])'],
+  '0x174dea71': ['aggregate3Value((address,bool,uint256,bytes)[])'],
+  '0xbce38bd7': ['tryAggregate(bool,(address,bytes)[])'],
+  '0x399542e9': ['tryBlockAndAggregate(bool,(address,bytes)[])'],
+  '0xc3077fa9': ['blockAndAggregate((address,bytes)[])'],
+  '0x24856bc3': ['execute(bytes,bytes[])'],
+  '0x3593564c': ['execute(bytes,bytes[],uint256)'],
+  '0x38ed1739': ['swapExactTokensForTokens(uint256,uint256,address[],address,uint256)'],
+  '0x8803dbee': ['swapTokensForExactTokens(uint256,uint256,address[],address,uint256)'],
+  '0x7ff36ab5': ['swapExactETHForTokens(uint256,address[],address,uint256)'],
+  '0x4a25d94a': ['swapTokensForExactETH(uint256,uint256,address[],address,uint256)'],
+  '0x18cbafe5': ['swapExactTokensForETH(uint256,uint256,address[],address,uint256)'],
+  '0xfb3bdb41': ['swapETHForExactTokens(uint256,address[],address,uint256)'],
+  '0x5c11d795': ['swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)'],
+  '0xb6f9de95': ['swapExactETHForTokensSupportingFeeOnTransferTokens(uint256,address[],address,uint256)'],
+  '0x791ac947': ['swapExactTokensForETHSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)'],
+  '0xe8e33700': ['addLiquidity(address,address,uint256,uint256,uint256,uint256,address,uint256)'],
+  '0xf305d719': ['addLiquidityETH(address,uint256,uint256,uint256,address,uint256)'],
+  '0xbaa2abde': ['removeLiquidity(address,address,uint256,uint256,uint256,address,uint256)'],
+  '0x02751cec': ['removeLiquidityETH(address,uint256,uint256,uint256,address,uint256)'],
+  '0xaf2979eb': ['removeLiquidityETHSupportingFeeOnTransferTokens(address,uint256,uint256,uint256,address,uint256)'],
+  '0x022c0d9f': ['swap(uint256,uint256,address,bytes)'],
+  '0xbc25cf77': ['skim(address)'],
+  '0xfff6cae9': ['sync()'],
+  '0x0902f1ac': ['getReserves()'],
+  '0x0dfe1681': ['token0()'],
+  '0xd21220a7': ['token1()'],
+  '0xc45a0155': ['factory()'],
+  '0xad5c4648': ['WETH()'],
+  '0xe6a43905': ['getPair(address,address)'],
+  '0xc9c65396': ['createPair(address,address)'],
+  '0x414bf389': ['exactInputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))'],
+  '0xc04b8d59': ['exactInput((bytes,address,uint256,uint256,uint256))'],
+  '0xdb3e2198': ['exactOutputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))'],
+  '0xf28c0498': ['exactOutput((bytes,address,uint256,uint256,uint256))'],
+  '0x04e45aaf': ['exactInputSingle((address,address,uint24,address,uint256,uint256,uint160))'],
+  '0xb858183f': ['exactInput((bytes,address,uint256,uint256))'],
+  '0x49404b7c': ['unwrapWETH9(uint256,address)'],
+  '0x12210e8a': ['refundETH()'],
+  '0xdf2ab5bb': ['sweepToken(address,uint256,address)'],
+  '0x128acb08': ['swap(address,bool,int256,uint160,bytes)'],
+  '0x490e6cbc': ['flash(address,uint256,uint256,bytes)'],
+  '0xfc6f7865': ['collect((uint256,address,uint128,uint128))'],
+  '0x0c49ccbe': ['decreaseLiquidity((uint256,uint128,uint256,uint256,uint256))'],
+  '0x219f5d17': ['increaseLiquidity((uint256,uint256,uint256,uint256,uint256,uint256))'],
+  '0x88316456': ['mint((address,address,uint24,int24,int24,uint256,uint256,uint256,uint256,address,uint256))'],
+  '0x3850c7bd': ['slot0()'],
+  '0x1a686502': ['liquidity()'],
+  '0xddca3f43': ['fee()'],
+  '0xb6b55f25': ['deposit(uint256)'],
+  '0x6e553f65': ['deposit(uint256,address)'],
+  '0xb460af94': ['withdraw(uint256,address,address)'],
+  '0xba087652': ['redeem(uint256,address,address)'],
+  '0x94bf804d': ['mint(uint256,address)'],
+  '0xa694fc3a': ['stake(uint256)'],
+  '0x2e17de78': ['unstake(uint256)'],
+  '0x4e71d92d': ['claim()'],
+  '0x372500ab': ['claimRewards()'],
+  '0x3d18b912': ['getReward()'],
+  '0xe9fad8ee': ['exit()'],
+  '0x617ba037': ['supply(address,uint256,address,uint16)'],
+  '0xa415bcad': ['borrow(address,uint256,uint256,uint16,address)'],
+  '0x573ade81': ['repay(address,uint256,uint256,address)'],
+  '0x69328dec': ['withdraw(address,uint256,address)'],
+  '0xab9c4b5d': ['flashLoan(address,address[],uint256[],uint256[],address,bytes,uint16)'],
+  '0x474cf53d': ['depositETH(address,address,uint16)'],
+  '0x80500d20': ['withdrawETH(address,uint256,address)'],
+  '0x6a761202': ['execTransaction(address,uint256,bytes,uint8,uint256,uint256,uint256,address,address,bytes)'],
+  '0x3659cfe6': ['upgradeTo(address)'],
+  '0x4f1ef286': ['upgradeToAndCall(address,bytes)'],
+  '0x5c60da1b': ['implementation()'],
+  '0x52d1902d': ['proxiableUUID()'],
+  '0x8129fc1c': ['initialize()'],
+  '0x8456cb59': ['pause()'],
+  '0x3f4ba83a': ['unpause()'],
+  '0x5c975abb': ['paused()'],
+  '0x2f2ff15d': ['grantRole(bytes32,address)'],
+  '0xd547741f': ['revokeRole(bytes32,address)'],
+  '0x91d14854': ['hasRole(bytes32,address)'],
+  '0x4000aea0': ['transferAndCall(address,uint256,bytes)'],
+  '0x87517c45': ['approve(address,address,uint160,uint48)'],
+  '0x2b67b570': ['permit(address,((address,uint160,uint48,uint48),address,uint256),bytes)'],
+  '0x74694a2b': ['register(string,address,uint256,bytes32,address,bytes[],bool,uint16)'],
+  '0xf14fcbc8': ['commit(bytes32)'],
+  '0x10f13a8c': ['setText(bytes32,string,string)'],
+  '0x3b3b57de': ['addr(bytes32)'],
+  '0x0178b8bf': ['resolver(bytes32)'],
+  '0x691f3431': ['name(bytes32)'],
+  '0xfb0f3ee1': ['fulfillBasicOrder((address,uint256,uint256,address,address,address,uint256,uint256,uint8,uint256,uint256,bytes32,uint256,bytes32,bytes32,uint256,(uint256,address)[],bytes))'],
+  '0x40e58ee5': ['cancel(uint256)'],
+  '0x12aa3caf': ['swap(address,(address,address,address,address,uint256,uint256,uint256),bytes,bytes)'],
+  '0xe449022e': ['uniswapV3Swap(uint256,uint256,uint256[])'],
+  '0x0502b1c5': ['unoswap(address,uint256,uint256,uint256[])'],
+};
+
+export const eventSignatures = {
+  '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef': ['Transfer(address,address,uint256)'],
+  '0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925': ['Approval(address,address,uint256)'],
+  '0x17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31': ['ApprovalForAll(address,address,bool)'],
+  '0xc3d58168c5ae7397731d063d5bbf3d657854427343f4c083240f7aacaa2d0f62': ['TransferSingle(address,address,address,uint256,uint256)'],
+  '0x4a39dc06d4c0dbc64b70af90fd698a233a518aa5d07e595d983b8c0526c8f7fb': ['TransferBatch(address,address,address,uint256[],uint256[])'],
+  '0xe1fffcc4923d04b559f4d29a8bfc6cda04eb5b0d3c460751c2402c5c5cc9109c': ['Deposit(address,uint256)'],
+  '0x7fcf532c15f0a6db0bd6d0e038bea71d30d808c7d98cb3bf7268a95bf5081b65': ['Withdrawal(address,uint256)'],
+  '0xd78ad95fa46c994b6551d0da85fc275fe613ce37657fb8d5e3d130840159d822': ['Swap(address,uint256,uint256,uint256,uint256,address)'],
+  '0xc42079f94a6350d7e6235f29174924f928cc2ac818eb64fed8004e115fbcca67': ['Swap(address,address,int256,int256,uint160,uint128,int24)'],
+  '0x1c411e9a96e071241c2f21f7726b17ae89e3cab4c78be50e062b03a9fffbbad1': ['Sync(uint112,uint112)'],
+  '0x4c209b5fc8ad50758f13e2e1088ba56a560dff690a1c6fef26394f4c03821c4f': ['Mint(address,uint256,uint256)'],
+  '0xdccd412f0b1252819cb1fd330b93224ca42612892bb3f4f789976e6d81936496': ['Burn(address,uint256,uint256,address)'],
+  '0x0d3648bd0f6ba80134a33ba9275ac585d9d315f0ad8355cddefde31afa28d0e9': ['PairCreated(address,address,address,uint256)'],
+  '0x783cca1c0412dd0d695e784568c96da2e9c22ff989357a2e8b1d9b2b4e6b7118': ['PoolCreated(address,address,uint24,int24,address)'],
+  '0x8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0': ['OwnershipTransferred(address,address)'],
+  '0xbc7cd75a20ee27fd9adebab32041f755214dbc6bffa90cc0225b39da2e5c2d3b': ['Upgraded(address)'],
+  '0x7e644d79422f17c01e4894b5f4f588d331ebfa28653d42ae832dc59e38c9798f': ['AdminChanged(address,address)'],
+  '0x1cf3b03a6cf19fa2baba4df148e9dcabedea7f8a5c07840e207e5c089be95d3e': ['BeaconUpgraded(address)'],
+  '0x7f26b83ff96e1f2b6a682f133852f6798a09c465da95921460cefb3847402498': ['Initialized(uint8)'],
+  '0xc7f505b2f371ae2175ee4913f4499e1f2633a7b5936321eed1cdaeb6115181d2': ['Initialized(uint64)'],
+  '0x62e78cea01bee320cd4e420270b5ea74000d11b0c9f74754ebdbfc544b05a258': ['Paused(address)'],
+  '0x5db9ee0a495bf2e6ff9c91a7834c1ba4fdd244a5e8aa4e537bd38aeae4b073aa': ['Unpaused(address)'],
+  '0x2f8788117e7eff1d82e926ec794901d17c78024a50270940304540a733656f0d': ['RoleGranted(bytes32,address,address)'],
+  '0xf6391f5c32d9c69d2a47ea670b442974b53935d1edc7fd64eb21e047a839171b': ['RoleRevoked(bytes32,address,address)'],
+  '0xdcbc1c05240f31ff3ad067ef1ee35ce4997762752e3a095284754544f4c709d7': ['Deposit(address,address,uint256,uint256)'],
+  '0xfbde797d201c681b91056529119e0b02407c7bb96a4a2c75c01fc9667232c8db': ['Withdraw(address,address,address,uint256,uint256)'],
+  '0x9e71bc8eea02a63969f509818f2dafb9254532904319f9dbda79b67bd34a5f3d': ['Staked(address,uint256)'],
+  '0x7084f5476618d8e60b11ef0d7d3f06914655adb8793e28ff7f018d4c76d505d5': ['Withdrawn(address,uint256)'],
+  '0xe2403640ba68fed3a2f88b7557551d1993f84b99bb10ff833f0cf8db0c5e0486': ['RewardPaid(address,uint256)'],
+  '0x3067048beee31b25b2f1681f88dac838c8bba36af25bfb2b7cf7473a5847e35f': ['IncreaseLiquidity(uint256,uint128,uint256,uint256)'],
+  '0x26f6a048ee9138f2c0ce266f322cb99228e8d619ae2bff30c67f8dcf9d2377b4': ['DecreaseLiquidity(uint256,uint128,uint256,uint256)'],
+  '0x40d0efd1a53d60ecbf40971b9daf7dc90178c3aadc7aab1765632738fa8b8f01': ['Collect(uint256,address,uint256,uint256)'],
+  '0x442e715f626346e8c54381002da614f62bee8d27386535b2521ec8540898556e': ['ExecutionSuccess(bytes32,uint256)'],
+  '0x23428b18acfb3ea64b08dc0c1d296ea9c09702c09083ca5272e64d115b687d23': ['ExecutionFailure(bytes32,uint256)'],
+  '0xc6a377bfc4eb120024a8ac08eef205be16b817020812c73223e81d1bdb9708ec': ['Permit(address,address,address,uint160,uint48,uint48)'],
+  '0x69e37f151eb98a09618ddaa80c8cfaf1ce5996867c489f45b555b412271ebf27': ['NameRegistered(string,bytes32,address,uint256,uint256,uint256)'],
+};
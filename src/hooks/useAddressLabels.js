@@ -0,0 +1,71 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import {
+  getStoredTags,
+  setAddressTag,
+  ADDRESS_TAGS_CHANGED_EVENT
+} from '../utils/addressTagUtils';
+
+// Parsed tags shared by every hook instance, so a page with hundreds of labels parses the
+// store once per change and registers one pair of window listeners
+let cachedTags = null;
+const subscribers = new Set();
+
+const reloadTags = () => {
+  cachedTags = getStoredTags();
+  subscribers.forEach(callback => callback());
+};
+
+const handleStorage = (event) => {
+  if (event.key === 'addressTags') reloadTags();
+};
+
+const subscribe = (callback) => {
+  if (subscribers.size === 0) {
+    window.addEventListener(ADDRESS_TAGS_CHANGED_EVENT, reloadTags);
+    window.addEventListener('storage', handleStorage);
+  }
+  subscribers.add(callback);
+
+  return () => {
+    subscribers.delete(callback);
+    if (subscribers.size === 0) {
+      window.removeEventListener(ADDRESS_TAGS_CHANGED_EVENT, reloadTags);
+      window.removeEventListener('storage', handleStorage);
+      // Nothing listens for changes any more, so parse again on the next subscription
+      cachedTags = null;
+    }
+  };
+};
+
+const getSnapshot = () => {
+  if (cachedTags === null) cachedTags = getStoredTags();
+  return cachedTags;
+};
+
+/**
+ * Custom hook for resolving address labels from the shared AddressTags store.
+ * Stays in sync with tags saved from any page or browser tab.
+ * @returns {Object} { tags, getLabel, setTag }
+ */
+export const useAddressLabels = () => {
+  const tags = useSyncExternalStore(subscribe, getSnapshot);
+
+  // Tag name of an address, or null when it is not tagged
+  const getLabel = useCallback((address) => {
+    if (!address || typeof address !== 'string') return null;
+    return tags[address.toLowerCase()]?.tag || null;
+  }, [tags]);
+
+  // Saving dispatches ADDRESS_TAGS_CHANGED_EVENT, which refreshes every subscriber
+  const setTag = useCallback((address, tag, notes) => {
+    setAddressTag(address, tag, notes);
+  }, []);
+
+  return {
+    tags,
+    getLabel,
+    setTag
+  };
+};
+
+export default useAddressLabels;
@@ -0,0 +1,72 @@
+import { useState, useEffect, useCallback } from 'react';
+import { coingeckoService, findClosestPrice } from '../services/coingeckoService';
+
+// Padding around the requested window so edge timestamps still have a nearby price point
+const RANGE_PADDING_SECONDS = 12 * 60 * 60;
+
+/**
+ * Custom hook for historical USD prices of tokens from CoinGecko
+ * @param {Array} tokenAddresses - Array of token contract addresses
+ * @param {string} chainId - The chain ID
+ * @param {number|null} fromTimestamp - Start of the period of interest in seconds (e.g. a block timestamp)
+ * @param {number|null} toTimestamp - End of the period in seconds (defaults to fromTimestamp)
+ * @returns {Object} { getHistoricalPrice, historicalLoading }
+ */
+export const useHistoricalPrices = (tokenAddresses = [], chainId = null, fromTimestamp = null, toTimestamp = null) => {
+  const [pricePoints, setPricePoints] = useState({});
+  const [historicalLoading, setHistoricalLoading] = useState(false);
+
+  const addressKey = tokenAddresses.map(address => address.toLowerCase()).join(',');
+  const rangeEnd = toTimestamp || fromTimestamp;
+
+  useEffect(() => {
+    if (!chainId || !fromTimestamp || !addressKey) {
+      setPricePoints({});
+      return undefined;
+    }
+
+    let cancelled = false;
+    const addresses = addressKey.split(',');
+    const isSinglePoint = fromTimestamp === rangeEnd;
+
+    const loadPrices = async () => {
+      setHistoricalLoading(true);
+      const results = {};
+      await Promise.all(addresses.map(async (address) => {
+        const asset = { contractAddress: address, chainId };
+        if (isSinglePoint) {
+          // Single timestamp: let the service fall back to the daily history endpoint
+          const price = await coingeckoService.fetchHistoricalPrice(asset, fromTimestamp);
+          results[address] = price !== null ? [[fromTimestamp * 1000, price]] : [];
+        } else {
+          results[address] = await coingeckoService.fetchHistoricalPriceRange(
+            asset,
+            fromTimestamp - RANGE_PADDING_SECONDS,
+            rangeEnd + RANGE_PADDING_SECONDS
+          );
+        }
+      }));
+      if (!cancelled) {
+        setPricePoints(results);
+        setHistoricalLoading(false);
+      }
+    };
+
+    loadPrices();
+    return () => {
+      cancelled = true;
+    };
+  }, [addressKey, chainId, fromTimestamp, rangeEnd]);
+
+  /**
+   * USD price of a token closest to a timestamp, or null when unknown
+   */
+  const getHistoricalPrice = useCallback((address, timestamp = fromTimestamp) => {
+    if (!address || !timestamp) return null;
+    return findClosestPrice(pricePoints[address.toLowerCase()], timestamp * 1000);
+  }, [pricePoints, fromTimestamp]);
+
+  return { getHistoricalPrice, historicalLoading };
+};
+
+export default useHistoricalPrices;
@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+import { lookupName } from '../utils/nameServiceUtils';
+
+/**
+ * Custom hook for the verified primary name (ENS or another configured name service) of an address
+ * @param {string} address - The address to look up
+ * @param {boolean} enabled - Set to false to skip the lookup
+ * @returns {Object|null} { name, service } or null while loading or when the address has no name
+ */
+export const useReverseName = (address, enabled = true) => {
+  const [resolved, setResolved] = useState(null);
+
+  useEffect(() => {
+    setResolved(null);
+    if (!enabled || !address) return undefined;
+
+    let cancelled = false;
+    lookupName(address).then(result => {
+      if (!cancelled) setResolved(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [address, enabled]);
+
+  return resolved;
+};
+
+export default useReverseName;
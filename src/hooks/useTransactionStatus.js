@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import { makeDirectRpcCall } from '../utils/blockchainUtils';
+
+const PENDING_POLL_INTERVAL = 4000;
+const CONFIRMATION_POLL_INTERVAL = 10000;
+// How many blocks to search for the transaction that replaced a pending one
+const MAX_REPLACEMENT_SCAN_BLOCKS = 50;
+
+// Look for the mined transaction that used the same sender and nonce
+const findReplacementTransaction = async (rpcUrl, transaction, fromBlock, toBlock) => {
+  const sender = transaction.from.toLowerCase();
+  const start = Math.max(fromBlock, toBlock - MAX_REPLACEMENT_SCAN_BLOCKS + 1);
+
+  for (let blockNumber = toBlock; blockNumber >= start; blockNumber--) {
+    const block = await makeDirectRpcCall(rpcUrl, 'eth_getBlockByNumber', [`0x${blockNumber.toString(16)}`, true]);
+    const replacement = (block?.transactions || []).find(tx =>
+      tx.from?.toLowerCase() === sender && tx.nonce === transaction.nonce
+    );
+    if (replacement) {
+      return replacement;
+    }
+  }
+  return null;
+};
+
+// A replacement that sends nothing to the sender itself is the usual wallet "cancel"
+const isCancellation = (replacement) =>
+  replacement.to?.toLowerCase() === replacement.from.toLowerCase() &&
+  window.ethers.BigNumber.from(replacement.value || '0x0').isZero() &&
+  (!replacement.input || replacement.input === '0x');
+
+/**
+ * Custom hook that polls a pending transaction until it is mined, or until the sender's
+ * nonce moves past it (the transaction was replaced, cancelled or dropped)
+ * @param {string} rpcUrl - The RPC endpoint
+ * @param {Object} transaction - The pending transaction from eth_getTransactionByHash (null to stop)
+ * @returns {Object} { status, receipt, replacement, lastChecked, error }
+ */
+export const usePendingTransaction = (rpcUrl, transaction) => {
+  const [status, setStatus] = useState('pending'); // 'pending', 'mined', 'replaced', 'cancelled', 'dropped'
+  const [receipt, setReceipt] = useState(null);
+  const [replacement, setReplacement] = useState(null);
+  const [lastChecked, setLastChecked] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setStatus('pending');
+    setReceipt(null);
+    setReplacement(null);
+    setLastChecked(null);
+    setError(null);
+
+    if (!rpcUrl || !transaction) return;
+
+    // `cancelled` is only set by the cleanup (another RPC or transaction); `finished` once the outcome is known
+    let cancelled = false;
+    let finished = false;
+    let polling = false;
+    const txNonce = parseInt(transaction.nonce, 16);
+
+    const poll = async () => {
+      if (polling) return;
+      polling = true;
+
+      try {
+        const [minedReceipt, latestNonceHex, latestBlockHex] = await Promise.all([
+          makeDirectRpcCall(rpcUrl, 'eth_getTransactionReceipt', [transaction.hash]),
+          makeDirectRpcCall(rpcUrl, 'eth_getTransactionCount', [transaction.from, 'latest']),
+          makeDirectRpcCall(rpcUrl, 'eth_blockNumber', []),
+        ]);
+        if (cancelled || finished) return;
+
+        const latestBlock = parseInt(latestBlockHex, 16);
+        setLastChecked(new Date());
+        setError(null);
+
+        if (minedReceipt) {
+          finished = true;
+          setReceipt(minedReceipt);
+          setStatus('mined');
+          return;
+        }
+
+        // The sender's nonce moved past this transaction without it being mined
+        // (a failed scan is reported below and retried on the next poll)
+        if (parseInt(latestNonceHex, 16) > txNonce) {
+          // The replacement may have been mined before the first poll, so search the whole window
+          const fromBlock = Math.max(latestBlock - MAX_REPLACEMENT_SCAN_BLOCKS + 1, 0);
+          const found = await findReplacementTransaction(rpcUrl, transaction, fromBlock, latestBlock);
+          if (cancelled) return;
+          finished = true;
+          setReplacement(found);
+          setStatus(found ? (isCancellation(found) ? 'cancelled' : 'replaced') : 'dropped');
+        }
+      } catch (err) {
+        console.error('Error polling pending transaction:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        polling = false;
+      }
+    };
+
+    poll();
+    const intervalId = setInterval(() => {
+      if (!finished) poll();
+    }, PENDING_POLL_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(intervalId);
+    };
+  }, [rpcUrl, transaction]);
+
+  return {
+    status,
+    receipt,
+    replacement,
+    lastChecked,
+    error
+  };
+};
+
+/**
+ * Custom hook that keeps the confirmation count of a mined transaction up to date
+ * @param {string} rpcUrl - The RPC endpoint
+ * @param {number} blockNumber - Block the transaction was mined in
+ * @returns {Object} { confirmations, latestBlock }
+ */
+export const useConfirmations = (rpcUrl, blockNumber) => {
+  const [latestBlock, setLatestBlock] = useState(null);
+
+  useEffect(() => {
+    setLatestBlock(null);
+    if (!rpcUrl || blockNumber === null || blockNumber === undefined) return;
+
+    let stopped = false;
+    const poll = async () => {
+      try {
+        const latestBlockHex = await makeDirectRpcCall(rpcUrl, 'eth_blockNumber', []);
+        if (!stopped) setLatestBlock(parseInt(latestBlockHex, 16));
+      } catch (err) {
+        console.error('Error fetching latest block:', err);
+      }
+    };
+
+    poll();
+    const intervalId = setInterval(poll, CONFIRMATION_POLL_INTERVAL);
+    return () => {
+      stopped = true;
+      clearInterval(intervalId);
+    };
+  }, [rpcUrl, blockNumber]);
+
+  return {
+    confirmations: latestBlock !== null ? Math.max(latestBlock - blockNumber + 1, 0) : null,
+    latestBlock
+  };
+};
+
+export default usePendingTransaction;
@@ -1,23 +1,6 @@
 import React, { useState, useEffect } from 'react';
-
-// Helper functions for local storage
-const getStoredTags = () => {
-  try {
-    const stored = localStorage.getItem('addressTags');
-    return stored ? JSON.parse(stored) : {};
-  } catch (error) {
-    console.error('Error loading stored tags:', error);
-    return {};
-  }
-};
-
-const saveTagsToStorage = (tags) => {
-  try {
-    localStorage.setItem('addressTags', JSON.stringify(tags));
-  } catch (error) {
-    console.error('Error saving tags:', error);
-  }
-};
+import { getStoredTags, saveTagsToStorage } from '../utils/addressTagUtils';
+import { resolveName, isNameInput } from '../utils/nameServiceUtils';
 
 // Copy button component
 const CopyAddressButton = ({ address, className = "", iconClass = "fa-regular fa-copy" }) => {
@@ -89,7 +72,7 @@ export default function AddressTagsPage() {
   };
 
   // Add or update a tag for an address
-  const handleAddTag = () => {
+  const handleAddTag = async () => {
     setError('');
     setSuccessMessage('');
 
@@ -103,9 +86,16 @@ export default function AddressTagsPage() {
       return;
     }
 
-    const normalizedAddress = normalizeAddress(newAddress);
+    // Names (e.g. vitalik.eth) are resolved through the configured name services
+    const resolvedAddress = isNameInput(newAddress) ? await resolveName(newAddress) : null;
+    if (isNameInput(newAddress) && !resolvedAddress) {
+      setError(`Could not resolve the name "${newAddress.trim()}"`);
+      return;
+    }
+
+    const normalizedAddress = normalizeAddress(resolvedAddress || newAddress);
     if (!normalizedAddress) {
-      setError('Please enter a valid Ethereum address (0x followed by 40 hex characters)');
+      setError('Please enter a valid Ethereum address (0x followed by 40 hex characters) or name');
       return;
     }
 
@@ -115,7 +105,7 @@ export default function AddressTagsPage() {
         tag: newTag.trim(),
         notes: newNotes.trim(),
         dateAdded: new Date().toISOString(),
-        originalAddress: newAddress.trim() // Keep original casing for display
+        originalAddress: resolvedAddress || newAddress.trim() // Keep original casing for display
       }
     };
 
@@ -237,7 +227,7 @@ export default function AddressTagsPage() {
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
             <div>
               <label htmlFor="address" className="block text-sm font-medium mb-1">
-                Address
+                Address or ENS Name
               </label>
               <input
                 type="text"
@@ -245,7 +235,7 @@ export default function AddressTagsPage() {
                 className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-gray-200 font-mono text-sm"
                 value={newAddress}
                 onChange={(e) => setNewAddress(e.target.value)}
-                placeholder="0x1234567890123456789012345678901234567890"
+                placeholder="0x1234567890123456789012345678901234567890 or vitalik.eth"
               />
             </div>
             
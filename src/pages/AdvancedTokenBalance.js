@@ -5,6 +5,7 @@ import {
   createERC20InfoCalls,
   formatTokenBalance
 } from '../utils/blockchainUtils';
+import AddressLabel from '../components/AddressLabel';
 
 const AdvancedTokenBalanceChecker = () => {
   // State for the configuration data
@@ -729,8 +730,8 @@ const AdvancedTokenBalanceChecker = () => {
                             {result.eoaName}
                           </td>
                           <td className="px-4 py-3 text-sm font-mono text-gray-900">
-                            <div className="max-w-32 truncate" title={result.eoaAddress}>
-                              {result.eoaAddress}
+                            <div>
+                              <AddressLabel address={result.eoaAddress} short />
                             </div>
                           </td>
                           <td className="px-4 py-3 text-sm text-gray-900">
@@ -0,0 +1,410 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { chainsData } from '../data/chains.js';
+import { useTokenData } from '../hooks/useTokenData';
+import AddressLabel from '../components/AddressLabel';
+import { NATIVE_TOKEN_KEY } from '../utils/tokenFlowUtils';
+import {
+  fetchTransactionBundle,
+  diffOverview,
+  diffInputParameters,
+  diffEventSequences,
+  diffBalanceChanges
+} from '../utils/compareUtils';
+
+const DEFAULT_RPC_URL = 'https://rpc-pulsechain.g4mm4.io';
+
+// Read parameters from the search string, or from the hash when using hash routing
+const getUrlParams = () => {
+  let urlParams = new URLSearchParams(window.location.search);
+  if (!urlParams.toString() && window.location.hash.includes('?')) {
+    urlParams = new URLSearchParams(window.location.hash.split('?')[1]);
+  }
+  return urlParams;
+};
+
+const DIFF_ROW_STYLES = {
+  same: '',
+  changed: 'bg-yellow-50 dark:bg-yellow-900/30',
+  onlyA: 'bg-red-50 dark:bg-red-900/30',
+  onlyB: 'bg-green-50 dark:bg-green-900/30'
+};
+
+const DIFF_STATUS_LABELS = {
+  same: 'same',
+  changed: 'args differ',
+  onlyA: 'only in A',
+  onlyB: 'only in B'
+};
+
+/**
+ * Transaction Input Component - hash and RPC inputs of one side of the comparison
+ */
+const TransactionInput = ({ side, txHash, rpcUrl, onTxHashChange, onRpcUrlChange }) => (
+  <div className="space-y-3">
+    <div className="text-sm font-semibold text-gray-700 dark:text-gray-200">Transaction {side}</div>
+    <input
+      type="text"
+      className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-gray-200 font-mono text-sm"
+      value={txHash}
+      onChange={(e) => onTxHashChange(e.target.value)}
+      placeholder="Transaction hash (0x...)"
+    />
+    <input
+      type="text"
+      className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-gray-200 text-sm"
+      value={rpcUrl}
+      onChange={(e) => onRpcUrlChange(e.target.value)}
+      placeholder="RPC URL"
+    />
+  </div>
+);
+
+/**
+ * Diff Table Component - label / A / B rows with differing rows highlighted
+ */
+const DiffTable = ({ rows, renderValue = (value) => value }) => (
+  <div className="overflow-x-auto">
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+          <th className="py-2 pr-2 font-medium w-48">Field</th>
+          <th className="py-2 pr-2 font-medium">Transaction A</th>
+          <th className="py-2 font-medium">Transaction B</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr
+            key={row.label}
+            className={`border-b border-gray-100 dark:border-gray-700 ${row.differs ? DIFF_ROW_STYLES.changed : ''}`}
+          >
+            <td className="py-2 pr-2 text-xs font-medium text-gray-600 dark:text-gray-300 align-top">
+              {row.differs && <i className="fas fa-not-equal text-yellow-600 mr-1" title="Differs"></i>}
+              {row.label}
+            </td>
+            <td className="py-2 pr-2 font-mono text-xs break-all align-top">
+              {row.a !== null ? renderValue(row.a, row.label) : <span className="text-gray-400 italic">—</span>}
+            </td>
+            <td className="py-2 font-mono text-xs break-all align-top">
+              {row.b !== null ? renderValue(row.b, row.label) : <span className="text-gray-400 italic">—</span>}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * Diff Section Component - card wrapper used by every comparison section
+ */
+const DiffSection = ({ title, icon, differences, children }) => (
+  <div className="w-full bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
+    <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center -m-6 mb-6">
+      <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200">
+        <i className={`fas ${icon} mr-2`}></i>
+        {title}
+      </h3>
+      <span className={`text-xs px-2 py-0.5 rounded ${differences > 0 ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-700'}`}>
+        {differences > 0 ? `${differences} difference${differences === 1 ? '' : 's'}` : 'identical'}
+      </span>
+    </div>
+    {children}
+  </div>
+);
+
+/**
+ * Event Cell Component - one event of the aligned event sequences
+ */
+const EventCell = ({ log }) => {
+  if (!log) return <span className="text-gray-400 italic">—</span>;
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center gap-2">
+        <span className="inline-flex items-center justify-center px-2 py-0.5 text-xs font-bold leading-none text-indigo-100 bg-indigo-700 rounded-full">
+          {log.logIndex}
+        </span>
+        <span className="font-semibold text-indigo-800 dark:text-indigo-200">
+          {log.isDecoded ? log.eventName : 'Undecoded'}
+        </span>
+        <AddressLabel address={log.address} short showTagAction={false} className="font-mono text-gray-500" />
+      </div>
+      {log.isDecoded && (
+        <div className="font-mono text-gray-600 dark:text-gray-300 break-all">
+          {Object.entries(log.args).map(([key, value]) => (
+            <div key={key}>
+              <span className="text-gray-400">{key}:</span> {typeof value === 'object' ? JSON.stringify(value) : String(value)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Compare page component
+export default function ComparePage() {
+  const urlParams = getUrlParams();
+  const [txHashA, setTxHashA] = useState(urlParams.get('txA') || '');
+  const [txHashB, setTxHashB] = useState(urlParams.get('txB') || '');
+  const [rpcUrlA, setRpcUrlA] = useState(urlParams.get('rpcA') ? decodeURIComponent(urlParams.get('rpcA')) : DEFAULT_RPC_URL);
+  const [rpcUrlB, setRpcUrlB] = useState(urlParams.get('rpcB') ? decodeURIComponent(urlParams.get('rpcB')) : DEFAULT_RPC_URL);
+  const [bundleA, setBundleA] = useState(null);
+  const [bundleB, setBundleB] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [isEthersReady, setIsEthersReady] = useState(false);
+  const [showIdenticalEvents, setShowIdenticalEvents] = useState(true);
+
+  // Load ethers.js from a CDN
+  useEffect(() => {
+    if (window.ethers) {
+      setIsEthersReady(true);
+      return;
+    }
+    const script = document.createElement('script');
+    script.src = 'https://cdnjs.cloudflare.com/ajax/libs/ethers/5.7.2/ethers.umd.min.js';
+    script.onload = () => setIsEthersReady(true);
+    script.onerror = () => setError('Failed to load ethers.js library. Please try again.');
+    document.body.appendChild(script);
+
+    return () => {
+      document.body.removeChild(script);
+    };
+  }, []);
+
+  // Keep the URL shareable
+  useEffect(() => {
+    const params = new URLSearchParams();
+    if (txHashA) params.set('txA', txHashA);
+    if (rpcUrlA) params.set('rpcA', encodeURIComponent(rpcUrlA));
+    if (txHashB) params.set('txB', txHashB);
+    if (rpcUrlB) params.set('rpcB', encodeURIComponent(rpcUrlB));
+    window.history.replaceState({}, '', `${window.location.pathname}?${params.toString()}`);
+  }, [txHashA, txHashB, rpcUrlA, rpcUrlB]);
+
+  const compareTransactions = useCallback(async () => {
+    if (!txHashA.trim() || !txHashB.trim()) {
+      setError('Please enter both transaction hashes');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    setBundleA(null);
+    setBundleB(null);
+    try {
+      const [a, b] = await Promise.all([
+        fetchTransactionBundle(rpcUrlA.trim(), txHashA.trim()),
+        fetchTransactionBundle(rpcUrlB.trim(), txHashB.trim())
+      ]);
+      setBundleA(a);
+      setBundleB(b);
+    } catch (err) {
+      console.error('Error comparing transactions:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [txHashA, txHashB, rpcUrlA, rpcUrlB]);
+
+  // Compare straight away, once, when both hashes come from the URL
+  const autoCompareRef = useRef(Boolean(txHashA && txHashB));
+  useEffect(() => {
+    if (isEthersReady && autoCompareRef.current) {
+      autoCompareRef.current = false;
+      compareTransactions();
+    }
+  }, [isEthersReady, compareTransactions]);
+
+  const tokenAddressesA = useMemo(() => (bundleA?.balanceChanges || [])
+    .flatMap(entry => entry.changes.map(change => change.token))
+    .filter((token, index, all) => token !== NATIVE_TOKEN_KEY && all.indexOf(token) === index), [bundleA]);
+  const tokenAddressesB = useMemo(() => (bundleB?.balanceChanges || [])
+    .flatMap(entry => entry.changes.map(change => change.token))
+    .filter((token, index, all) => token !== NATIVE_TOKEN_KEY && all.indexOf(token) === index), [bundleB]);
+  const { tokenData: tokenDataA } = useTokenData(tokenAddressesA, bundleA?.chainId || null);
+  const { tokenData: tokenDataB } = useTokenData(tokenAddressesB, bundleB?.chainId || null);
+
+  const diffs = useMemo(() => {
+    if (!bundleA || !bundleB) return null;
+    return {
+      ...diffOverview(bundleA, bundleB),
+      input: diffInputParameters(bundleA, bundleB),
+      events: diffEventSequences(bundleA.decodedLogs, bundleB.decodedLogs),
+      balances: diffBalanceChanges(bundleA.balanceChanges, bundleB.balanceChanges)
+    };
+  }, [bundleA, bundleB]);
+
+  const countDifferences = (rows) => rows.filter(row => row.differs).length;
+
+  const renderOverviewValue = (value, label) => {
+    if ((label === 'From' || label === 'To') && value) return <AddressLabel address={value} showName />;
+    if (label === 'Status') {
+      return <span className={value === 'Success' ? 'text-green-600 font-semibold' : value === 'Failed' ? 'text-red-600 font-semibold' : 'text-yellow-600 font-semibold'}>{value}</span>;
+    }
+    return value;
+  };
+
+  const formatDelta = (delta, token, tokenData, chainId) => {
+    if (delta === null) return <span className="text-gray-400 italic">—</span>;
+    const isNative = token === NATIVE_TOKEN_KEY;
+    const decimals = isNative ? 18 : tokenData[token]?.decimals;
+    const symbol = isNative ? chainsData[chainId]?.tokenSymbol || 'ETH' : tokenData[token]?.symbol || `${token.slice(0, 6)}...${token.slice(-4)}`;
+    const value = window.ethers.BigNumber.from(delta);
+    const amount = decimals !== undefined ? window.ethers.utils.formatUnits(value.abs(), decimals) : `${value.abs().toString()} raw`;
+    return (
+      <span className={value.isNegative() ? 'text-red-600' : 'text-green-600'}>
+        {value.isNegative() ? '-' : '+'}{amount} {symbol}
+      </span>
+    );
+  };
+
+  const visibleEvents = diffs
+    ? diffs.events.filter(row => showIdenticalEvents || row.status !== 'same')
+    : [];
+
+  return (
+    <div className="min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-gray-100 p-8 flex flex-col items-center font-sans">
+      <div className="w-full max-w-6xl space-y-6">
+        {/* --- Inputs --- */}
+        <div className="bg-white dark:bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-200 dark:border-gray-700">
+          <h1 className="text-3xl font-bold mb-6 text-gray-800 dark:text-gray-200 text-center flex items-center justify-center">
+            <i className="fas fa-code-compare mr-3"></i>
+            Compare Transactions
+          </h1>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            <TransactionInput
+              side="A"
+              txHash={txHashA}
+              rpcUrl={rpcUrlA}
+              onTxHashChange={setTxHashA}
+              onRpcUrlChange={setRpcUrlA}
+            />
+            <TransactionInput
+              side="B"
+              txHash={txHashB}
+              rpcUrl={rpcUrlB}
+              onTxHashChange={setTxHashB}
+              onRpcUrlChange={setRpcUrlB}
+            />
+          </div>
+          <button
+            onClick={compareTransactions}
+            disabled={loading || !isEthersReady}
+            className="w-full py-3 px-4 rounded-lg text-white font-semibold transition-all duration-300
+                       bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-500/50
+                       disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Loading...' : 'Compare'}
+          </button>
+
+          {error && (
+            <div className="mt-4 p-4 bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-300 rounded-lg border border-red-200 dark:border-red-700">
+              <p className="font-semibold">Error:</p>
+              <p>{error}</p>
+            </div>
+          )}
+        </div>
+
+        {diffs && (
+          <>
+            <DiffSection title="Overview" icon="fa-circle-info" differences={countDifferences(diffs.overview)}>
+              <DiffTable rows={diffs.overview} renderValue={renderOverviewValue} />
+            </DiffSection>
+
+            <DiffSection title="Gas" icon="fa-gas-pump" differences={countDifferences(diffs.gas)}>
+              <DiffTable rows={diffs.gas} />
+            </DiffSection>
+
+            <DiffSection title="Decoded Input" icon="fa-sign-in-alt" differences={countDifferences(diffs.input)}>
+              <DiffTable rows={diffs.input} />
+            </DiffSection>
+
+            <DiffSection
+              title={`Event Sequence (A: ${bundleA.decodedLogs.length}, B: ${bundleB.decodedLogs.length})`}
+              icon="fa-list"
+              differences={diffs.events.filter(row => row.status !== 'same').length}
+            >
+              <div className="flex justify-between items-center mb-3 text-xs">
+                <div className="flex gap-3">
+                  {['changed', 'onlyA', 'onlyB'].map(status => (
+                    <span key={status} className={`px-2 py-0.5 rounded ${DIFF_ROW_STYLES[status]}`}>
+                      {DIFF_STATUS_LABELS[status]}
+                    </span>
+                  ))}
+                </div>
+                <label className="flex items-center gap-1 text-gray-600 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={showIdenticalEvents}
+                    onChange={(e) => setShowIdenticalEvents(e.target.checked)}
+                  />
+                  Show identical events
+                </label>
+              </div>
+              {visibleEvents.length === 0 ? (
+                <div className="flex items-center justify-center py-3 text-gray-500">
+                  <i className="fas fa-info-circle mr-2"></i>
+                  <span className="text-sm">No events to show</span>
+                </div>
+              ) : (
+                <div className="space-y-2 text-xs">
+                  {visibleEvents.map((row, index) => (
+                    <div
+                      key={index}
+                      className={`grid grid-cols-2 gap-4 p-2 rounded border border-gray-200 dark:border-gray-700 ${DIFF_ROW_STYLES[row.status]}`}
+                      title={DIFF_STATUS_LABELS[row.status]}
+                    >
+                      <EventCell log={row.a} />
+                      <EventCell log={row.b} />
+                    </div>
+                  ))}
+                </div>
+              )}
+            </DiffSection>
+
+            <DiffSection title="Net Token Flows" icon="fa-scale-balanced" differences={countDifferences(diffs.balances)}>
+              {diffs.balances.length === 0 ? (
+                <div className="flex items-center justify-center py-3 text-gray-500">
+                  <i className="fas fa-info-circle mr-2"></i>
+                  <span className="text-sm">No token or native balance changes in either transaction</span>
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                        <th className="py-2 pr-2 font-medium">Address</th>
+                        <th className="py-2 pr-2 font-medium">Transaction A</th>
+                        <th className="py-2 font-medium">Transaction B</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {diffs.balances.map(row => (
+                        <tr
+                          key={`${row.address}-${row.token}`}
+                          className={`border-b border-gray-100 dark:border-gray-700 ${row.differs ? DIFF_ROW_STYLES.changed : ''}`}
+                        >
+                          <td className="py-2 pr-2 text-xs align-top">
+                            <AddressLabel address={row.address} short className="font-mono text-xs" />
+                          </td>
+                          <td className="py-2 pr-2 font-mono text-xs align-top">
+                            {formatDelta(row.a, row.token, tokenDataA, bundleA.chainId)}
+                          </td>
+                          <td className="py-2 font-mono text-xs align-top">
+                            {formatDelta(row.b, row.token, tokenDataB, bundleB.chainId)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </DiffSection>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
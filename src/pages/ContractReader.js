@@ -4,8 +4,17 @@ import {
   makeMulticall, 
   generateCallData, 
   standardAbis,
+  makeDirectRpcCall,
   DEFAULT_MULTICALL3_ADDRESS 
 } from '../utils/blockchainUtils';
+import {
+  getStoredCustomAbis,
+  getCustomAbi,
+  getCustomAbiKey
+} from '../utils/customAbiUtils';
+import { chainsData } from '../data/chains.js';
+import CustomAbiManager from '../components/CustomAbiComponents';
+import { resolveAddressInput } from '../utils/nameServiceUtils';
 
 // Extended ABIs for ContractReader specific functionality
 const extendedAbis = {
@@ -35,14 +44,37 @@ extendedAbis.multicall3 = [
 
 const MAX_HISTORY_ITEMS = 20;
 
+// Custom ABIs are selected with an abiType of "custom:<chainId>-<address>"
+const CUSTOM_ABI_PREFIX = 'custom:';
+
+// Resolve an abiType to its ABI, including custom ABIs bound to a contract
+const getAbi = (abiType) => {
+  if (abiType && abiType.startsWith(CUSTOM_ABI_PREFIX)) {
+    return getStoredCustomAbis()[abiType.slice(CUSTOM_ABI_PREFIX.length)]?.abi || [];
+  }
+  return extendedAbis[abiType] || [];
+};
+
 export default function ContractReader() {
   // Tab state
   const [activeTab, setActiveTab] = useState('single-call');
   
+  // Get URL parameters from both search and hash (for hash routing)
+  const getUrlParams = () => {
+    let urlParams = new URLSearchParams(window.location.search);
+    if (!urlParams.toString() && window.location.hash.includes('?')) {
+      urlParams = new URLSearchParams(window.location.hash.split('?')[1]);
+    }
+    return urlParams;
+  };
+
+  // Links from other pages (e.g. a proxy's implementation) prefill the contract and RPC
+  const urlParams = getUrlParams();
+
   // Single call state
   const [singleCall, setSingleCall] = useState({
-    rpcUrl: 'https://rpc-pulsechain.g4mm4.io',
-    contractAddress: '',
+    rpcUrl: urlParams.get('rpc') || 'https://rpc-pulsechain.g4mm4.io',
+    contractAddress: urlParams.get('address') || '',
     abiType: '',
     methodName: '',
     parameters: {}
@@ -76,6 +108,8 @@ export default function ContractReader() {
   const [selectedHistoryItems, setSelectedHistoryItems] = useState([]);
   const [isEthersReady, setIsEthersReady] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [customAbis, setCustomAbis] = useState(getStoredCustomAbis());
+  const [singleChainId, setSingleChainId] = useState(null);
   
   // Load ethers.js and initialize
   useEffect(() => {
@@ -99,15 +133,38 @@ export default function ContractReader() {
     localStorage.setItem('contractReader_rpcUrls', JSON.stringify(updatedUrls));
   };
   
+  // Read the chain ID of the single call RPC, so custom ABIs can be matched to the contract
+  useEffect(() => {
+    setSingleChainId(null);
+    if (!singleCall.rpcUrl) return;
+
+    const timeoutId = setTimeout(async () => {
+      try {
+        const chainIdHex = await makeDirectRpcCall(singleCall.rpcUrl, 'eth_chainId', []);
+        setSingleChainId(parseInt(chainIdHex, 16).toString());
+      } catch (error) {
+        console.warn('Could not read chain ID:', error);
+      }
+    }, 500);
+    return () => clearTimeout(timeoutId);
+  }, [singleCall.rpcUrl]);
+
+  // Use the custom ABI bound to the contract when no contract type was chosen yet
+  useEffect(() => {
+    if (!singleChainId || !getCustomAbi(singleChainId, singleCall.contractAddress)) return;
+    const customAbiType = `${CUSTOM_ABI_PREFIX}${getCustomAbiKey(singleChainId, singleCall.contractAddress)}`;
+    setSingleCall(prev => (prev.abiType ? prev : { ...prev, abiType: customAbiType, methodName: '', parameters: {} }));
+  }, [singleChainId, singleCall.contractAddress, customAbis]);
+
   // Get available methods for selected ABI
   const getAvailableMethods = (abiType) => {
-    const abi = extendedAbis[abiType] || [];
+    const abi = getAbi(abiType);
     return abi.filter(item => item.type === 'function' && (item.stateMutability === 'view' || item.constant === true));
   };
   
   // Get method from ABI
   const getMethod = (abiType, methodName) => {
-    const abi = extendedAbis[abiType] || [];
+    const abi = getAbi(abiType);
     return abi.find(item => item.type === 'function' && item.name === methodName);
   };
   
@@ -136,8 +193,10 @@ export default function ContractReader() {
         throw new Error('Ethers.js provider not available');
       }
       
-      const abi = extendedAbis[singleCall.abiType] || [];
-      const contract = new window.ethers.Contract(singleCall.contractAddress, abi, provider);
+      const abi = getAbi(singleCall.abiType);
+      // Names (e.g. ENS) are accepted wherever an address is expected
+      const contractAddress = await resolveAddressInput(singleCall.contractAddress);
+      const contract = new window.ethers.Contract(contractAddress, abi, provider);
       
       const method = getMethod(singleCall.abiType, singleCall.methodName);
       if (!method) {
@@ -161,14 +220,10 @@ export default function ContractReader() {
         } else if (input.type === 'bool') {
           paramValue = paramValue.toLowerCase() === 'true';
         } else if (input.type === 'address') {
-          if (window.ethers.utils && window.ethers.utils.isAddress) {
-            if (!window.ethers.utils.isAddress(paramValue)) {
-              throw new Error(`Invalid address for parameter ${input.name}`);
-            }
-          } else if (window.ethers.isAddress) {
-            if (!window.ethers.isAddress(paramValue)) {
-              throw new Error(`Invalid address for parameter ${input.name}`);
-            }
+          try {
+            paramValue = await resolveAddressInput(paramValue);
+          } catch (err) {
+            throw new Error(`Invalid address for parameter ${input.name}: ${err.message}`);
           }
         }
         params.push(paramValue);
@@ -396,7 +451,7 @@ export default function ContractReader() {
       // Prepare calls
       const calls = [];
       for (const call of multicall.calls) {
-        const abi = extendedAbis[call.abiType] || [];
+        const abi = getAbi(call.abiType);
         const method = getMethod(call.abiType, call.methodName);
         
         if (!method) continue;
@@ -415,6 +470,8 @@ export default function ContractReader() {
             }
           } else if (input.type === 'bool') {
             paramValue = paramValue.toLowerCase() === 'true';
+          } else if (input.type === 'address') {
+            paramValue = await resolveAddressInput(paramValue);
           }
           params.push(paramValue);
         }
@@ -431,7 +488,7 @@ export default function ContractReader() {
         }
         
         calls.push({
-          target: call.contractAddress,
+          target: await resolveAddressInput(call.contractAddress),
           callData: callData
         });
       }
@@ -526,6 +583,16 @@ export default function ContractReader() {
     }
   };
 
+  const customAbiOptions = Object.keys(customAbis).length > 0 && (
+    <optgroup label="Custom ABIs">
+      {Object.entries(customAbis).map(([key, entry]) => (
+        <option key={key} value={`${CUSTOM_ABI_PREFIX}${key}`}>
+          {entry.name || 'Custom'} ({entry.address.slice(0, 6)}...{entry.address.slice(-4)}, {chainsData[entry.chainId]?.name || `chain ${entry.chainId}`})
+        </option>
+      ))}
+    </optgroup>
+  );
+
   return (
     <div className="min-h-screen bg-gray-100 dark:bg-gray-900 p-4">
       <div className="max-w-6xl mx-auto">
@@ -570,6 +637,17 @@ export default function ContractReader() {
               <i className="fas fa-history mr-2"></i>
               Call History ({callHistory.length})
             </button>
+            <button
+              onClick={() => setActiveTab('custom-abis')}
+              className={`px-6 py-3 font-medium transition-colors ${
+                activeTab === 'custom-abis'
+                  ? 'border-b-2 border-blue-500 text-blue-600 dark:text-blue-400'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-blue-500'
+              }`}
+            >
+              <i className="fas fa-file-code mr-2"></i>
+              Custom ABIs ({Object.keys(customAbis).length})
+            </button>
           </div>
         </div>
         
@@ -614,7 +692,7 @@ export default function ContractReader() {
                   <input
                     type="text"
                     className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
-                    placeholder="Enter contract address"
+                    placeholder="Enter contract address or name"
                     value={singleCall.contractAddress}
                     onChange={(e) => setSingleCall({...singleCall, contractAddress: e.target.value})}
                   />
@@ -636,6 +714,7 @@ export default function ContractReader() {
                     <option value="uniswapv2_factory">Uniswap V2 Factory</option>
                     <option value="uniswapv2_pair">Uniswap V2 Pair</option>
                     <option value="multicall3">Multicall3</option>
+                    {customAbiOptions}
                   </select>
                 </div>
                 
@@ -840,6 +919,7 @@ export default function ContractReader() {
                             <option value="uniswapv2_factory">Uniswap V2 Factory</option>
                             <option value="uniswapv2_pair">Uniswap V2 Pair</option>
                             <option value="multicall3">Multicall3</option>
+                            {customAbiOptions}
                           </select>
                           
                           {call.abiType && (
@@ -932,6 +1012,23 @@ export default function ContractReader() {
           </div>
         )}
         
+        {/* Custom ABIs Tab */}
+        {activeTab === 'custom-abis' && (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 mb-6">
+            <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-200 mb-4">
+              Custom ABIs
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              ABIs bound to a contract address and chain are used by the Transaction, Transfer and Contract Reader pages before the built-in ABIs.
+            </p>
+            <CustomAbiManager
+              defaultChainId={singleChainId || ''}
+              defaultAddress={singleCall.contractAddress}
+              onChange={() => setCustomAbis(getStoredCustomAbis())}
+            />
+          </div>
+        )}
+        
         {/* History Tab */}
         {activeTab === 'history' && (
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6">
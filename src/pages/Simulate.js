@@ -0,0 +1,516 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { chainsData } from '../data/chains.js';
+import { erc20ABI, wethABI, erc721ABI, erc1155ABI, uniswapV2RouterABI, allABIs } from '../abis';
+import { useTokenData } from '../hooks/useTokenData';
+import AddressLabel from '../components/AddressLabel';
+import CallTracePanel from '../components/CallTracePanel';
+import EventLogPanel from '../components/EventLogPanel';
+import NetBalanceChanges from '../components/NetBalanceChanges';
+import { makeDirectRpcCall, generateCallData } from '../utils/blockchainUtils';
+import { decodeInputWithABI, decodeOutputWithABI, decodeLogsWithABI } from '../utils/decodingUtils';
+import { decodeRevertData } from '../utils/revertUtils';
+import { computeNetBalanceChanges, NATIVE_TOKEN_KEY } from '../utils/tokenFlowUtils';
+import { getCustomAbi, parseAbiText } from '../utils/customAbiUtils';
+import { resolveAddressInput } from '../utils/nameServiceUtils';
+import { DEFAULT_LOG_FILTERS } from '../utils/logFilterUtils';
+import { normalizeBlockTag, parseParameterValue, buildSimulationCall, simulateCall } from '../utils/simulationUtils';
+
+const DEFAULT_RPC_URL = 'https://rpc-pulsechain.g4mm4.io';
+
+// ABIs offered in the function picker besides the custom ABI of the target and a pasted ABI
+const BUILT_IN_ABIS = {
+  erc20: { label: 'ERC20', abi: erc20ABI },
+  weth: { label: 'WETH', abi: wethABI },
+  erc721: { label: 'ERC-721', abi: erc721ABI },
+  erc1155: { label: 'ERC-1155', abi: erc1155ABI },
+  uniswapV2Router: { label: 'Uniswap V2 Router', abi: uniswapV2RouterABI },
+};
+
+const inputClassName = 'w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-gray-200 text-sm';
+
+// Read parameters from the search string, or from the hash when using hash routing
+const getUrlParams = () => {
+  let urlParams = new URLSearchParams(window.location.search);
+  if (!urlParams.toString() && window.location.hash.includes('?')) {
+    urlParams = new URLSearchParams(window.location.hash.split('?')[1]);
+  }
+  return urlParams;
+};
+
+/**
+ * Result Section Component - card wrapper used by every simulation result section
+ */
+const ResultSection = ({ title, icon, children }) => (
+  <div className="w-full bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
+    <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center -m-6 mb-6">
+      <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200">
+        <i className={`fas ${icon} mr-2`}></i>
+        {title}
+      </h3>
+    </div>
+    {children}
+  </div>
+);
+
+/**
+ * Decoded Values Component - name/value rows of decoded parameters or return values
+ */
+const DecodedValues = ({ values }) => (
+  <div className="space-y-1">
+    {Object.entries(values).map(([key, value]) => (
+      <div key={key} className="flex items-start text-xs bg-gray-50 dark:bg-gray-700 p-1 rounded border border-gray-100 dark:border-gray-600">
+        <span className="text-gray-500 dark:text-gray-400 w-32 flex-shrink-0 truncate" title={key}>{key}:</span>
+        <code className="font-mono text-gray-800 dark:text-gray-200 break-all ml-2">
+          {typeof value === 'object' ? JSON.stringify(value) : String(value)}
+        </code>
+      </div>
+    ))}
+  </div>
+);
+
+// Simulate page component
+export default function SimulatePage() {
+  const urlParams = getUrlParams();
+  const [rpcUrl, setRpcUrl] = useState(urlParams.get('rpc') ? decodeURIComponent(urlParams.get('rpc')) : DEFAULT_RPC_URL);
+  const [from, setFrom] = useState(urlParams.get('from') || '');
+  const [to, setTo] = useState(urlParams.get('to') || '');
+  const [value, setValue] = useState(urlParams.get('value') || '');
+  const [blockTag, setBlockTag] = useState(urlParams.get('block') || 'latest');
+  const [inputMode, setInputMode] = useState('calldata'); // 'calldata' | 'abi'
+  const [calldata, setCalldata] = useState(urlParams.get('data') || '');
+  const [abiSource, setAbiSource] = useState('erc20');
+  const [pastedAbi, setPastedAbi] = useState('');
+  const [methodName, setMethodName] = useState('');
+  const [parameters, setParameters] = useState({});
+  const [chainId, setChainId] = useState(null);
+  const [simulation, setSimulation] = useState(null);
+  const [logFilters, setLogFilters] = useState(DEFAULT_LOG_FILTERS);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [isEthersReady, setIsEthersReady] = useState(false);
+
+  // Load ethers.js from a CDN
+  useEffect(() => {
+    if (window.ethers) {
+      setIsEthersReady(true);
+      return;
+    }
+    const script = document.createElement('script');
+    script.src = 'https://cdnjs.cloudflare.com/ajax/libs/ethers/5.7.2/ethers.umd.min.js';
+    script.onload = () => setIsEthersReady(true);
+    script.onerror = () => setError('Failed to load ethers.js library. Please try again.');
+    document.body.appendChild(script);
+
+    return () => {
+      document.body.removeChild(script);
+    };
+  }, []);
+
+  // Keep the URL shareable
+  useEffect(() => {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (value) params.set('value', value);
+    if (calldata) params.set('data', calldata);
+    if (blockTag && blockTag !== 'latest') params.set('block', blockTag);
+    if (rpcUrl) params.set('rpc', encodeURIComponent(rpcUrl));
+    window.history.replaceState({}, '', `${window.location.pathname}?${params.toString()}`);
+  }, [from, to, value, calldata, blockTag, rpcUrl]);
+
+  // Chain of the RPC, used for custom ABIs, token data and the native symbol
+  useEffect(() => {
+    if (!rpcUrl) return;
+
+    let cancelled = false;
+    makeDirectRpcCall(rpcUrl.trim(), 'eth_chainId', [])
+      .then(result => {
+        if (!cancelled) setChainId(parseInt(result, 16));
+      })
+      .catch(err => {
+        console.error('Failed to fetch chain ID:', err);
+        if (!cancelled) setChainId(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [rpcUrl]);
+
+  const customAbi = useMemo(() => getCustomAbi(chainId, to.trim()), [chainId, to]);
+
+  // Prefer the ABI bound to the target when there is one
+  useEffect(() => {
+    if (customAbi) setAbiSource('custom');
+  }, [customAbi]);
+
+  // JSON fragments of the selected ABI, as generateCallData expects them
+  const { selectedAbi, abiError } = useMemo(() => {
+    if (!isEthersReady) return { selectedAbi: [], abiError: null };
+    try {
+      if (abiSource === 'custom') return { selectedAbi: customAbi || [], abiError: null };
+      if (abiSource === 'paste') {
+        return pastedAbi.trim()
+          ? { selectedAbi: parseAbiText(pastedAbi), abiError: null }
+          : { selectedAbi: [], abiError: null };
+      }
+      return { selectedAbi: parseAbiText(JSON.stringify(BUILT_IN_ABIS[abiSource].abi)), abiError: null };
+    } catch (err) {
+      return { selectedAbi: [], abiError: err.message };
+    }
+  }, [isEthersReady, abiSource, customAbi, pastedAbi]);
+
+  const functions = useMemo(() => selectedAbi.filter(item => item.type === 'function'), [selectedAbi]);
+  const selectedFunction = functions.find(item => item.name === methodName);
+
+  const selectAbiSource = (source) => {
+    setAbiSource(source);
+    setMethodName('');
+    setParameters({});
+  };
+
+  const selectFunction = (name) => {
+    setMethodName(name);
+    setParameters({});
+  };
+
+  // Encode the selected function call into the calldata field
+  const encodeCalldata = useCallback(() => {
+    if (!selectedFunction) return calldata;
+    const values = selectedFunction.inputs.map((input, index) => parseParameterValue(input.type, parameters[index]));
+    const encoded = generateCallData(selectedAbi, methodName, values);
+    setCalldata(encoded);
+    return encoded;
+  }, [selectedFunction, parameters, selectedAbi, methodName, calldata]);
+
+  const runSimulation = useCallback(async () => {
+    if (!to.trim()) {
+      setError('Please enter the contract or recipient address');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    setSimulation(null);
+    setLogFilters(DEFAULT_LOG_FILTERS);
+    try {
+      const data = inputMode === 'abi' ? encodeCalldata() : calldata.trim();
+      if (data && !/^0x([0-9a-fA-F]{2})*$/.test(data)) {
+        throw new Error('Calldata must be a hex string (0x...)');
+      }
+      const call = buildSimulationCall({
+        from: from.trim() ? await resolveAddressInput(from.trim()) : null,
+        to: await resolveAddressInput(to.trim()),
+        value: value.trim() ? window.ethers.utils.parseEther(value.trim()) : null,
+        data,
+      });
+      const block = normalizeBlockTag(blockTag);
+      const result = await simulateCall(rpcUrl.trim(), call, block);
+      setSimulation({ ...result, request: { ...call, data: data || '0x' }, block });
+    } catch (err) {
+      console.error('Error simulating call:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [from, to, value, blockTag, rpcUrl, inputMode, calldata, encodeCalldata]);
+
+  // Simulate straight away, once, when the call comes from the URL
+  const autoSimulateRef = useRef(Boolean(urlParams.get('to') && urlParams.get('data')));
+  useEffect(() => {
+    if (isEthersReady && autoSimulateRef.current) {
+      autoSimulateRef.current = false;
+      runSimulation();
+    }
+  }, [isEthersReady, runSimulation]);
+
+  // The selected ABI is tried before the bundled ones when decoding
+  const abis = useMemo(() => [...selectedAbi, ...allABIs], [selectedAbi]);
+  const contract = useMemo(() => ({ chainId, address: simulation?.request.to }), [chainId, simulation]);
+
+  const decoded = useMemo(() => {
+    if (!simulation) return null;
+    const { request, call, trace } = simulation;
+    const decodedLogs = trace ? decodeLogsWithABI(trace.logs, abis, chainId) : [];
+    return {
+      input: decodeInputWithABI(request.data, abis, contract),
+      output: call.reverted ? null : decodeOutputWithABI(request.data, call.output, abis, contract),
+      revert: call.reverted ? decodeRevertData(call.revertData, abis, contract) : null,
+      logs: decodedLogs,
+      // Without a trace only the native value transfer is known
+      balanceChanges: computeNetBalanceChanges({
+        transaction: { from: request.from, to: request.to, value: request.value || '0x0' },
+        decodedLogs,
+        succeeded: !call.reverted,
+      }),
+    };
+  }, [simulation, abis, chainId, contract]);
+
+  const tokenAddresses = useMemo(() => (decoded?.balanceChanges || [])
+    .flatMap(entry => entry.changes.map(change => change.token))
+    .filter((token, index, all) => token !== NATIVE_TOKEN_KEY && all.indexOf(token) === index), [decoded]);
+  const { tokenData, tokenLoading } = useTokenData(tokenAddresses, chainId);
+
+  const nativeSymbol = chainsData[chainId]?.tokenSymbol || 'ETH';
+  const nativeTokenAddress = chainsData[chainId]?.nativeTokenAddress;
+
+  return (
+    <div className="min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-gray-100 p-8 flex flex-col items-center font-sans">
+      <div className="w-full max-w-6xl space-y-6">
+        {/* --- Inputs --- */}
+        <div className="bg-white dark:bg-gray-800 p-8 rounded-xl shadow-2xl border border-gray-200 dark:border-gray-700">
+          <h1 className="text-3xl font-bold mb-6 text-gray-800 dark:text-gray-200 text-center flex items-center justify-center">
+            <i className="fas fa-flask mr-3"></i>
+            Simulate Call
+          </h1>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">From (optional)</label>
+              <input
+                type="text"
+                className={`${inputClassName} font-mono`}
+                value={from}
+                onChange={(e) => setFrom(e.target.value)}
+                placeholder="Sender address or name"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">To</label>
+              <input
+                type="text"
+                className={`${inputClassName} font-mono`}
+                value={to}
+                onChange={(e) => setTo(e.target.value)}
+                placeholder="Contract or recipient address or name"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Value ({nativeSymbol})</label>
+              <input
+                type="text"
+                className={inputClassName}
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                placeholder="0.0"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">Block</label>
+              <input
+                type="text"
+                className={inputClassName}
+                value={blockTag}
+                onChange={(e) => setBlockTag(e.target.value)}
+                placeholder="latest, pending, or a block number"
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">RPC URL</label>
+              <input
+                type="text"
+                className={inputClassName}
+                value={rpcUrl}
+                onChange={(e) => setRpcUrl(e.target.value)}
+                placeholder="RPC URL"
+              />
+            </div>
+          </div>
+
+          <div className="flex gap-2 mb-3">
+            {[['calldata', 'Raw Calldata'], ['abi', 'Function from ABI']].map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => setInputMode(mode)}
+                className={`px-3 py-1.5 text-sm rounded-lg transition-colors ${
+                  inputMode === mode
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {inputMode === 'calldata' ? (
+            <textarea
+              className={`${inputClassName} font-mono mb-6`}
+              rows={4}
+              value={calldata}
+              onChange={(e) => setCalldata(e.target.value)}
+              placeholder="Calldata (0x...), empty for a plain transfer"
+            />
+          ) : (
+            <div className="space-y-3 mb-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <select className={inputClassName} value={abiSource} onChange={(e) => selectAbiSource(e.target.value)}>
+                  {customAbi && <option value="custom">Custom ABI of the target</option>}
+                  {Object.entries(BUILT_IN_ABIS).map(([key, entry]) => (
+                    <option key={key} value={key}>{entry.label}</option>
+                  ))}
+                  <option value="paste">Paste an ABI</option>
+                </select>
+                <select
+                  className={inputClassName}
+                  value={methodName}
+                  onChange={(e) => selectFunction(e.target.value)}
+                  disabled={functions.length === 0}
+                >
+                  <option value="">Select a function</option>
+                  {functions.map(item => (
+                    <option key={item.name} value={item.name}>
+                      {item.name}({item.inputs.map(input => input.type).join(', ')})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {abiSource === 'paste' && (
+                <textarea
+                  className={`${inputClassName} font-mono`}
+                  rows={4}
+                  value={pastedAbi}
+                  onChange={(e) => setPastedAbi(e.target.value)}
+                  placeholder='JSON ABI or one fragment per line, e.g. "function deposit() payable"'
+                />
+              )}
+              {abiError && <div className="text-xs text-red-600">{abiError}</div>}
+              {selectedFunction && selectedFunction.inputs.map((input, index) => (
+                <div key={index}>
+                  <label className="block text-xs font-medium text-gray-600 dark:text-gray-300 mb-1">
+                    {input.name || `param${index}`} <span className="font-mono text-gray-400">({input.type})</span>
+                  </label>
+                  <input
+                    type="text"
+                    className={`${inputClassName} font-mono`}
+                    value={parameters[index] || ''}
+                    onChange={(e) => setParameters(prev => ({ ...prev, [index]: e.target.value }))}
+                    placeholder={input.type.endsWith(']') || input.type.startsWith('tuple') ? 'JSON, e.g. ["0x...", "0x..."]' : input.type}
+                  />
+                </div>
+              ))}
+              {calldata && (
+                <div className="text-xs text-gray-500 dark:text-gray-400 font-mono break-all">
+                  Last encoded calldata: {calldata}
+                </div>
+              )}
+            </div>
+          )}
+
+          <button
+            onClick={runSimulation}
+            disabled={loading || !isEthersReady || (inputMode === 'abi' && !selectedFunction)}
+            className="w-full py-3 px-4 rounded-lg text-white font-semibold transition-all duration-300
+                       bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-500/50
+                       disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Simulating...' : 'Simulate'}
+          </button>
+
+          {error && (
+            <div className="mt-4 p-4 bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-300 rounded-lg border border-red-200 dark:border-red-700">
+              <p className="font-semibold">Error:</p>
+              <p>{error}</p>
+            </div>
+          )}
+        </div>
+
+        {simulation && decoded && (
+          <>
+            <ResultSection title="Result" icon="fa-circle-info">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm mb-4">
+                <div>
+                  <span className="text-gray-500 dark:text-gray-400">Status: </span>
+                  {simulation.call.reverted
+                    ? <span className="text-red-600 font-semibold">Reverts</span>
+                    : <span className="text-green-600 font-semibold">Succeeds</span>}
+                </div>
+                <div>
+                  <span className="text-gray-500 dark:text-gray-400">Gas estimate: </span>
+                  {simulation.gasEstimate.gas !== null
+                    ? <span className="font-mono">{simulation.gasEstimate.gas.toLocaleString()}</span>
+                    : <span className="text-red-600 text-xs">{simulation.gasEstimate.error}</span>}
+                </div>
+                <div>
+                  <span className="text-gray-500 dark:text-gray-400">Block: </span>
+                  <span className="font-mono">{simulation.block}</span>
+                </div>
+                <div className="truncate">
+                  <span className="text-gray-500 dark:text-gray-400">Target: </span>
+                  <AddressLabel address={simulation.request.to} short className="font-mono text-sm" />
+                </div>
+              </div>
+
+              {decoded.input && (
+                <div className="mb-4">
+                  <div className="text-sm font-semibold text-gray-700 dark:text-gray-200 mb-1">
+                    Input: <code className="font-mono">{decoded.input.functionSignature}</code>
+                  </div>
+                  <DecodedValues values={decoded.input.decodedParameters} />
+                </div>
+              )}
+
+              {simulation.call.reverted ? (
+                <div className="p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg space-y-2">
+                  <div className="text-lg font-semibold text-red-700 dark:text-red-300 break-words">
+                    {decoded.revert.type === 'panic' ? `Panic ${decoded.revert.code}: ${decoded.revert.message}` : decoded.revert.message}
+                  </div>
+                  {decoded.revert.signature && (
+                    <code className="block font-mono text-xs text-gray-600 dark:text-gray-400">{decoded.revert.signature}</code>
+                  )}
+                  {decoded.revert.args && Object.keys(decoded.revert.args).length > 0 && (
+                    <DecodedValues values={decoded.revert.args} />
+                  )}
+                  {decoded.revert.data && (
+                    <code className="block font-mono text-xs text-gray-700 dark:text-gray-300 break-all">{decoded.revert.data}</code>
+                  )}
+                  {decoded.revert.type === 'empty' && simulation.call.rpcMessage && (
+                    <div className="text-xs text-gray-600 dark:text-gray-400">{simulation.call.rpcMessage}</div>
+                  )}
+                </div>
+              ) : (
+                <div>
+                  <div className="text-sm font-semibold text-gray-700 dark:text-gray-200 mb-1">Output</div>
+                  {decoded.output ? (
+                    <DecodedValues values={decoded.output} />
+                  ) : (
+                    <code className="block font-mono text-xs text-gray-700 dark:text-gray-300 break-all">{simulation.call.output}</code>
+                  )}
+                </div>
+              )}
+            </ResultSection>
+
+            {simulation.traceError && (
+              <div className="p-4 bg-yellow-50 dark:bg-yellow-900/20 text-yellow-800 dark:text-yellow-200 rounded-lg border border-yellow-200 dark:border-yellow-800 text-sm">
+                <i className="fas fa-info-circle mr-2"></i>
+                Emitted logs, token balance changes and the call tree need an RPC with <code className="font-mono">debug_traceCall</code>.
+                Only the native value transfer is shown. ({simulation.traceError})
+              </div>
+            )}
+
+            {simulation.trace && (decoded.logs.length > 0 ? (
+              <EventLogPanel logs={decoded.logs} filters={logFilters} onFiltersChange={setLogFilters} />
+            ) : (
+              <ResultSection title="Event Logs (0)" icon="fa-list">
+                <div className="flex items-center justify-center py-3 text-gray-500">
+                  <i className="fas fa-info-circle mr-2"></i>
+                  <span className="text-sm">The call emits no events</span>
+                </div>
+              </ResultSection>
+            ))}
+
+            <NetBalanceChanges
+              balanceChanges={decoded.balanceChanges}
+              tokenData={tokenData}
+              tokenLoading={tokenLoading}
+              nativeSymbol={nativeSymbol}
+              nativeTokenData={nativeTokenAddress ? tokenData[nativeTokenAddress.toLowerCase()] : null}
+            />
+
+            {simulation.trace && (
+              <CallTracePanel trace={simulation.trace} abis={abis} chainId={chainId} nativeSymbol={nativeSymbol} />
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { chainsData } from '../data/chains';
+import AddressLabel from '../components/AddressLabel';
+import { resolveAddressInput, isNameInput } from '../utils/nameServiceUtils';
 import { 
   makeSingleCall, 
   makeMulticall, 
@@ -133,11 +135,11 @@ const TokenBalanceChecker = () => {
     }));
   };
 
-  const addEoaAddress = (address) => {
+  const addEoaAddress = (address, label = null) => {
     const newEoa = {
       id: Date.now(),
       address: address.trim(),
-      label: `EOA ${eoaAddresses.length + 1}`
+      label: label || `EOA ${eoaAddresses.length + 1}`
     };
     setEoaAddresses(prev => [...prev, newEoa]);
   };
@@ -159,18 +161,21 @@ const TokenBalanceChecker = () => {
       return;
     }
 
-    const currentTokens = getCurrentChainTokens();
-    if (currentTokens.some(token => token.address.toLowerCase() === newTokenAddress.toLowerCase())) {
-      setError('Token already exists in the list for this chain');
-      return;
-    }
-
     setLoading(true);
     setError('');
 
     try {
+      // Accept names as well as addresses
+      const tokenAddress = await resolveAddressInput(newTokenAddress);
+
+      const currentTokens = getCurrentChainTokens();
+      if (currentTokens.some(token => token.address.toLowerCase() === tokenAddress.toLowerCase())) {
+        setError('Token already exists in the list for this chain');
+        return;
+      }
+
       // Get token info (name, symbol, decimals)
-      const infoCalls = createERC20InfoCalls(newTokenAddress);
+      const infoCalls = createERC20InfoCalls(tokenAddress);
       const infoResult = await makeMulticall(rpcUrl, multicallAddress, infoCalls);
 
       let name = 'Unknown';
@@ -213,7 +218,7 @@ const TokenBalanceChecker = () => {
 
       const newToken = {
         id: Date.now(),
-        address: newTokenAddress,
+        address: tokenAddress,
         name,
         symbol,
         decimals,
@@ -236,21 +241,31 @@ const TokenBalanceChecker = () => {
   };
 
   // Add EOA address handlers
-  const handleAddEoaAddress = () => {
+  const handleAddEoaAddress = async () => {
     if (!newEoaAddress.trim()) {
       setError('Please enter an EOA address');
       setSuccessMessage('');
       return;
     }
 
-    if (eoaAddresses.some(eoa => eoa.address.toLowerCase() === newEoaAddress.toLowerCase())) {
+    // Accept names as well as addresses; a name becomes the default label
+    let eoaAddress;
+    try {
+      eoaAddress = await resolveAddressInput(newEoaAddress);
+    } catch (error) {
+      setError(error.message);
+      setSuccessMessage('');
+      return;
+    }
+
+    if (eoaAddresses.some(eoa => eoa.address.toLowerCase() === eoaAddress.toLowerCase())) {
       setError('Address already exists in the list');
       setSuccessMessage('');
       return;
     }
 
     try {
-      addEoaAddress(newEoaAddress);
+      addEoaAddress(eoaAddress, isNameInput(newEoaAddress) ? newEoaAddress.trim() : null);
       setNewEoaAddress('');
       setError('');
       setSuccessMessage('Address added and saved successfully!');
@@ -598,7 +613,7 @@ const TokenBalanceChecker = () => {
                     type="text"
                     value={newTokenAddress}
                     onChange={(e) => setNewTokenAddress(e.target.value)}
-                    placeholder="Enter ERC20 token contract address"
+                    placeholder="Enter ERC20 token contract address or name"
                     className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
                   />
                 </div>
@@ -696,7 +711,7 @@ const TokenBalanceChecker = () => {
                     type="text"
                     value={newEoaAddress}
                     onChange={(e) => setNewEoaAddress(e.target.value)}
-                    placeholder="Enter wallet address"
+                    placeholder="Enter wallet address or ENS name (e.g. vitalik.eth)"
                     className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
                   />
                 </div>
@@ -926,7 +941,7 @@ const TokenBalanceChecker = () => {
                             </td>
                             <td className="py-3 px-4">
                               <div className="text-gray-600 dark:text-gray-400 font-mono text-sm">
-                                {addressData.address.slice(0, 10)}...{addressData.address.slice(-8)}
+                                <AddressLabel address={addressData.address} short showName />
                               </div>
                             </td>
                             <td className="py-3 px-4 text-right">
@@ -1,111 +1,73 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { allABIs } from '../abis';
 import { chainsData } from '../data/chains.js';
 import { useTokenData } from '../hooks/useTokenData';
+import { useHistoricalPrices } from '../hooks/useHistoricalPrices';
+import { usePendingTransaction, useConfirmations } from '../hooks/useTransactionStatus';
 import { 
   TokenDisplay, 
-  TokenValueDisplay
+  TokenValueDisplay,
+  HistoricalUsdValue
 } from '../components/TokenComponents';
+import CallTracePanel from '../components/CallTracePanel';
+import StateChangesPanel from '../components/StateChangesPanel';
+import { SignatureCandidateList, CustomSignatureForm } from '../components/SignatureComponents';
+import CustomAbiManager from '../components/CustomAbiComponents';
+import NestedCallTree from '../components/NestedCallTree';
+import RevertReason from '../components/RevertReason';
+import NetBalanceChanges from '../components/NetBalanceChanges';
+import SwapsPanel from '../components/SwapsPanel';
+import TokenFlowGraph from '../components/TokenFlowGraph';
+import AddressLabel from '../components/AddressLabel';
+import TypedTransactionDetails from '../components/TypedTransactionDetails';
+import FeeBreakdown from '../components/FeeBreakdown';
+import ChainSearchPanel from '../components/ChainSearchPanel';
+import ReportExport from '../components/ReportExport';
+import DeploymentPanel from '../components/DeploymentPanel';
+import NftTransfers from '../components/NftTransfers';
+import ApprovalsPanel from '../components/ApprovalsPanel';
+import EventLogPanel from '../components/EventLogPanel';
+import BlockNavigation from '../components/BlockNavigation';
+import {
+  decodeInputWithABI,
+  decodeLogsWithABI,
+  decodeNestedCalls,
+  getMethodId,
+  isErc20Transfer
+} from '../utils/decodingUtils';
+import { decodeInputWithSignatures, getStoredSignatures } from '../utils/signatureUtils';
+import { computeNetBalanceChanges, buildTokenFlowGraph } from '../utils/tokenFlowUtils';
+import { decodeRawTransaction, TRANSACTION_TYPE_NAMES } from '../utils/rawTransactionUtils';
+import { makeDirectRpcCall } from '../utils/blockchainUtils';
+import { computeFeeBreakdown } from '../utils/feeUtils';
+import { readLogFilters, writeLogFilters } from '../utils/logFilterUtils';
 
 // Ethers.js is loaded via a script tag in the HTML wrapper.
 // We access it via `window.ethers`.
 
-// Helper function to decode input data using a given ABI
-const decodeInputWithABI = (input, abis) => {
-  if (!input || typeof input !== 'string' || input.length < 10 || !window.ethers) {
-    return null;
-  }
 
-  const iface = new window.ethers.utils.Interface(abis);
-  
-  try {
-    const decoded = iface.parseTransaction({ data: input });
-    if (decoded) {
-      // Decode parameters to a readable format
-      const decodedParameters = {};
-      decoded.args.forEach((arg, index) => {
-        const paramName = decoded.functionFragment.inputs[index].name || `param${index}`;
-        let paramValue = arg;
-        if (window.ethers.BigNumber.isBigNumber(arg)) {
-          paramValue = arg.toString();
-        } else if (Array.isArray(arg)) {
-            // Handle arrays of parameters
-            paramValue = arg.map(item => window.ethers.BigNumber.isBigNumber(item) ? item.toString() : item);
-        }
-        decodedParameters[paramName] = paramValue;
-      });
-      return {
-        functionName: decoded.name,
-        functionSignature: decoded.functionFragment.format(),
-        decodedParameters: decodedParameters,
-      };
-    }
-  } catch (err) {
-    console.error("Failed to decode with ABI:", err);
-  }
-
-  return null;
-};
-
-// Helper function to extract method ID from input data
-const getMethodId = (input) => {
-  if (!input || typeof input !== 'string' || input.length < 10) {
-    return null;
-  }
-  // Method ID is the first 4 bytes (8 hex characters) after '0x'
-  return input.slice(0, 10);
-};
-
-// Helper function to decode logs using a given ABI
-const decodeLogsWithABI = (logs, abis) => {
-  if (!logs || !window.ethers) {
-    return [];
-  }
-  const iface = new window.ethers.utils.Interface(abis);
-  const decodedLogs = [];
-
-  logs.forEach(log => {
-    try {
-      const parsedLog = iface.parseLog(log);
-      if (parsedLog) {
-        const decodedArgs = {};
-        parsedLog.args.forEach((arg, index) => {
-          const paramName = parsedLog.eventFragment.inputs[index].name || `arg${index}`;
-          let paramValue = arg;
-          if (window.ethers.BigNumber.isBigNumber(arg)) {
-            paramValue = arg.toString();
-          } else if (Array.isArray(arg)) {
-              paramValue = arg.map(item => window.ethers.BigNumber.isBigNumber(item) ? item.toString() : item);
-          }
-          decodedArgs[paramName] = paramValue;
-        });
-        decodedLogs.push({
-          eventName: parsedLog.name,
-          eventSignature: parsedLog.eventFragment.format(), // Add the full event signature
-          address: log.address,
-          logIndex: parseInt(log.logIndex, 16), // Convert hex logIndex to a decimal number
-          topics: log.topics, // Add the raw topics to the decoded log object
-          args: decodedArgs, // Pass the arguments as a structured object, not a string
-          isDecoded: true,
-        });
-      }
-    } catch (err) {
-      // If decoding fails, add the raw log to the list with a flag
-      decodedLogs.push({
-        address: log.address,
-        logIndex: parseInt(log.logIndex, 16),
-        topics: log.topics,
-        data: log.data,
-        isDecoded: false,
-      });
-      console.warn("Could not decode log:", log, err);
-    }
-  });
-
-  return decodedLogs;
+// Build the structured version of a transaction for display
+const buildStructuredTransactionData = (tx) => {
+  const chainId = tx.chainId ? parseInt(tx.chainId, 16) : 369;
+  const chainData = chainsData[chainId];
+  const tokenSymbol = chainData?.tokenSymbol || 'ETH';
+  const type = tx.type ? parseInt(tx.type, 16) : 0;
+
+  return {
+    from: tx.from,
+    to: tx.to,
+    value: window.ethers.utils.formatEther(tx.value) + ` ${tokenSymbol}`,
+    nonce: parseInt(tx.nonce, 16),
+    type: TRANSACTION_TYPE_NAMES[type] || `Type ${type}`,
+    chainId: chainId,
+    // Gas data will be shown in separate Gas section
+    gas: tx.gas,
+    gasPrice: tx.gasPrice,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+    maxFeePerGas: tx.maxFeePerGas,
+  };
 };
 
-
 // Transaction page component
 export default function TransactionPage({ txHash: txHashProp }) {
   // Read initial state from URL parameters (support both search params and hash routing)
@@ -129,11 +91,20 @@ export default function TransactionPage({ txHash: txHashProp }) {
   // State variables for the transaction hash, RPC URL, and transaction data
   const [txHash, setTxHash] = useState(initialTxHash);
   const [rpcUrl, setRpcUrl] = useState(initialRpcUrl);
+  // Event log filters, kept in the URL so a filtered view can be shared
+  const [logFilters, setLogFilters] = useState(() => readLogFilters(urlParams));
   const [transactionData, setTransactionData] = useState(null);
   const [structuredTransactionData, setStructuredTransactionData] = useState(null);
   const [transactionReceipt, setTransactionReceipt] = useState(null);
   const [structuredTransactionReceipt, setStructuredTransactionReceipt] = useState(null);
+  const [pendingTransaction, setPendingTransaction] = useState(null);
+  // 'hash' fetches a transaction from the RPC, 'raw' decodes a pasted signed transaction offline
+  const [inputMode, setInputMode] = useState('hash');
+  const [rawTxInput, setRawTxInput] = useState('');
+  const [decodedRawTransaction, setDecodedRawTransaction] = useState(null);
+  const [broadcasting, setBroadcasting] = useState(false);
   const [decodedInputData, setDecodedInputData] = useState(null);
+  const [nestedInputCalls, setNestedInputCalls] = useState([]);
   const [decodedLogs, setDecodedLogs] = useState([]);
   const [blockData, setBlockData] = useState(null);
   const [structuredBlockData, setStructuredBlockData] = useState(null);
@@ -142,6 +113,13 @@ export default function TransactionPage({ txHash: txHashProp }) {
   const [error, setError] = useState(null);
   const [isEthersReady, setIsEthersReady] = useState(false);
   const [showStructuredView, setShowStructuredView] = useState(true);
+  // Bumped when local signatures or custom ABIs change, so decoding re-runs
+  const [localDecoderVersion, setLocalDecoderVersion] = useState(0);
+  // Custom signatures saved in this browser, re-read when the signature form changes them
+  const [storedSignatures, setStoredSignatures] = useState(getStoredSignatures);
+  const [showCustomAbis, setShowCustomAbis] = useState(false);
+  // Id of the latest fetchTransactionData call; responses of earlier calls are discarded
+  const fetchRequestRef = useRef(0);
 
   // Get chain ID from transaction data
   const getChainId = () => {
@@ -151,6 +129,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
     const chainIdInt = parseInt(chainIdHex, 16);
     return chainIdInt.toString();
   };
+  const currentChainId = getChainId();
 
   // Get unique token addresses from decoded logs
   const tokenAddresses = useMemo(() => {
@@ -159,9 +138,9 @@ export default function TransactionPage({ txHash: txHashProp }) {
     const chainId = getChainId();
     const chainData = chainId ? chainsData[chainId] : null;
     
-    // Get ERC20 token contracts from Transfer events
+    // Get ERC20 token contracts from Transfer and wrapped-native Deposit/Withdrawal events
     const tokenContracts = decodedLogs
-      .filter(log => log.isDecoded && log.eventName === 'Transfer')
+      .filter(log => isErc20Transfer(log) || (log.isDecoded && ['Deposit', 'Withdrawal'].includes(log.eventName)))
       .map(log => log.address)
       .filter((address, index, self) => self.indexOf(address) === index); // Remove duplicates
 
@@ -177,6 +156,40 @@ export default function TransactionPage({ txHash: txHashProp }) {
   // Use the token data hook
   const { tokenData, tokenLoading } = useTokenData(tokenAddresses, getChainId());
 
+  // Token prices at the block time, shown as "value then" next to the current value
+  const blockTimestamp = blockData?.timestamp ? parseInt(blockData.timestamp, 16) : null;
+  const { getHistoricalPrice } = useHistoricalPrices(tokenAddresses, getChainId(), blockTimestamp);
+
+  // Net balance change of every participant
+  const balanceChanges = useMemo(() => {
+    if (!isEthersReady || !transactionData || !transactionReceipt) return [];
+    return computeNetBalanceChanges({
+      transaction: transactionData,
+      decodedLogs,
+      succeeded: parseInt(transactionReceipt.status, 16) === 1,
+    });
+  }, [isEthersReady, transactionData, transactionReceipt, decodedLogs]);
+
+  // Directed graph of every token movement
+  const tokenFlowGraph = useMemo(() => {
+    if (!isEthersReady || !transactionData || !transactionReceipt) return { nodes: [], edges: [] };
+    return buildTokenFlowGraph({
+      transaction: transactionData,
+      decodedLogs,
+      succeeded: parseInt(transactionReceipt.status, 16) === 1,
+    });
+  }, [isEthersReady, transactionData, transactionReceipt, decodedLogs]);
+
+  // Poll pending transactions and count confirmations of mined ones
+  const pendingStatus = usePendingTransaction(rpcUrl, pendingTransaction);
+  const { confirmations } = useConfirmations(rpcUrl, structuredTransactionReceipt?.blockNumber);
+
+  // Candidate signatures for input that neither the ABIs nor a clean database match could decode
+  const rawInputCandidates = useMemo(() => {
+    if (!isEthersReady || decodedInputData || !transactionData?.input || transactionData.input === '0x') return [];
+    return decodeInputWithSignatures(transactionData.input, storedSignatures);
+  }, [transactionData, decodedInputData, isEthersReady, storedSignatures]);
+
   // Load ethers.js from a CDN
   useEffect(() => {
     if (window.ethers) {
@@ -202,22 +215,25 @@ export default function TransactionPage({ txHash: txHashProp }) {
   // useEffect hook to decode the input data whenever transactionData changes
   useEffect(() => {
     if (isEthersReady && transactionData && transactionData.input && transactionData.input !== '0x') {
-      const decoded = decodeInputWithABI(transactionData.input, allABIs);
+      const contract = { chainId: currentChainId, address: transactionData.to };
+      const decoded = decodeInputWithABI(transactionData.input, allABIs, contract);
       setDecodedInputData(decoded);
+      setNestedInputCalls(decoded ? decodeNestedCalls(transactionData.input, allABIs, contract) : []);
     } else {
       setDecodedInputData(null);
+      setNestedInputCalls([]);
     }
-  }, [transactionData, isEthersReady]);
+  }, [transactionData, isEthersReady, localDecoderVersion, currentChainId]);
 
   // useEffect hook to decode logs whenever transactionReceipt changes
   useEffect(() => {
     if (isEthersReady && transactionReceipt && transactionReceipt.logs) {
-      const decoded = decodeLogsWithABI(transactionReceipt.logs, allABIs);
+      const decoded = decodeLogsWithABI(transactionReceipt.logs, allABIs, currentChainId);
       setDecodedLogs(decoded);
     } else {
       setDecodedLogs([]);
     }
-  }, [transactionReceipt, isEthersReady]);
+  }, [transactionReceipt, isEthersReady, localDecoderVersion, currentChainId]);
 
   // Handle URL parameters on component mount
   // Update txHash when prop changes
@@ -239,7 +255,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
     }
   }, [isEthersReady, txHash]);
 
-  // Update URL parameters when txHash or rpcUrl changes
+  // Update URL parameters when txHash, rpcUrl or the log filters change
   useEffect(() => {
     const urlParams = new URLSearchParams();
     if (txHash) {
@@ -248,17 +264,18 @@ export default function TransactionPage({ txHash: txHashProp }) {
     if (rpcUrl) {
       urlParams.set('rpc', encodeURIComponent(rpcUrl));
     }
+    writeLogFilters(urlParams, logFilters);
     
     const newUrl = urlParams.toString() ? 
       `${window.location.pathname}?${urlParams.toString()}` : 
       window.location.pathname;
     
     window.history.replaceState({}, '', newUrl);
-  }, [txHash, rpcUrl]);
+  }, [txHash, rpcUrl, logFilters]);
 
-  // Function to fetch block data
-  const fetchBlockData = async (blockNumber) => {
-    if (!blockNumber || !rpcUrl || !isEthersReady) return;
+  // Function to fetch block data; `isCurrent` tells whether the transaction it belongs to is still shown
+  const fetchBlockData = useCallback(async (blockNumber, blockRpcUrl, isCurrent) => {
+    if (!blockNumber || !blockRpcUrl || !isEthersReady) return;
     
     setBlockLoading(true);
     try {
@@ -269,7 +286,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
         id: 3,
       };
 
-      const blockResponse = await fetch(rpcUrl, {
+      const blockResponse = await fetch(blockRpcUrl, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(blockRequestBody),
@@ -280,6 +297,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
       }
 
       const blockResult = await blockResponse.json();
+      if (!isCurrent()) return;
       if (blockResult.result) {
         setBlockData(blockResult.result);
         
@@ -330,16 +348,34 @@ export default function TransactionPage({ txHash: txHashProp }) {
     } finally {
       setBlockLoading(false);
     }
+  }, [isEthersReady]);
+
+  // Switch to a chain the transaction was found on and reload it from that chain's RPC
+  const switchToChain = ({ rpcUrl: chainRpcUrl }) => {
+    setRpcUrl(chainRpcUrl);
+    fetchTransactionData(chainRpcUrl);
   };
 
-  // Async function to fetch both transaction data and the receipt from the blockchain RPC
-  const fetchTransactionData = async () => {
+  // Load another transaction from the same RPC (block neighbours, adjacent nonces)
+  const navigateToTransaction = (hash) => {
+    setTxHash(hash);
+  };
+
+  // Async function to fetch both transaction data and the receipt from the blockchain RPC.
+  // `rpcUrlOverride` is used when the RPC was just switched and the state update is not applied yet
+  const fetchTransactionData = useCallback(async (rpcUrlOverride = null) => {
+    const activeRpcUrl = rpcUrlOverride || rpcUrl;
+    const requestId = ++fetchRequestRef.current;
+    const isCurrentRequest = () => requestId === fetchRequestRef.current;
+
     // Reset all states and show loading indicator
     setLoading(true);
+    setDecodedRawTransaction(null);
     setTransactionData(null);
     setStructuredTransactionData(null);
     setTransactionReceipt(null);
     setStructuredTransactionReceipt(null);
+    setPendingTransaction(null);
     setBlockData(null);
     setStructuredBlockData(null);
     setDecodedInputData(null);
@@ -347,7 +383,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
     setError(null);
 
     // Basic validation
-    if (!txHash || !rpcUrl) {
+    if (!txHash || !activeRpcUrl) {
       setError('Please enter a valid transaction hash and RPC URL.');
       setLoading(false);
       return;
@@ -368,7 +404,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
         id: 1,
       };
 
-      let txResponse = await fetch(rpcUrl, {
+      let txResponse = await fetch(activeRpcUrl, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(txRequestBody),
@@ -379,27 +415,11 @@ export default function TransactionPage({ txHash: txHashProp }) {
       }
 
       let txData = await txResponse.json();
+      if (!isCurrentRequest()) return;
       if (txData.result) {
         setTransactionData(txData.result);
         // Create structured version for display
-        const chainId = txData.result.chainId ? parseInt(txData.result.chainId, 16) : 369;
-        const chainData = chainsData[chainId];
-        const tokenSymbol = chainData?.tokenSymbol || 'ETH';
-        
-        const structuredTxData = {
-          from: txData.result.from,
-          to: txData.result.to,
-          value: window.ethers.utils.formatEther(txData.result.value) + ` ${tokenSymbol}`,
-          nonce: parseInt(txData.result.nonce, 16),
-          type: parseInt(txData.result.type, 16) === 0 ? 'Legacy' : 'EIP-1559',
-          chainId: chainId,
-          // Gas data will be shown in separate Gas section
-          gas: txData.result.gas,
-          gasPrice: txData.result.gasPrice,
-          maxPriorityFeePerGas: txData.result.maxPriorityFeePerGas,
-          maxFeePerGas: txData.result.maxFeePerGas,
-        };
-        setStructuredTransactionData(structuredTxData);
+        setStructuredTransactionData(buildStructuredTransactionData(txData.result));
       } else {
         setError(txData.error ? txData.error.message : 'Transaction not found or invalid response for getTransactionByHash.');
       }
@@ -412,7 +432,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
         id: 2,
       };
 
-      let receiptResponse = await fetch(rpcUrl, {
+      let receiptResponse = await fetch(activeRpcUrl, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(receiptRequestBody),
@@ -423,6 +443,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
       }
 
       let receiptData = await receiptResponse.json();
+      if (!isCurrentRequest()) return;
       if (receiptData.result) {
         setTransactionReceipt(receiptData.result);
         
@@ -453,17 +474,83 @@ export default function TransactionPage({ txHash: txHashProp }) {
           transactionIndex,
         });
         
-        fetchBlockData(blockNumber);
+        fetchBlockData(blockNumber, activeRpcUrl, isCurrentRequest);
+      } else if (!receiptData.error && txData.result && !txData.result.blockNumber) {
+        // Not mined yet: track it as a pending transaction
+        setPendingTransaction(txData.result);
       } else {
         setError(receiptData.error ? receiptData.error.message : 'Transaction receipt not found or invalid response.');
       }
 
     } catch (err) {
       // Catch any network or parsing errors
-      setError(`Failed to fetch data: ${err.message}`);
+      if (isCurrentRequest()) setError(`Failed to fetch data: ${err.message}`);
     } finally {
       // Hide the loading indicator
-      setLoading(false);
+      if (isCurrentRequest()) setLoading(false);
+    }
+  }, [txHash, rpcUrl, isEthersReady, fetchBlockData]);
+
+  // Reload everything once a pending transaction is mined
+  useEffect(() => {
+    if (pendingStatus.status === 'mined') {
+      fetchTransactionData();
+    }
+  }, [pendingStatus.status, fetchTransactionData]);
+
+  // Decode a pasted signed raw transaction offline and show it in the structured view
+  const decodeRawTransactionInput = () => {
+    setTransactionData(null);
+    setStructuredTransactionData(null);
+    setTransactionReceipt(null);
+    setStructuredTransactionReceipt(null);
+    setPendingTransaction(null);
+    setBlockData(null);
+    setStructuredBlockData(null);
+    setDecodedRawTransaction(null);
+    setError(null);
+
+    if (!rawTxInput.trim()) {
+      setError('Please paste a signed raw transaction.');
+      return;
+    }
+
+    try {
+      const decoded = decodeRawTransaction(rawTxInput);
+      setDecodedRawTransaction(decoded);
+      setTransactionData(decoded.transaction);
+      setStructuredTransactionData(buildStructuredTransactionData(decoded.transaction));
+    } catch (err) {
+      setError(`Failed to decode raw transaction: ${err.message}`);
+    }
+  };
+
+  // Send the decoded raw transaction with eth_sendRawTransaction after an explicit confirmation
+  const broadcastRawTransaction = async () => {
+    if (!decodedRawTransaction) return;
+    const { transaction, rawTransaction } = decodedRawTransaction;
+
+    setBroadcasting(true);
+    setError(null);
+    try {
+      const rpcChainId = parseInt(await makeDirectRpcCall(rpcUrl, 'eth_chainId', []), 16);
+      if (transaction.chainId && parseInt(transaction.chainId, 16) !== rpcChainId) {
+        throw new Error(`The transaction is signed for chain ${parseInt(transaction.chainId, 16)} but the RPC is on chain ${rpcChainId}`);
+      }
+
+      const confirmed = window.confirm(
+        `Broadcast transaction ${transaction.hash} from ${transaction.from} to ${rpcUrl} (chain ${rpcChainId})?\n\nThis cannot be undone.`
+      );
+      if (!confirmed) return;
+
+      const sentHash = await makeDirectRpcCall(rpcUrl, 'eth_sendRawTransaction', [rawTransaction]);
+      // Follow the broadcast transaction like any other hash
+      setInputMode('hash');
+      setTxHash(sentHash);
+    } catch (err) {
+      setError(`Failed to broadcast transaction: ${err.message}`);
+    } finally {
+      setBroadcasting(false);
     }
   };
 
@@ -480,9 +567,28 @@ export default function TransactionPage({ txHash: txHashProp }) {
                 <i className="fas fa-search mr-3"></i>
                 Transaction Viewer
               </h1>
+              <div className="flex mb-4 rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden text-sm font-medium">
+                {[
+                  { mode: 'hash', label: 'Transaction Hash', icon: 'fa-hashtag' },
+                  { mode: 'raw', label: 'Signed Raw Transaction', icon: 'fa-file-signature' },
+                ].map(({ mode, label, icon }) => (
+                  <button
+                    key={mode}
+                    onClick={() => setInputMode(mode)}
+                    className={`flex-1 py-2 transition-colors ${
+                      inputMode === mode
+                        ? 'bg-blue-600 text-white'
+                        : 'bg-white text-gray-600 hover:bg-gray-100 dark:bg-gray-700 dark:text-gray-300'
+                    }`}
+                  >
+                    <i className={`fas ${icon} mr-2`}></i>
+                    {label}
+                  </button>
+                ))}
+              </div>
               <div className="mb-4">
                 <label htmlFor="rpcUrl" className="block text-sm font-medium mb-1">
-                  RPC URL
+                  RPC URL{inputMode === 'raw' && <span className="text-gray-500 font-normal"> (only used to broadcast)</span>}
                 </label>
                 <input
                   type="text"
@@ -494,6 +600,35 @@ export default function TransactionPage({ txHash: txHashProp }) {
                 />
               </div>
 
+              {inputMode === 'raw' ? (
+              <>
+              <div className="mb-6">
+                <label htmlFor="rawTx" className="block text-sm font-medium mb-1">
+                  Signed Raw Transaction
+                </label>
+                <textarea
+                  id="rawTx"
+                  rows={5}
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-gray-200 font-mono text-xs"
+                  value={rawTxInput}
+                  onChange={(e) => setRawTxInput(e.target.value)}
+                  placeholder="0x02f8... (legacy, EIP-2930, EIP-1559, EIP-4844 or EIP-7702)"
+                />
+              </div>
+
+              <button
+                onClick={decodeRawTransactionInput}
+                disabled={!isEthersReady}
+                className="w-full py-3 px-4 rounded-lg text-white font-semibold transition-all duration-300
+                           bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-500/50
+                           dark:bg-blue-500 dark:hover:bg-blue-600 dark:focus:ring-blue-400/50
+                           disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                {isEthersReady ? 'Decode Raw Transaction' : 'Loading Libraries...'}
+              </button>
+              </>
+              ) : (
+              <>
               <div className="mb-6">
                 <label htmlFor="txHash" className="block text-sm font-medium mb-1">
                   Transaction Hash
@@ -509,7 +644,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
               </div>
 
               <button
-                onClick={fetchTransactionData}
+                onClick={() => fetchTransactionData()}
                 disabled={loading || !isEthersReady}
                 className="w-full py-3 px-4 rounded-lg text-white font-semibold transition-all duration-300
                            bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-500/50
@@ -518,6 +653,9 @@ export default function TransactionPage({ txHash: txHashProp }) {
               >
                 {loading ? 'Fetching...' : isEthersReady ? 'Fetch Transaction Data & Receipt' : 'Loading Libraries...'}
               </button>
+              <ChainSearchPanel txHash={txHash} currentRpcUrl={rpcUrl} onSelectChain={switchToChain} />
+              </>
+              )}
 
               {error && (
                 <div className="mt-4 p-4 bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-300 rounded-lg border border-red-200 dark:border-red-700">
@@ -526,6 +664,155 @@ export default function TransactionPage({ txHash: txHashProp }) {
                 </div>
               )}
             </div>
+            {/* --- Report Export Section --- */}
+            {transactionData && transactionReceipt && structuredTransactionData && (
+              <ReportExport
+                geckoId={chainsData[structuredTransactionData.chainId]?.nativeGeckoId}
+                reportInput={{
+                  rpcUrl,
+                  chainId: structuredTransactionData.chainId,
+                  chainName: chainsData[structuredTransactionData.chainId]?.name,
+                  nativeSymbol: chainsData[structuredTransactionData.chainId]?.nativeSymbol
+                    || chainsData[structuredTransactionData.chainId]?.tokenSymbol || 'ETH',
+                  nativeTokenAddress: chainsData[structuredTransactionData.chainId]?.nativeTokenAddress,
+                  transaction: transactionData,
+                  receipt: transactionReceipt,
+                  block: blockData,
+                  structuredTransaction: structuredTransactionData,
+                  structuredReceipt: structuredTransactionReceipt,
+                  structuredBlock: structuredBlockData,
+                  decodedInput: decodedInputData,
+                  decodedLogs,
+                  balanceChanges,
+                  tokenData,
+                  getHistoricalPrice,
+                  feeBreakdown: computeFeeBreakdown({ transaction: transactionData, receipt: transactionReceipt, block: blockData }),
+                }}
+              />
+            )}
+            {/* --- Signed Raw Transaction Section --- */}
+            {decodedRawTransaction && (
+              <div className="w-full max-w-2xl bg-indigo-50 border border-indigo-200 rounded-xl shadow-lg p-6">
+                <h2 className="text-2xl font-bold mb-6 text-indigo-700 flex items-center">
+                  <i className="fas fa-file-signature mr-2"></i>
+                  Signed Raw Transaction
+                </h2>
+                <div className="space-y-3 text-sm">
+                  <div className="flex items-start">
+                    <span className="font-medium text-indigo-600 w-36 flex-shrink-0">Hash</span>
+                    <span className="font-mono break-all">{decodedRawTransaction.transaction.hash}</span>
+                  </div>
+                  <div className="flex items-start">
+                    <span className="font-medium text-indigo-600 w-36 flex-shrink-0">Recovered Sender</span>
+                    <AddressLabel address={decodedRawTransaction.transaction.from} showName />
+                  </div>
+                  <div className="flex items-start">
+                    <span className="font-medium text-indigo-600 w-36 flex-shrink-0">Chain ID</span>
+                    <span className="font-mono">
+                      {decodedRawTransaction.transaction.chainId
+                        ? parseInt(decodedRawTransaction.transaction.chainId, 16)
+                        : 'None (pre-EIP-155, valid on any chain)'}
+                    </span>
+                  </div>
+                  {decodedRawTransaction.blobSidecar && (
+                    <div className="flex items-start">
+                      <span className="font-medium text-indigo-600 w-36 flex-shrink-0">Blob Sidecar</span>
+                      <span>{decodedRawTransaction.blobSidecar.blobs} blob(s) with commitments and proofs</span>
+                    </div>
+                  )}
+                </div>
+                <div className="mt-4 text-xs text-indigo-600">
+                  <i className="fas fa-info-circle mr-1"></i>
+                  Decoded offline. Nothing has been sent yet; broadcasting asks for confirmation first.
+                </div>
+                <button
+                  onClick={broadcastRawTransaction}
+                  disabled={broadcasting || !rpcUrl}
+                  className="mt-4 w-full py-2 px-4 rounded-lg text-white font-semibold transition-all duration-300
+                             bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-4 focus:ring-red-500/50
+                             disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                  <i className="fas fa-paper-plane mr-2"></i>
+                  {broadcasting ? 'Broadcasting...' : 'Broadcast via eth_sendRawTransaction'}
+                </button>
+              </div>
+            )}
+
+            {/* --- Pending Transaction Section --- */}
+            {pendingTransaction && (() => {
+              const nativeSymbol = chainsData[currentChainId]?.tokenSymbol || 'ETH';
+              const formatGwei = (value) => value ? `${window.ethers.utils.formatUnits(value, 'gwei')} Gwei` : null;
+              const mempoolFields = [
+                ['Nonce', parseInt(pendingTransaction.nonce, 16)],
+                ['Value', `${window.ethers.utils.formatEther(pendingTransaction.value)} ${nativeSymbol}`],
+                ['Gas Limit', parseInt(pendingTransaction.gas, 16).toLocaleString()],
+                ['Gas Price', formatGwei(pendingTransaction.gasPrice)],
+                ['Max Fee', formatGwei(pendingTransaction.maxFeePerGas)],
+                ['Max Priority Fee', formatGwei(pendingTransaction.maxPriorityFeePerGas)],
+              ].filter(([, value]) => value !== null && value !== undefined);
+
+              return (
+                <div className="w-full max-w-2xl bg-yellow-50 border border-yellow-200 rounded-xl shadow-lg p-6">
+                  <h2 className="text-2xl font-bold mb-6 text-yellow-700 flex items-center">
+                    <i className="fas fa-hourglass-half mr-2"></i>
+                    Pending Transaction
+                  </h2>
+
+                  {pendingStatus.status === 'pending' && (
+                    <div className="flex items-center mb-4 text-sm text-yellow-800">
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-yellow-700"></div>
+                      <span className="ml-2">
+                        Waiting to be mined...
+                        {pendingStatus.lastChecked && ` (last checked ${pendingStatus.lastChecked.toLocaleTimeString()})`}
+                      </span>
+                    </div>
+                  )}
+
+                  {pendingStatus.status === 'mined' && (
+                    <div className="mb-4 text-sm text-green-700 font-semibold">
+                      <i className="fa-solid fa-circle-check mr-1"></i>
+                      Mined! Loading receipt...
+                    </div>
+                  )}
+
+                  {['replaced', 'cancelled', 'dropped'].includes(pendingStatus.status) && (
+                    <div className="mb-4 p-3 bg-red-100 text-red-700 rounded-lg border border-red-200 text-sm">
+                      <p className="font-semibold">
+                        {pendingStatus.status === 'cancelled' && 'This transaction was cancelled.'}
+                        {pendingStatus.status === 'replaced' && 'This transaction was replaced (sped up or changed).'}
+                        {pendingStatus.status === 'dropped' && 'The sender\'s nonce moved past this transaction; it was replaced or dropped.'}
+                      </p>
+                      {pendingStatus.replacement && (
+                        <p className="mt-1">
+                          Replaced by{' '}
+                          <button
+                            onClick={() => setTxHash(pendingStatus.replacement.hash)}
+                            className="font-mono text-blue-600 hover:underline break-all"
+                            title="Open replacement transaction"
+                          >
+                            {pendingStatus.replacement.hash}
+                          </button>
+                        </p>
+                      )}
+                    </div>
+                  )}
+
+                  {pendingStatus.error && (
+                    <div className="mb-4 text-sm text-red-600">Polling error: {pendingStatus.error}</div>
+                  )}
+
+                  <div className="space-y-2">
+                    {mempoolFields.map(([label, value]) => (
+                      <div key={label} className="grid grid-cols-1 md:grid-cols-3 gap-4 border-b border-yellow-200 pb-2 last:border-b-0">
+                        <span className="text-sm font-semibold text-yellow-700">{label}:</span>
+                        <span className="md:col-span-2 break-words font-mono text-sm text-gray-700">{value}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })()}
+
             {/* --- Block Section --- */}
             {structuredTransactionReceipt && (
               <div className="w-full max-w-2xl bg-purple-50 border border-purple-200 rounded-xl shadow-lg p-6"
@@ -572,6 +859,21 @@ export default function TransactionPage({ txHash: txHashProp }) {
                   </div>
                 </div>
 
+                {/* Confirmations */}
+                {confirmations !== null && (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 border-b border-purple-200 pb-4">
+                    <div className="flex items-center space-x-2">
+                      <i className="fa-solid fa-check-double text-purple-500"></i>
+                      <span className="text-sm font-semibold text-purple-600">Confirmations:</span>
+                    </div>
+                    <div className="md:col-span-2">
+                      <span className="break-words font-mono text-sm text-gray-700">
+                        {confirmations.toLocaleString()}
+                      </span>
+                    </div>
+                  </div>
+                )}
+
                 {/* Other Block Data - Show placeholders or actual data */}
                 {structuredBlockData ? (
                   Object.entries(structuredBlockData)
@@ -653,6 +955,16 @@ export default function TransactionPage({ txHash: txHashProp }) {
                     </div>
                   </>
                 ) : null}
+
+                {/* Block Navigation */}
+                <BlockNavigation
+                  rpcUrl={rpcUrl}
+                  blockNumber={structuredTransactionReceipt.blockNumber}
+                  transactionIndex={structuredTransactionReceipt.transactionIndex}
+                  transaction={transactionData}
+                  chainId={currentChainId}
+                  onNavigate={navigateToTransaction}
+                />
               </div>
             </div>
             )}
@@ -731,6 +1043,16 @@ export default function TransactionPage({ txHash: txHashProp }) {
                     </div>
                   );
                 })}
+                {structuredTransactionReceipt.status === 'Failed' && transactionData && (
+                  <RevertReason
+                    key={`revert-${structuredTransactionReceipt.transactionHash}`}
+                    rpcUrl={rpcUrl}
+                    transaction={transactionData}
+                    blockNumber={structuredTransactionReceipt.blockNumber}
+                    abis={allABIs}
+                    chainId={currentChainId}
+                  />
+                )}
               </div>
             </div>
             )}
@@ -764,6 +1086,9 @@ export default function TransactionPage({ txHash: txHashProp }) {
               // Calculate final transaction fee in Gwei
               const finalTransactionFeeGwei = gasUsed && effectiveGasPrice ? (gasUsed * effectiveGasPrice) / 1e9 : null;
 
+              // Burnt / tip / savings / L1 data fee totals
+              const feeBreakdown = computeFeeBreakdown({ transaction: transactionData, receipt: transactionReceipt, block: blockData });
+
               return (
                 <div className="w-full max-w-2xl bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
                   <h2 className="text-2xl font-bold mb-6 text-gray-800 dark:text-gray-200 flex items-center">
@@ -859,6 +1184,18 @@ export default function TransactionPage({ txHash: txHashProp }) {
                         </div>
                       </div>
                     )}
+
+                    {/* Row 5: Fee Breakdown */}
+                    {feeBreakdown && (
+                      <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
+                        <FeeBreakdown
+                          breakdown={feeBreakdown}
+                          nativeSymbol={chainData?.nativeSymbol || chainData?.tokenSymbol || 'ETH'}
+                          geckoId={chainData?.nativeGeckoId}
+                          fallbackPrice={nativeTokenData?.price}
+                        />
+                      </div>
+                    )}
                   </div>
                 </div>
               );
@@ -927,13 +1264,22 @@ export default function TransactionPage({ txHash: txHashProp }) {
                             // Calculate USD value
                             const valueInNative = parseFloat(amount);
                             const valueInUSD = nativeTokenData?.price ? (valueInNative * nativeTokenData.price) : null;
+                            const nativePriceThen = getHistoricalPrice(nativeTokenAddress);
                             
                             return (
                               <div className="flex items-center space-x-2">
                                 <span className="break-words font-mono text-sm text-gray-700 dark:text-gray-200">
                                   {amount}
                                 </span>
-                                {valueInUSD && (
+                                {nativePriceThen ? (
+                                  <HistoricalUsdValue
+                                    amount={valueInNative}
+                                    priceThen={nativePriceThen}
+                                    priceNow={nativeTokenData?.price}
+                                    className="text-sm font-semibold text-green-600"
+                                    decimals={4}
+                                  />
+                                ) : valueInUSD && (
                                   <span className="text-sm font-semibold text-green-600">
                                     (${valueInUSD.toFixed(4)})
                                   </span>
@@ -965,15 +1311,13 @@ export default function TransactionPage({ txHash: txHashProp }) {
                         })() : (key === 'from' || key === 'to') ? (
                           // For from/to addresses, show only the hyperlink
                           <div className="flex items-center space-x-2">
-                            <a
+                            <AddressLabel
+                              address={value}
+                              showName
                               href={`/TransactionViewer/#/transfer?address=${value}&rpc=${encodeURIComponent(rpcUrl)}`}
-                              target="_blank"
-                              rel="noopener noreferrer"
-                              className="text-blue-600 hover:text-blue-800 underline break-words font-mono text-sm"
-                              title={`View transfers for ${value}`}
-                            >
-                              {typeof value === 'object' ? JSON.stringify(value) : value}
-                            </a>
+                              className="font-mono text-sm"
+                              tagClassName="font-semibold text-sm"
+                            />
                             <button 
                               onClick={() => navigator.clipboard?.writeText(value)}
                               className="text-gray-400 hover:text-blue-500 transition-colors"
@@ -995,11 +1339,42 @@ export default function TransactionPage({ txHash: txHashProp }) {
             </div>
             )}
 
+            {/* --- Typed Transaction Fields Section --- */}
+            <TypedTransactionDetails
+              transaction={transactionData}
+              receipt={transactionReceipt}
+              rpcUrl={rpcUrl}
+              nativeSymbol={chainsData[currentChainId]?.tokenSymbol || 'ETH'}
+            />
+
+            {/* --- Contract Deployment Section --- */}
+            {transactionReceipt?.contractAddress && (
+              <DeploymentPanel
+                rpcUrl={rpcUrl}
+                transaction={transactionData}
+                receipt={transactionReceipt}
+                chainId={currentChainId}
+              />
+            )}
+
             {/* --- Input Section --- */}
             {decodedInputData && (
               <div className="w-full max-w-2xl bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
                 <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center -m-6 mb-6">
                   <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200">Input</h3>
+                  {decodedInputData.source === 'custom-abi' && (
+                    <span className="text-xs bg-purple-100 dark:bg-purple-900 text-purple-800 dark:text-purple-200 px-2 py-1 rounded">
+                      Custom ABI
+                    </span>
+                  )}
+                  {decodedInputData.source === 'signature-database' && (
+                    <span
+                      className="text-xs bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 px-2 py-1 rounded"
+                      title="Decoded with a text signature; parameter names are unknown"
+                    >
+                      Signature database
+                    </span>
+                  )}
                 </div>
               <div className="text-sm">
                 <p className="font-medium text-gray-600 dark:text-gray-400">Function Call:</p>
@@ -1027,6 +1402,18 @@ export default function TransactionPage({ txHash: txHashProp }) {
                   ))}
                 </div>
               </div>
+              {nestedInputCalls.length > 0 && (
+                <div className="text-sm mt-4">
+                  <p className="font-medium text-gray-600 dark:text-gray-400 mb-1">Inner Calls ({nestedInputCalls.length}):</p>
+                  <NestedCallTree calls={nestedInputCalls} />
+                </div>
+              )}
+              {decodedInputData.source === 'signature-database' && decodedInputData.candidates.length > 1 && (
+                <div className="text-sm mt-4">
+                  <p className="font-medium text-gray-600 dark:text-gray-400 mb-1">Other candidate signatures:</p>
+                  <SignatureCandidateList candidates={decodedInputData.candidates} />
+                </div>
+              )}
             </div>
             )}
 
@@ -1075,11 +1462,28 @@ export default function TransactionPage({ txHash: txHashProp }) {
                     </div>
                   </div>
 
+                  {rawInputCandidates.length > 0 && (
+                    <div>
+                      <p className="font-medium text-gray-600 dark:text-gray-400 mb-2">Candidate Signatures:</p>
+                      <SignatureCandidateList candidates={rawInputCandidates} />
+                    </div>
+                  )}
+
                   <div className="text-xs text-gray-500 dark:text-gray-400 bg-gray-50 dark:bg-gray-900 p-2 rounded">
                     <i className="fas fa-info-circle mr-1"></i>
                     This transaction contains input data that could not be decoded with the available ABIs. 
                     The method ID represents the function being called, and the raw data contains the encoded parameters.
                   </div>
+
+                  <div>
+                    <p className="font-medium text-gray-600 dark:text-gray-400 mb-2">Add Signature:</p>
+                    <CustomSignatureForm
+                      onChange={() => {
+                        setStoredSignatures(getStoredSignatures());
+                        setLocalDecoderVersion(version => version + 1);
+                      }}
+                    />
+                  </div>
                 </div>
               </div>
             )}
@@ -1091,87 +1495,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 {/* Event Logs Column */}
                 <div className="lg:col-span-1">
-                  <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
-                    <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700 flex justify-between items-center -m-6 mb-6">
-                      <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200">Event Logs ({decodedLogs.length})</h3>
-                    </div>
-                {decodedLogs.map((log, index) => (
-                  <div key={index} className="border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden mb-4 last:mb-0">
-                    {/* Log Header */}
-                    <div className="bg-gray-50 dark:bg-gray-700 px-3 py-2 flex items-center space-x-2 border-b border-gray-200 dark:border-gray-600">
-                      <span className="inline-flex items-center justify-center px-2 py-0.5 text-xs font-bold leading-none text-indigo-100 bg-indigo-700 rounded-full">
-                        {log.logIndex}
-                      </span>
-                      <span className="text-sm font-semibold text-indigo-800 dark:text-indigo-200">
-                        {log.isDecoded ? log.eventSignature : "Undecodable Log"}
-                      </span>
-                    </div>
-                    {/* Log Body */}
-                    <div className="p-3 text-xs space-y-2 bg-white dark:bg-gray-800">
-                      {/* Address */}
-                      <div className="flex items-start">
-                        <span className="font-medium text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">Address:</span>
-                        <span className="text-blue-600 dark:text-blue-400 hover:underline font-mono break-all ml-2" role="button" tabIndex={0}>
-                          {log.address}
-                        </span>
-                        <button 
-                          onClick={() => navigator.clipboard?.writeText(log.address)}
-                          className="text-gray-400 hover:text-blue-500 ml-2 transition-colors flex-shrink-0"
-                          title="Copy address"
-                        >
-                          <i className="fa-regular fa-copy"></i>
-                        </button>
-                      </div>
-                      {/* Topics - Only show for undecodable logs */}
-                      {!log.isDecoded && (
-                        <div className="flex items-start">
-                          <span className="font-medium text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">Topics:</span>
-                          <div className="ml-2 space-y-1 w-full">
-                            {log.topics.map((topic, topicIndex) => (
-                              <div key={topicIndex} className="flex items-center">
-                                <span className="text-gray-400 dark:text-gray-500 mr-2">{topicIndex}:</span>
-                                <code className="font-mono text-gray-800 dark:text-gray-200 break-all bg-gray-100 dark:bg-gray-700 px-1 rounded border border-gray-200 dark:border-gray-600 w-full overflow-x-auto">
-                                  {topic}
-                                </code>
-                                <button 
-                                  onClick={() => navigator.clipboard?.writeText(topic)}
-                                  className="text-gray-400 hover:text-blue-500 ml-2 transition-colors flex-shrink-0"
-                                  title="Copy topic"
-                                >
-                                  <i className="fa-regular fa-copy"></i>
-                                </button>
-                              </div>
-                            ))}
-                        </div>
-                      </div>
-                      )}
-                      {/* Parameters / Raw Data */}
-                      {log.isDecoded ? (
-                        <div className="flex items-start">
-                          <span className="font-medium text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">Params:</span>
-                          <div className="ml-2 space-y-1 w-full">
-                            {Object.entries(log.args).map(([key, value], paramIndex) => (
-                              <div key={paramIndex} className="flex items-start bg-gray-100 dark:bg-gray-700 p-1 rounded border border-gray-200 dark:border-gray-600">
-                                <span className="text-gray-500 dark:text-gray-400 w-16 flex-shrink-0">{key}:</span>
-                                <code className="font-mono text-gray-800 dark:text-gray-200 break-all ml-2">
-                                  {typeof value === 'object' ? JSON.stringify(value, null, 2) : value}
-                                </code>
-                              </div>
-                            ))}
-                          </div>
-                        </div>
-                      ) : (
-                        <div className="flex items-start">
-                          <span className="font-medium text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">Data:</span>
-                          <code className="font-mono text-gray-800 dark:text-gray-200 break-all bg-gray-100 dark:bg-gray-700 px-1 rounded border border-gray-200 dark:border-gray-600 w-full overflow-x-auto ml-2">
-                            {log.data}
-                          </code>
-                      </div>
-                      )}
-                  </div>
-                  </div>
-                ))}
-                  </div>
+                  <EventLogPanel logs={decodedLogs} filters={logFilters} onFiltersChange={setLogFilters} />
                 </div>
 
                 {/* ERC20 Transfers and Token Flow Column */}
@@ -1186,7 +1510,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
                         </h2>
                   <div className="space-y-3">
                     {decodedLogs
-                      .filter(log => log.isDecoded && log.eventName === 'Transfer')
+                      .filter(log => isErc20Transfer(log))
                       .map((log, index) => {
                         // Extract transfer details
                         const from = log.args.from || 'Unknown';
@@ -1204,15 +1528,14 @@ export default function TransactionPage({ txHash: txHashProp }) {
                         const checksummedTo = to !== 'Unknown' ? window.ethers.utils.getAddress(to) : to;
                         const checksummedContract = contractAddress !== 'Unknown' ? window.ethers.utils.getAddress(contractAddress) : contractAddress;
 
-                        // Helper function to format address with tooltip and copy
-                        const formatAddress = (address, fullAddress) => (
+                        // Helper function to format address with its tag, tooltip and copy
+                        const formatAddress = (fullAddress) => (
                           <span className="inline-flex items-center space-x-1">
-                            <span 
-                              className="font-mono text-xs"
-                              title={fullAddress}
-                            >
-                              {address}
-                            </span>
+                            {fullAddress !== 'Unknown' ? (
+                              <AddressLabel address={fullAddress} short className="font-mono text-xs" tagClassName="font-semibold text-xs text-purple-700" />
+                            ) : (
+                              <span className="font-mono text-xs">{fullAddress}</span>
+                            )}
                             <button 
                               onClick={() => navigator.clipboard?.writeText(fullAddress)}
                               className="text-gray-400 hover:text-green-500 transition-colors"
@@ -1229,21 +1552,16 @@ export default function TransactionPage({ txHash: txHashProp }) {
                           <div key={index} className="bg-white border border-green-200 rounded-lg p-4 shadow-sm">
                             <div className="text-xs text-left">
                               <span className="text-gray-700 font-medium">From: </span>
-                              {formatAddress(
-                                `${checksummedFrom.slice(0, 6)}...${checksummedFrom.slice(-4)}`,
-                                checksummedFrom
-                              )}
+                              {formatAddress(checksummedFrom)}
                               <span className="text-gray-700 font-medium"> To: </span>
-                              {formatAddress(
-                                `${checksummedTo.slice(0, 6)}...${checksummedTo.slice(-4)}`,
-                                checksummedTo
-                              )}
+                              {formatAddress(checksummedTo)}
                               <span className="text-gray-700 font-medium"> For: </span>
                               <TokenValueDisplay
                                 token={token}
                                 rawValue={value}
                                 contractAddress={contractAddress}
                                 isLoading={isTokenLoading}
+                                historicalPrice={getHistoricalPrice(contractAddress)}
                                 amountClassName="font-mono font-semibold text-green-700"
                                 usdClassName="text-green-600 font-semibold"
                               />
@@ -1260,7 +1578,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
                           </div>
                         );
                       })}
-                    {decodedLogs.filter(log => log.isDecoded && log.eventName === 'Transfer').length === 0 && (
+                    {decodedLogs.filter(log => isErc20Transfer(log)).length === 0 && (
                       <div className="flex items-center justify-center py-3 text-gray-500">
                         <i className="fas fa-info-circle mr-2"></i>
                         <span className="text-sm">No ERC20 Transfer events found in this transaction</span>
@@ -1269,6 +1587,12 @@ export default function TransactionPage({ txHash: txHashProp }) {
                   </div>
                       </div>
 
+                    {/* NFT Transfers Section */}
+                    <NftTransfers decodedLogs={decodedLogs} rpcUrl={rpcUrl} />
+
+                    {/* Approvals Section */}
+                    <ApprovalsPanel decodedLogs={decodedLogs} rpcUrl={rpcUrl} chainId={currentChainId} />
+
                     {/* Token Flow Section */}
                     {structuredTransactionData && (
                       <div className="bg-blue-50 border border-blue-200 rounded-xl shadow-lg p-6"
@@ -1279,7 +1603,9 @@ export default function TransactionPage({ txHash: txHashProp }) {
                     </h2>
                     <div className="mb-6 text-sm text-blue-600">
                       <span className="font-semibold">Transaction Sender:</span> 
-                      <span className="font-mono ml-2">{window.ethers.utils.getAddress(structuredTransactionData.from)}</span>
+                      <span className="ml-2">
+                        <AddressLabel address={structuredTransactionData.from} showName />
+                      </span>
                       <button 
                         onClick={() => navigator.clipboard?.writeText(window.ethers.utils.getAddress(structuredTransactionData.from))}
                         className="text-gray-400 hover:text-blue-500 ml-2 transition-colors"
@@ -1336,13 +1662,22 @@ export default function TransactionPage({ txHash: txHashProp }) {
                                     
                                     // Calculate USD value if native token price is available
                                     const usdValue = nativeTokenData?.price ? (tokenAmount * nativeTokenData.price) : null;
+                                    const nativePriceThen = getHistoricalPrice(nativeTokenAddress);
                                     
                                     return (
                                       <>
                                         <span className="font-mono text-sm font-semibold text-gray-800">
                                           {formattedValue}
                                         </span>
-                                        {usdValue && (
+                                        {nativePriceThen ? (
+                                          <HistoricalUsdValue
+                                            amount={tokenAmount}
+                                            priceThen={nativePriceThen}
+                                            priceNow={nativeTokenData?.price}
+                                            className="text-sm font-semibold text-green-600"
+                                            decimals={4}
+                                          />
+                                        ) : usdValue && (
                                           <span className="text-sm font-semibold text-green-600">
                                             (${usdValue.toFixed(4)})
                                           </span>
@@ -1384,7 +1719,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
                           
                           {/* ERC20 Tokens Sent */}
                           {decodedLogs
-                            .filter(log => log.isDecoded && log.eventName === 'Transfer' && 
+                            .filter(log => isErc20Transfer(log) && 
                               window.ethers.utils.getAddress(log.args.from) === window.ethers.utils.getAddress(structuredTransactionData.from))
                             .map((log, index) => {
                               const value = log.args.value || '0';
@@ -1405,6 +1740,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
                                         rawValue={value}
                                         contractAddress={contractAddress}
                                         isLoading={isTokenLoading}
+                                        historicalPrice={getHistoricalPrice(contractAddress)}
                                         amountClassName="font-mono text-sm font-semibold text-gray-800"
                                         usdClassName="text-blue-600 font-semibold text-xs"
                                       />
@@ -1423,7 +1759,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
                                 </div>
                               );
                             })}
-                          {decodedLogs.filter(log => log.isDecoded && log.eventName === 'Transfer' && 
+                          {decodedLogs.filter(log => isErc20Transfer(log) && 
                             window.ethers.utils.getAddress(log.args.from) === window.ethers.utils.getAddress(structuredTransactionData.from)).length === 0 && 
                             !(structuredTransactionData && transactionData && transactionData.value && 
                               window.ethers.BigNumber.from(transactionData.value).gt(0)) && (
@@ -1509,6 +1845,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
                               
                               // Calculate USD value if native token price is available
                               const usdValue = nativeTokenData?.price ? (tokenAmount * nativeTokenData.price) : null;
+                              const nativePriceThen = getHistoricalPrice(nativeTokenAddress);
                               
                               return (
                                 <div key={`withdrawal-${index}`} className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 shadow-sm">
@@ -1518,7 +1855,15 @@ export default function TransactionPage({ txHash: txHashProp }) {
                                       <span className="font-mono text-sm font-semibold text-gray-800">
                                         {formattedValue}
                                       </span>
-                                      {usdValue && (
+                                      {nativePriceThen ? (
+                                        <HistoricalUsdValue
+                                          amount={tokenAmount}
+                                          priceThen={nativePriceThen}
+                                          priceNow={nativeTokenData?.price}
+                                          className="text-sm font-semibold text-green-600"
+                                          decimals={4}
+                                        />
+                                      ) : usdValue && (
                                         <span className="text-sm font-semibold text-green-600">
                                           (${usdValue.toFixed(4)})
                                         </span>
@@ -1556,7 +1901,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
                             })}
                           
                           {decodedLogs
-                            .filter(log => log.isDecoded && log.eventName === 'Transfer' && 
+                            .filter(log => isErc20Transfer(log) && 
                               log.args.to?.toLowerCase() === structuredTransactionData.from?.toLowerCase())
                             .map((log, index) => {
                               const value = log.args.value || '0';
@@ -1580,6 +1925,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
                                         rawValue={value}
                                         contractAddress={contractAddress}
                                         isLoading={isTokenLoading}
+                                        historicalPrice={getHistoricalPrice(contractAddress)}
                                         amountClassName="font-mono text-sm font-semibold text-gray-800"
                                         usdClassName="text-blue-600 font-semibold text-xs"
                                       />
@@ -1598,7 +1944,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
                                 </div>
                               );
                             })}
-                          {(decodedLogs.filter(log => log.isDecoded && log.eventName === 'Transfer' && 
+                          {(decodedLogs.filter(log => isErc20Transfer(log) && 
                             log.args.to?.toLowerCase() === structuredTransactionData.from?.toLowerCase()).length === 0 &&
                             decodedLogs.filter(log => log.isDecoded && log.eventName === 'Withdrawal' && 
                               log.args.src?.toLowerCase() === structuredTransactionData.from?.toLowerCase()).length === 0) && (
@@ -1617,6 +1963,71 @@ export default function TransactionPage({ txHash: txHashProp }) {
               </div>
             </div>
           )}
+
+          {/* --- Token Flow Graph, Balance Changes, Swaps, Call Trace and State Changes Sections --- */}
+          {transactionReceipt && structuredTransactionData && (
+            <div className="w-full mt-6 space-y-6">
+              <TokenFlowGraph
+                key={`flow-${transactionReceipt.transactionHash}`}
+                graph={tokenFlowGraph}
+                tokenData={tokenData}
+                nativeSymbol={chainsData[structuredTransactionData.chainId]?.tokenSymbol || 'ETH'}
+              />
+              <NetBalanceChanges
+                balanceChanges={balanceChanges}
+                tokenData={tokenData}
+                tokenLoading={tokenLoading}
+                nativeSymbol={chainsData[structuredTransactionData.chainId]?.tokenSymbol || 'ETH'}
+                nativeTokenData={(() => {
+                  const nativeTokenAddress = chainsData[structuredTransactionData.chainId]?.nativeTokenAddress;
+                  return nativeTokenAddress ? tokenData[nativeTokenAddress.toLowerCase()] : null;
+                })()}
+              />
+              <SwapsPanel
+                key={`swaps-${transactionReceipt.transactionHash}`}
+                rpcUrl={rpcUrl}
+                decodedLogs={decodedLogs}
+              />
+              <CallTracePanel
+                key={`trace-${transactionReceipt.transactionHash}`}
+                rpcUrl={rpcUrl}
+                txHash={transactionReceipt.transactionHash}
+                abis={allABIs}
+                chainId={currentChainId}
+                nativeSymbol={chainsData[structuredTransactionData.chainId]?.tokenSymbol || 'ETH'}
+              />
+              <StateChangesPanel
+                key={`state-${transactionReceipt.transactionHash}`}
+                rpcUrl={rpcUrl}
+                txHash={transactionReceipt.transactionHash}
+                decodedLogs={decodedLogs}
+                tokenData={tokenData}
+                nativeSymbol={chainsData[structuredTransactionData.chainId]?.tokenSymbol || 'ETH'}
+              />
+              <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
+                <div className={`px-4 py-3 flex justify-between items-center -m-6 ${showCustomAbis ? 'mb-6 border-b border-gray-200 dark:border-gray-700' : ''}`}>
+                  <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200">
+                    <i className="fas fa-file-code mr-2"></i>
+                    Custom ABIs
+                  </h3>
+                  <button
+                    onClick={() => setShowCustomAbis(!showCustomAbis)}
+                    className="px-3 py-1 rounded text-sm text-blue-600 hover:text-blue-700"
+                  >
+                    {showCustomAbis ? 'Hide' : 'Manage'}
+                    <i className={`fas ${showCustomAbis ? 'fa-chevron-up' : 'fa-chevron-down'} ml-1`}></i>
+                  </button>
+                </div>
+                {showCustomAbis && (
+                  <CustomAbiManager
+                    defaultChainId={currentChainId}
+                    defaultAddress={transactionData?.to || ''}
+                    onChange={() => setLocalDecoderVersion(version => version + 1)}
+                  />
+                )}
+              </div>
+            </div>
+          )}
         </>
       ) : (
         <>
@@ -1657,7 +2068,7 @@ export default function TransactionPage({ txHash: txHashProp }) {
               </div>
 
               <button
-                onClick={fetchTransactionData}
+                onClick={() => fetchTransactionData()}
                 disabled={loading || !isEthersReady}
                 className="w-full py-3 px-4 rounded-lg text-white font-semibold transition-all duration-300
                            bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-4 focus:ring-blue-500/50
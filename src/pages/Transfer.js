@@ -2,65 +2,16 @@ import React, { useState, useEffect, useMemo } from 'react';
 import { allABIs } from '../abis';
 import { chainsData } from '../data/chains.js';
 import { useTokenData } from '../hooks/useTokenData';
+import { useHistoricalPrices } from '../hooks/useHistoricalPrices';
 import { 
   TokenDisplay, 
   TokenValueDisplay,
-  CopyAddressButton
+  CopyAddressButton,
+  HistoricalUsdValue
 } from '../components/TokenComponents';
-
-// Helper function to decode logs using a given ABI
-const decodeLogsWithABI = (logs, abis) => {
-  if (!logs || !window.ethers) {
-    return [];
-  }
-  const iface = new window.ethers.utils.Interface(abis);
-  const decodedLogs = [];
-
-  logs.forEach(log => {
-    try {
-      const parsedLog = iface.parseLog(log);
-      if (parsedLog) {
-        const decodedArgs = {};
-        parsedLog.args.forEach((arg, index) => {
-          const paramName = parsedLog.eventFragment.inputs[index].name || `arg${index}`;
-          let paramValue = arg;
-          if (window.ethers.BigNumber.isBigNumber(arg)) {
-            paramValue = arg.toString();
-          } else if (Array.isArray(arg)) {
-              paramValue = arg.map(item => window.ethers.BigNumber.isBigNumber(item) ? item.toString() : item);
-          }
-          decodedArgs[paramName] = paramValue;
-        });
-        decodedLogs.push({
-          eventName: parsedLog.name,
-          eventSignature: parsedLog.eventFragment.format(),
-          address: log.address,
-          logIndex: parseInt(log.logIndex, 16),
-          topics: log.topics,
-          args: decodedArgs,
-          isDecoded: true,
-          blockNumber: parseInt(log.blockNumber, 16),
-          transactionHash: log.transactionHash,
-          transactionIndex: parseInt(log.transactionIndex, 16),
-        });
-      }
-    } catch (err) {
-      decodedLogs.push({
-        address: log.address,
-        logIndex: parseInt(log.logIndex, 16),
-        topics: log.topics,
-        data: log.data,
-        isDecoded: false,
-        blockNumber: parseInt(log.blockNumber, 16),
-        transactionHash: log.transactionHash,
-        transactionIndex: parseInt(log.transactionIndex, 16),
-      });
-      console.warn("Could not decode log:", log, err);
-    }
-  });
-
-  return decodedLogs;
-};
+import { decodeLogsWithABI, isErc20Transfer } from '../utils/decodingUtils';
+import AddressLabel from '../components/AddressLabel';
+import { resolveAddressInput, isNameInput } from '../utils/nameServiceUtils';
 
 // Block time estimation component
 const BlockTimeEstimation = ({ 
@@ -195,6 +146,8 @@ export default function TransferPage() {
   const initialTimeRange = parseInt(urlParams.get('range')) || 24;
   // Form state
   const [address, setAddress] = useState(initialAddress);
+  // Name typed into the address field, kept to show what the address was resolved from
+  const [resolvedInputName, setResolvedInputName] = useState(null);
   const [rpcUrl, setRpcUrl] = useState(initialRpcUrl);
   const [timeRange, setTimeRange] = useState(initialTimeRange);
   // Sync state to URL
@@ -236,7 +189,7 @@ export default function TransferPage() {
     if (!decodedLogs.length) return [];
     
     const tokenContracts = decodedLogs
-      .filter(log => log.isDecoded && log.eventName === 'Transfer')
+      .filter(log => isErc20Transfer(log))
       .map(log => log.address)
       .filter((addr, index, self) => self.indexOf(addr) === index);
 
@@ -246,6 +199,18 @@ export default function TransferPage() {
   // Use the token data hook
   const { tokenData, tokenLoading } = useTokenData(tokenAddresses, getChainId());
 
+  // Estimated time window of the fetched transfers, used to look up token prices at transfer time
+  const transferTimeRange = useMemo(() => {
+    const avgBlockTime = latestBlock && sampleBlock ? (latestBlock.timestamp - sampleBlock.timestamp) / (latestBlock.number - sampleBlock.number) : null;
+    const blockNumbers = decodedLogs.filter(log => isErc20Transfer(log)).map(log => log.blockNumber);
+    if (!avgBlockTime || blockNumbers.length === 0) return { from: null, to: null };
+    const fromDate = estimateBlockDate(Math.min(...blockNumbers), latestBlock, avgBlockTime);
+    const toDate = estimateBlockDate(Math.max(...blockNumbers), latestBlock, avgBlockTime);
+    return { from: Math.floor(fromDate.getTime() / 1000), to: Math.ceil(toDate.getTime() / 1000) };
+  }, [decodedLogs, latestBlock, sampleBlock]);
+
+  const { getHistoricalPrice } = useHistoricalPrices(tokenAddresses, getChainId(), transferTimeRange.from, transferTimeRange.to);
+
   // Get chain ID helper
   function getChainId() {
     // You can derive this from the RPC URL or have a separate input
@@ -365,8 +330,12 @@ export default function TransferPage() {
     setHasFetchedLogs(true); // Mark that a fetch attempt has been made
 
     try {
-      // Normalize address
-      const normalizedAddress = window.ethers.utils.getAddress(address);
+      // Normalize address (names are resolved through the configured name services)
+      const normalizedAddress = await resolveAddressInput(address);
+      if (isNameInput(address)) {
+        setResolvedInputName(address.trim());
+        setAddress(normalizedAddress);
+      }
       const transferTopic = window.ethers.utils.id('Transfer(address,address,uint256)');
       const paddedAddress = window.ethers.utils.hexZeroPad(normalizedAddress, 32);
 
@@ -410,7 +379,7 @@ export default function TransferPage() {
       setTransferLogs(uniqueLogs);
 
       // Decode the logs
-      const decoded = decodeLogsWithABI(uniqueLogs, allABIs);
+      const decoded = decodeLogsWithABI(uniqueLogs, allABIs, getChainId());
       setDecodedLogs(decoded);
 
     } catch (err) {
@@ -456,16 +425,25 @@ export default function TransferPage() {
 
           <div className="mb-4">
             <label htmlFor="address" className="block text-sm font-medium mb-1">
-              Address
+              Address or ENS Name
             </label>
             <input
               type="text"
               id="address"
               className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-gray-200"
               value={address}
-              onChange={(e) => setAddress(e.target.value)}
-              placeholder="e.g., 0x..."
+              onChange={(e) => {
+                setAddress(e.target.value);
+                setResolvedInputName(null);
+              }}
+              placeholder="e.g., 0x... or vitalik.eth"
             />
+            {resolvedInputName && (
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                <i className="fas fa-link mr-1"></i>
+                Resolved from {resolvedInputName}
+              </p>
+            )}
           </div>
 
           <div className="mb-6">
@@ -536,7 +514,7 @@ export default function TransferPage() {
               <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
                 <h2 className="text-2xl font-bold mb-6 text-gray-800 dark:text-gray-200 flex items-center">
                   <i className="fas fa-table mr-2"></i>
-                  Transfer Summary ({decodedLogs.filter(log => log.isDecoded && log.eventName === 'Transfer').length} transfers)
+                  Transfer Summary ({decodedLogs.filter(log => isErc20Transfer(log)).length} transfers)
                 </h2>
                 
                 <div className="overflow-x-auto">
@@ -552,7 +530,7 @@ export default function TransferPage() {
                     <tbody>
                       {/* Group logs by transactionHash */}
                       {(() => {
-                        const logs = decodedLogs.filter(log => log.isDecoded && log.eventName === 'Transfer').sort((a, b) => b.blockNumber - a.blockNumber);
+                        const logs = decodedLogs.filter(log => isErc20Transfer(log)).sort((a, b) => b.blockNumber - a.blockNumber);
                         const grouped = {};
                         logs.forEach(log => {
                           if (!grouped[log.transactionHash]) grouped[log.transactionHash] = [];
@@ -658,7 +636,7 @@ export default function TransferPage() {
                                   <td className="border border-gray-300 dark:border-gray-600 px-4 py-2 font-mono text-xs" rowSpan={tokenGroupArr.length}>
                                     <div className="font-bold mb-1">{methodName}</div>
                                     <div className="flex items-center space-x-2 mt-1">
-                                      <span>{otherLabel} {`${otherAddr.slice(0, 6)}...${otherAddr.slice(-4)}`}</span>
+                                      <span>{otherLabel} <AddressLabel address={otherAddr} short showName className="font-mono text-xs" tagClassName="font-semibold text-xs text-purple-700" /></span>
                                       <CopyAddressButton address={otherAddr} className="ml-1 text-gray-400 hover:text-green-500 transition-colors" iconClass="fa-regular fa-copy text-xs" />
                                     </div>
                                   </td>
@@ -681,6 +659,14 @@ export default function TransferPage() {
                                       containerClassName="inline-flex items-center gap-1"
                                       showFallback={true}
                                     />
+                                    {window.ethers && token && (
+                                      <HistoricalUsdValue
+                                        amount={parseFloat(window.ethers.utils.formatUnits(group.total, token.decimals || 18))}
+                                        priceThen={estDate ? getHistoricalPrice(group.tokenAddr, estDate.getTime() / 1000) : null}
+                                        priceNow={token.price}
+                                        className="text-xs text-gray-500"
+                                      />
+                                    )}
                                   </div>
                                 </td>
                                 {idx === 0 && (
@@ -718,8 +704,8 @@ export default function TransferPage() {
                       <div className="p-3 text-xs space-y-2 bg-white dark:bg-gray-800">
                         <div className="flex items-start">
                           <span className="font-medium text-gray-500 dark:text-gray-400 w-20 flex-shrink-0">Address:</span>
-                          <span className="text-blue-600 dark:text-blue-400 font-mono break-all ml-2">
-                            {log.address}
+                          <span className="ml-2">
+                            <AddressLabel address={log.address} className="text-blue-600 dark:text-blue-400 font-mono break-all" />
                           </span>
                         </div>
                         {log.isDecoded && (
@@ -3,9 +3,37 @@
  * Handles all interactions with the CoinGecko API including rate limiting and caching
  */
 
+// Base URL of the API: set REACT_APP_COINGECKO_BASE_URL at build time
+// (e.g. https://pro-api.coingecko.com/api/v3 or a proxy that adds an API key)
+export const DEFAULT_COINGECKO_BASE_URL = process.env.REACT_APP_COINGECKO_BASE_URL || 'https://api.coingecko.com/api/v3';
+
+// Half-width of the window searched around a timestamp for a historical price (CoinGecko
+// returns 5-minutely points for the last day, hourly up to 90 days and daily beyond that)
+const HISTORY_WINDOW_SECONDS = 12 * 60 * 60;
+
+/**
+ * Find the price point closest to a timestamp
+ * @param {Array} points - [[timestampMs, price], ...] as returned by market_chart endpoints
+ * @param {number} timestampMs - Target timestamp in milliseconds
+ * @returns {number|null} Closest price or null
+ */
+export const findClosestPrice = (points, timestampMs) => {
+  if (!points || points.length === 0) return null;
+  let closest = points[0];
+  points.forEach(point => {
+    if (Math.abs(point[0] - timestampMs) < Math.abs(closest[0] - timestampMs)) {
+      closest = point;
+    }
+  });
+  return closest[1];
+};
+
 class CoinGeckoService {
   constructor() {
     this.cache = new Map();
+    this.nativePriceCache = new Map();
+    this.historyCache = new Map();
+    this.historyQueue = Promise.resolve();
     this.apiQueue = [];
     this.isProcessingQueue = false;
     this.rateLimitDelay = 1000; // 1 second between requests
@@ -29,6 +57,13 @@ class CoinGeckoService {
     };
   }
 
+  /**
+   * Get the API base URL (configurable for Pro API keys or proxies)
+   */
+  getBaseUrl() {
+    return DEFAULT_COINGECKO_BASE_URL;
+  }
+
   /**
    * Process the API queue with rate limiting
    */
@@ -57,7 +92,7 @@ class CoinGeckoService {
           continue;
         }
         
-        const url = `https://api.coingecko.com/api/v3/coins/${platformId}/contract/${contractAddress}`;
+        const url = `${this.getBaseUrl()}/coins/${platformId}/contract/${contractAddress}`;
         const response = await fetch(url);
         
         if (response.status === 429) {
@@ -118,6 +153,7 @@ class CoinGeckoService {
     }
     
     return {
+      id: data.id,
       name: data.name,
       symbol: data.symbol,
       image: data.image?.small || data.image?.thumb,
@@ -174,11 +210,151 @@ class CoinGeckoService {
     return tokenDataMap;
   }
 
+  /**
+   * Fetch the USD price of a chain's native coin by its CoinGecko coin ID
+   * @param {string} geckoId - CoinGecko coin ID of the coin fees are paid in (`nativeGeckoId` of a chain in chainsData)
+   * @returns {Promise<number|null>} USD price or null
+   */
+  async fetchNativeTokenPrice(geckoId) {
+    if (!geckoId) return null;
+
+    // Cache the pending request so concurrent callers share it
+    if (!this.nativePriceCache.has(geckoId)) {
+      const request = fetch(`${this.getBaseUrl()}/simple/price?ids=${encodeURIComponent(geckoId)}&vs_currencies=usd`)
+        .then(response => (response.ok ? response.json() : null))
+        .then(data => data?.[geckoId]?.usd ?? null)
+        .catch(error => {
+          console.error('CoinGecko API error:', error);
+          return null;
+        })
+        .then(price => {
+          // Retry failed lookups on the next call
+          if (price === null) this.nativePriceCache.delete(geckoId);
+          return price;
+        });
+      this.nativePriceCache.set(geckoId, request);
+    }
+
+    return this.nativePriceCache.get(geckoId);
+  }
+
+  /**
+   * Resolve the CoinGecko coin path of an asset: a coin ID (native coins) or a contract on a platform
+   * @param {Object} asset - { contractAddress, chainId } or { geckoId }
+   * @returns {string|null} Path such as `coins/ethereum` or `coins/ethereum/contract/0x...`
+   */
+  getCoinPath({ contractAddress, chainId, geckoId }) {
+    if (geckoId) return `coins/${encodeURIComponent(geckoId)}`;
+    const platformId = contractAddress ? this.getChainToPlatformMap()[chainId] : null;
+    return platformId ? `coins/${platformId}/contract/${contractAddress.toLowerCase()}` : null;
+  }
+
+  /**
+   * Run a historical request after the previous one, spaced by the rate limit and retried once on 429
+   * @param {string} url - Request URL
+   * @returns {Promise<Object|null>} Parsed JSON or null
+   */
+  queueHistoryRequest(url) {
+    const run = async () => {
+      try {
+        let response = await fetch(url);
+        if (response.status === 429) {
+          await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+          response = await fetch(url);
+        }
+        return response.ok ? await response.json() : null;
+      } catch (error) {
+        console.error('CoinGecko API error:', error);
+        return null;
+      } finally {
+        await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
+      }
+    };
+
+    const request = this.historyQueue.then(run);
+    this.historyQueue = request.catch(() => null);
+    return request;
+  }
+
+  /**
+   * Fetch USD price points of an asset between two timestamps (market_chart/range endpoint)
+   * @param {Object} asset - { contractAddress, chainId } or { geckoId }
+   * @param {number} fromTimestamp - Range start in seconds
+   * @param {number} toTimestamp - Range end in seconds
+   * @returns {Promise<Array>} [[timestampMs, price], ...] (empty when unavailable)
+   */
+  async fetchHistoricalPriceRange(asset, fromTimestamp, toTimestamp) {
+    const coinPath = this.getCoinPath(asset);
+    if (!coinPath) return [];
+
+    const from = Math.floor(fromTimestamp);
+    const to = Math.ceil(toTimestamp);
+    const cacheKey = `range-${coinPath}-${from}-${to}`;
+
+    if (!this.historyCache.has(cacheKey)) {
+      const url = `${this.getBaseUrl()}/${coinPath}/market_chart/range?vs_currency=usd&from=${from}&to=${to}`;
+      const request = this.queueHistoryRequest(url).then(data => {
+        const points = Array.isArray(data?.prices) ? data.prices : [];
+        if (points.length === 0) this.historyCache.delete(cacheKey);
+        return points;
+      });
+      this.historyCache.set(cacheKey, request);
+    }
+
+    return this.historyCache.get(cacheKey);
+  }
+
+  /**
+   * Fetch the USD price of an asset at a point in time. Uses the price point closest to the
+   * timestamp within a ±12h range, falling back to the daily history endpoint when the coin ID is known.
+   * @param {Object} asset - { contractAddress, chainId } or { geckoId }
+   * @param {number} timestamp - Unix timestamp in seconds (e.g. the block timestamp)
+   * @returns {Promise<number|null>} USD price or null
+   */
+  async fetchHistoricalPrice(asset, timestamp) {
+    if (!timestamp) return null;
+
+    const points = await this.fetchHistoricalPriceRange(
+      asset,
+      timestamp - HISTORY_WINDOW_SECONDS,
+      timestamp + HISTORY_WINDOW_SECONDS
+    );
+    const price = findClosestPrice(points, timestamp * 1000);
+    if (price !== null) return price;
+
+    // The history endpoint needs a coin ID; for contracts take it from the token data
+    const coinId = asset.geckoId
+      || (asset.contractAddress ? (await this.fetchTokenData(asset.contractAddress, asset.chainId))?.id : null);
+    if (!coinId) return null;
+
+    const date = new Date(timestamp * 1000);
+    const dateParam = [
+      String(date.getUTCDate()).padStart(2, '0'),
+      String(date.getUTCMonth() + 1).padStart(2, '0'),
+      date.getUTCFullYear()
+    ].join('-');
+    const cacheKey = `history-${coinId}-${dateParam}`;
+
+    if (!this.historyCache.has(cacheKey)) {
+      const url = `${this.getBaseUrl()}/coins/${encodeURIComponent(coinId)}/history?date=${dateParam}&localization=false`;
+      const request = this.queueHistoryRequest(url).then(data => {
+        const historicalPrice = data?.market_data?.current_price?.usd ?? null;
+        if (historicalPrice === null) this.historyCache.delete(cacheKey);
+        return historicalPrice;
+      });
+      this.historyCache.set(cacheKey, request);
+    }
+
+    return this.historyCache.get(cacheKey);
+  }
+
   /**
    * Clear the cache
    */
   clearCache() {
     this.cache.clear();
+    this.nativePriceCache.clear();
+    this.historyCache.clear();
   }
 
   /**
@@ -0,0 +1,50 @@
+// Address tags saved on the Address Tags page, keyed by lowercase address
+
+// Window event fired whenever the stored tags change, so every mounted label can refresh
+export const ADDRESS_TAGS_CHANGED_EVENT = 'addressTagsChanged';
+
+// Helper function to load all stored address tags
+export const getStoredTags = () => {
+  try {
+    const stored = localStorage.getItem('addressTags');
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading stored tags:', error);
+    return {};
+  }
+};
+
+// Helper function to persist all address tags
+export const saveTagsToStorage = (tags) => {
+  try {
+    localStorage.setItem('addressTags', JSON.stringify(tags));
+    window.dispatchEvent(new Event(ADDRESS_TAGS_CHANGED_EVENT));
+  } catch (error) {
+    console.error('Error saving tags:', error);
+  }
+};
+
+// Helper function to get the tag name of an address, or null when it is not tagged
+export const getAddressTag = (address, tags = getStoredTags()) => {
+  if (!address) return null;
+  return tags[address.toLowerCase()]?.tag || null;
+};
+
+// Helper function to add or update the tag of a single address, keeping its notes and date added
+export const setAddressTag = (address, tag, notes) => {
+  const tags = getStoredTags();
+  const key = address.toLowerCase();
+  const existing = tags[key] || {};
+  const updatedTags = {
+    ...tags,
+    [key]: {
+      ...existing,
+      tag: tag.trim(),
+      notes: notes !== undefined ? notes.trim() : existing.notes || '',
+      dateAdded: existing.dateAdded || new Date().toISOString(),
+      originalAddress: existing.originalAddress || address
+    }
+  };
+  saveTagsToStorage(updatedTags);
+  return updatedTags;
+};
@@ -0,0 +1,196 @@
+// Approval and ApprovalForAll analysis: who was allowed to move which tokens, whether the permission
+// is still live, and which approvals deserve a warning
+import {
+  makeMulticall,
+  makeDirectRpcCall,
+  generateCallData,
+  createERC20InfoCalls,
+  standardAbis,
+  DEFAULT_MULTICALL3_ADDRESS
+} from './blockchainUtils';
+
+const SOURCIFY_BASE_URL = process.env.REACT_APP_SOURCIFY_BASE_URL || 'https://sourcify.dev/server';
+
+// getApproved()/isApprovedForAll() of ERC-721 and ERC-1155 (isApprovedForAll is shared by both)
+const NFT_APPROVAL_ABI = [
+  { "inputs": [{ "internalType": "uint256", "name": "tokenId", "type": "uint256" }], "name": "getApproved", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" },
+  { "inputs": [{ "internalType": "address", "name": "owner", "type": "address" }, { "internalType": "address", "name": "operator", "type": "address" }], "name": "isApprovedForAll", "outputs": [{ "internalType": "bool", "name": "", "type": "bool" }], "stateMutability": "view", "type": "function" },
+];
+
+// EIP-7702 delegation designator: an EOA whose code points to a delegate contract
+const DELEGATION_PREFIX = '0xef0100';
+
+// Spender code and verification status never change (for our purposes), so they are cached per RPC/chain
+const codeCache = {};
+const verificationCache = {};
+
+// Helper function to pick the Approval and ApprovalForAll events out of decoded logs.
+// Returns [{ kind: 'ERC-20' | 'ERC-721' | 'ApprovalForAll', token, logIndex, owner, spender, amount, tokenId, approved }]
+export const extractApprovalEvents = (decodedLogs = []) => decodedLogs
+  .filter(log => log.isDecoded && (log.eventName === 'Approval' || log.eventName === 'ApprovalForAll'))
+  .map(log => {
+    const { args } = log;
+    const base = { token: log.address.toLowerCase(), logIndex: log.logIndex, amount: null, tokenId: null, approved: null };
+
+    if (log.eventName === 'ApprovalForAll') {
+      return { ...base, kind: 'ApprovalForAll', owner: args.owner || args.account, spender: args.operator, approved: args.approved };
+    }
+    if (log.tokenStandard === 'ERC-721') {
+      return { ...base, kind: 'ERC-721', owner: args.owner, spender: args.approved, tokenId: args.tokenId };
+    }
+    if (args.value !== undefined) {
+      return { ...base, kind: 'ERC-20', owner: args.owner, spender: args.spender, amount: args.value };
+    }
+    return null;
+  })
+  .filter(approval => approval && approval.owner && approval.spender);
+
+// Helper function to tell whether an approval only removes a permission
+export const isRevocation = (approval) => {
+  const { constants, BigNumber } = window.ethers;
+  if (approval.kind === 'ApprovalForAll') return approval.approved === false;
+  if (approval.kind === 'ERC-721') return approval.spender.toLowerCase() === constants.AddressZero;
+  return BigNumber.from(approval.amount).isZero();
+};
+
+// Classify the code at an address: 'eoa', 'delegated-eoa' (EIP-7702) or 'contract'
+const fetchAccountType = async (rpcUrl, address) => {
+  const key = `${rpcUrl}-${address.toLowerCase()}`;
+  if (!codeCache[key]) {
+    const code = await makeDirectRpcCall(rpcUrl, 'eth_getCode', [address, 'latest']);
+    if (!code || code === '0x') codeCache[key] = 'eoa';
+    else if (code.toLowerCase().startsWith(DELEGATION_PREFIX)) codeCache[key] = 'delegated-eoa';
+    else codeCache[key] = 'contract';
+  }
+  return codeCache[key];
+};
+
+// Look a contract up on Sourcify: true (full or partial match), false (not verified) or null (lookup failed)
+const fetchVerification = async (chainId, address) => {
+  const key = `${chainId}-${address.toLowerCase()}`;
+  if (verificationCache[key] === undefined) {
+    try {
+      const response = await fetch(`${SOURCIFY_BASE_URL}/v2/contract/${chainId}/${address}`);
+      if (response.ok) verificationCache[key] = true;
+      else if (response.status === 404) verificationCache[key] = false;
+      else return null;
+    } catch (error) {
+      console.warn('Sourcify lookup failed:', error);
+      return null;
+    }
+  }
+  return verificationCache[key];
+};
+
+// Helper function to read the current state of every approval and the details needed for warnings.
+// Returns {
+//   approvals: [{ ...approval, current, isLive }],  // current: remaining allowance / approved address / bool
+//   tokens: { [token]: { symbol, decimals, totalSupply } },
+//   spenders: { [spender]: { accountType, verified } }
+// }
+export const fetchApprovalState = async (rpcUrl, chainId, approvals, multicallAddress = DEFAULT_MULTICALL3_ADDRESS) => {
+  const { BigNumber } = window.ethers;
+  const tokens = Array.from(new Set(approvals.map(approval => approval.token)));
+
+  const stateCalls = approvals.map(approval => {
+    if (approval.kind === 'ERC-20') {
+      return {
+        target: approval.token,
+        callData: generateCallData(standardAbis.erc20, 'allowance', [approval.owner, approval.spender]),
+        abi: standardAbis.erc20,
+        methodName: 'allowance',
+        parameters: [approval.owner, approval.spender],
+      };
+    }
+    const methodName = approval.kind === 'ERC-721' ? 'getApproved' : 'isApprovedForAll';
+    const parameters = approval.kind === 'ERC-721' ? [approval.tokenId] : [approval.owner, approval.spender];
+    return {
+      target: approval.token,
+      callData: generateCallData(NFT_APPROVAL_ABI, methodName, parameters),
+      abi: NFT_APPROVAL_ABI,
+      methodName,
+      parameters,
+    };
+  });
+  // createERC20InfoCalls returns name, symbol and decimals calls for each token
+  const tokenCalls = tokens.flatMap(token => [
+    ...createERC20InfoCalls(token),
+    {
+      target: token,
+      callData: generateCallData(standardAbis.erc20, 'totalSupply', []),
+      abi: standardAbis.erc20,
+      methodName: 'totalSupply',
+      parameters: [],
+    },
+  ]);
+
+  const { results } = await makeMulticall(rpcUrl, multicallAddress, [...stateCalls, ...tokenCalls]);
+
+  const tokenInfo = {};
+  tokens.forEach((token, index) => {
+    const [, symbol, decimals, totalSupply] = results.slice(stateCalls.length + index * 4, stateCalls.length + index * 4 + 4);
+    tokenInfo[token] = {
+      symbol: symbol.success && typeof symbol.result[0] === 'string' ? symbol.result[0] : null,
+      decimals: decimals.success ? Number(decimals.result[0]) : null,
+      totalSupply: totalSupply.success ? String(totalSupply.result[0]) : null,
+    };
+  });
+
+  const approvalStates = approvals.map((approval, index) => {
+    const result = results[index];
+    if (!result.success) return { ...approval, current: null, isLive: null };
+
+    const value = result.result[0];
+    if (approval.kind === 'ERC-20') {
+      const current = String(value);
+      return { ...approval, current, isLive: !BigNumber.from(current).isZero() };
+    }
+    if (approval.kind === 'ERC-721') {
+      return { ...approval, current: value, isLive: value.toLowerCase() === approval.spender.toLowerCase() };
+    }
+    return { ...approval, current: value, isLive: value === true };
+  });
+
+  // Only spenders of granted (not revoked) approvals need the EOA and verification checks
+  const spenders = Array.from(new Set(approvals
+    .filter(approval => !isRevocation(approval))
+    .map(approval => approval.spender.toLowerCase())));
+  const spenderInfo = {};
+  await Promise.all(spenders.map(async spender => {
+    const accountType = await fetchAccountType(rpcUrl, spender).catch(() => null);
+    const verified = accountType === 'contract' && chainId ? await fetchVerification(chainId, spender) : null;
+    spenderInfo[spender] = { accountType, verified };
+  }));
+
+  return { approvals: approvalStates, tokens: tokenInfo, spenders: spenderInfo };
+};
+
+// Helper function to list the warnings of an approval: [{ level: 'danger' | 'warning', message }]
+export const getApprovalWarnings = (approval, tokenInfo, spenderInfo) => {
+  if (isRevocation(approval)) return [];
+  const { BigNumber, constants } = window.ethers;
+  const warnings = [];
+
+  if (approval.kind === 'ERC-20') {
+    const amount = BigNumber.from(approval.amount);
+    // Max uint256, or max uint160 as used by Permit2-style allowances
+    if (amount.gte(BigNumber.from(2).pow(160).sub(1))) {
+      warnings.push({ level: 'danger', message: amount.eq(constants.MaxUint256) ? 'Unlimited allowance (max uint256)' : 'Effectively unlimited allowance' });
+    } else if (tokenInfo?.totalSupply && amount.gt(tokenInfo.totalSupply)) {
+      warnings.push({ level: 'warning', message: 'Allowance exceeds the total supply' });
+    }
+  }
+  if (approval.kind === 'ApprovalForAll') {
+    warnings.push({ level: 'warning', message: 'Operator may move every token of the collection' });
+  }
+
+  if (spenderInfo?.accountType === 'eoa') {
+    warnings.push({ level: 'danger', message: 'Spender is an EOA, not a contract' });
+  } else if (spenderInfo?.accountType === 'delegated-eoa') {
+    warnings.push({ level: 'danger', message: 'Spender is an EOA with EIP-7702 delegated code' });
+  } else if (spenderInfo?.verified === false) {
+    warnings.push({ level: 'warning', message: 'Spender contract is not verified on Sourcify' });
+  }
+
+  return warnings;
+};
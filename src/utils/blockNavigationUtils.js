@@ -0,0 +1,96 @@
+// Moving between transactions: neighbours in the same block and the same sender's adjacent nonces
+import { makeDirectRpcCall } from './blockchainUtils';
+import { decodeInputWithABI, getMethodId } from './decodingUtils';
+import { allABIs } from '../abis';
+
+// Full blocks never change once mined, so they are cached per RPC
+const blockCache = {};
+
+// Helper function to fetch a block with its full transaction objects
+export const fetchBlockWithTransactions = async (rpcUrl, blockNumber) => {
+  const key = `${rpcUrl}-${blockNumber}`;
+  if (!blockCache[key]) {
+    blockCache[key] = makeDirectRpcCall(rpcUrl, 'eth_getBlockByNumber', [`0x${blockNumber.toString(16)}`, true])
+      .catch(error => {
+        delete blockCache[key];
+        throw error;
+      });
+  }
+  const block = await blockCache[key];
+  if (!block) throw new Error(`Block ${blockNumber} not found`);
+  return block;
+};
+
+// Helper function to get a short label for what a transaction calls: the decoded method name,
+// the selector when it is unknown, or the kind of transaction for plain transfers and deployments
+export const getMethodLabel = (transaction, chainId = null) => {
+  if (!transaction.to) return 'Contract Creation';
+  if (!transaction.input || transaction.input === '0x') return 'Transfer';
+  const decoded = decodeInputWithABI(transaction.input, allABIs, { chainId, address: transaction.to });
+  return decoded?.functionName || getMethodId(transaction.input) || 'Unknown';
+};
+
+const getTransactionCount = async (rpcUrl, address, blockNumber) => parseInt(
+  await makeDirectRpcCall(rpcUrl, 'eth_getTransactionCount', [address, `0x${blockNumber.toString(16)}`]),
+  16
+);
+
+// Find the first block after which the account's transaction count exceeds `nonce`, i.e. the block
+// that includes the transaction with that nonce. The count only grows, so the search gallops away
+// from `fromBlock` (bots usually send their next transaction within a few blocks) and then bisects.
+// Historical eth_getTransactionCount needs an archive node for blocks outside the recent state.
+const findNonceBlock = async (rpcUrl, address, nonce, fromBlock, latestBlock) => {
+  const countAt = (block) => getTransactionCount(rpcUrl, address, block);
+
+  let low;
+  let high;
+  if (await countAt(fromBlock) > nonce) {
+    // Earlier nonce: walk back until the count is at most `nonce`
+    high = fromBlock;
+    let step = 1;
+    low = Math.max(fromBlock - step, 0);
+    while (low > 0 && await countAt(low) > nonce) {
+      high = low;
+      step *= 2;
+      low = Math.max(fromBlock - step, 0);
+    }
+    if (low === 0 && await countAt(0) > nonce) return 0;
+  } else {
+    // Later nonce: walk forward until the count exceeds `nonce`
+    low = fromBlock;
+    let step = 1;
+    high = Math.min(fromBlock + step, latestBlock);
+    while (await countAt(high) <= nonce) {
+      if (high === latestBlock) return null;
+      low = high;
+      step *= 2;
+      high = Math.min(fromBlock + step, latestBlock);
+    }
+  }
+
+  // Invariant: countAt(low) <= nonce < countAt(high)
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if (await countAt(middle) > nonce) high = middle;
+    else low = middle;
+  }
+  return high;
+};
+
+// Helper function to find the transaction a sender sent with a given nonce, searching from a known
+// block. Resolves to { hash, blockNumber } or null when that nonce has not been used yet.
+export const findTransactionByNonce = async (rpcUrl, sender, nonce, fromBlock) => {
+  if (nonce < 0) return null;
+  const latestBlock = parseInt(await makeDirectRpcCall(rpcUrl, 'eth_blockNumber', []), 16);
+  const blockNumber = await findNonceBlock(rpcUrl, sender, nonce, fromBlock, latestBlock);
+  if (blockNumber === null) return null;
+
+  const block = await fetchBlockWithTransactions(rpcUrl, blockNumber);
+  const transaction = (block.transactions || []).find(tx => (
+    tx.from?.toLowerCase() === sender.toLowerCase() && parseInt(tx.nonce, 16) === nonce
+  ));
+  if (!transaction) {
+    throw new Error(`Nonce ${nonce} of the sender is not in block ${blockNumber}`);
+  }
+  return { hash: transaction.hash, blockNumber };
+};
@@ -41,7 +41,7 @@ export const generateCallData = (abi, methodName, parameters = []) => {
 };
 
 // Make a direct RPC call without provider (no eth_chainId needed)
-const makeDirectRpcCall = async (rpcUrl, method, params) => {
+export const makeDirectRpcCall = async (rpcUrl, method, params) => {
   const response = await fetch(rpcUrl, {
     method: 'POST',
     headers: {
@@ -62,7 +62,11 @@ const makeDirectRpcCall = async (rpcUrl, method, params) => {
   const data = await response.json();
   
   if (data.error) {
-    throw new Error(`RPC error: ${data.error.message}`);
+    const error = new Error(`RPC error: ${data.error.message}`);
+    // Keep the error code and data (e.g. revert data of a failed eth_call)
+    error.code = data.error.code;
+    error.data = data.error.data;
+    throw error;
   }
 
   return data.result;
@@ -0,0 +1,51 @@
+// Looking up a transaction hash on every chain of the registry that has known RPCs
+import { chainsData } from '../data/chains.js';
+import { makeDirectRpcCall } from './blockchainUtils';
+
+// Give up on an RPC that does not answer within this time
+const RPC_TIMEOUT_MS = 10000;
+
+// Helper function to list the chains of the registry with known RPC URLs
+export const getChainsWithRpcs = () => Object.entries(chainsData)
+  .filter(([, chain]) => Array.isArray(chain.rpcUrls) && chain.rpcUrls.length > 0)
+  .map(([chainId, chain]) => ({ chainId, name: chain.name, rpcUrls: chain.rpcUrls }));
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error(`RPC did not respond within ${ms / 1000}s`)), ms))
+]);
+
+// Query a chain's RPCs in order until one answers
+const findOnChain = async (txHash, chain) => {
+  let lastError = null;
+  for (const rpcUrl of chain.rpcUrls) {
+    try {
+      const transaction = await withTimeout(makeDirectRpcCall(rpcUrl, 'eth_getTransactionByHash', [txHash]), RPC_TIMEOUT_MS);
+      if (!transaction) {
+        return { ...chain, rpcUrl, status: 'notFound' };
+      }
+
+      // Make sure the RPC really serves this chain and matches the chain the transaction was signed for
+      const rpcChainId = String(parseInt(await withTimeout(makeDirectRpcCall(rpcUrl, 'eth_chainId', []), RPC_TIMEOUT_MS), 16));
+      const txChainId = transaction.chainId ? String(parseInt(transaction.chainId, 16)) : null;
+      const chainIdMatches = rpcChainId === chain.chainId && (txChainId === null || txChainId === rpcChainId);
+
+      return { ...chain, rpcUrl, status: 'found', transaction, rpcChainId, txChainId, chainIdMatches };
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  return { ...chain, rpcUrl: null, status: 'error', error: lastError?.message || 'No RPC responded' };
+};
+
+// Helper function to search a transaction hash on all chains with known RPCs in parallel.
+// onResult is called as each chain answers; resolves to one result per chain:
+// { chainId, name, rpcUrls, rpcUrl, status: 'found' | 'notFound' | 'error', transaction, rpcChainId, txChainId, chainIdMatches, error }
+export const findTransactionOnAllChains = async (txHash, onResult = null) => {
+  const chains = getChainsWithRpcs();
+  return Promise.all(chains.map(async (chain) => {
+    const result = await findOnChain(txHash, chain);
+    if (onResult) onResult(result);
+    return result;
+  }));
+};
@@ -0,0 +1,167 @@
+// Loading and diffing two transactions for the comparison view
+import { allABIs } from '../abis';
+import { makeDirectRpcCall } from './blockchainUtils';
+import { decodeInputWithABI, decodeLogsWithABI } from './decodingUtils';
+import { computeNetBalanceChanges, NATIVE_TOKEN_KEY } from './tokenFlowUtils';
+
+// Helper function to fetch a transaction with its receipt and decode its input, logs and net token flows
+export const fetchTransactionBundle = async (rpcUrl, txHash) => {
+  const [transaction, receipt, chainIdHex] = await Promise.all([
+    makeDirectRpcCall(rpcUrl, 'eth_getTransactionByHash', [txHash]),
+    makeDirectRpcCall(rpcUrl, 'eth_getTransactionReceipt', [txHash]),
+    makeDirectRpcCall(rpcUrl, 'eth_chainId', []),
+  ]);
+
+  if (!transaction) {
+    throw new Error(`Transaction ${txHash} not found on ${rpcUrl}`);
+  }
+
+  const chainId = String(parseInt(chainIdHex, 16));
+  const decodedInput = transaction.input && transaction.input !== '0x'
+    ? decodeInputWithABI(transaction.input, allABIs, { chainId, address: transaction.to })
+    : null;
+  const decodedLogs = receipt ? decodeLogsWithABI(receipt.logs, allABIs, chainId) : [];
+  const balanceChanges = receipt
+    ? computeNetBalanceChanges({ transaction, decodedLogs, succeeded: parseInt(receipt.status, 16) === 1 })
+    : [];
+
+  return {
+    rpcUrl,
+    chainId,
+    transaction,
+    receipt,
+    decodedInput,
+    decodedLogs,
+    balanceChanges,
+  };
+};
+
+// Render any decoded value as a comparable string
+const stringify = (value) => {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const hexToDecimal = (value) => (value ? window.ethers.BigNumber.from(value).toString() : null);
+
+// Pair up values of A and B under the same labels and flag the ones that differ
+const toRows = (entriesA, entriesB) => {
+  const labels = [];
+  [...entriesA, ...entriesB].forEach(([label]) => {
+    if (!labels.includes(label)) labels.push(label);
+  });
+  const valuesA = Object.fromEntries(entriesA);
+  const valuesB = Object.fromEntries(entriesB);
+  return labels.map(label => {
+    const a = stringify(valuesA[label]);
+    const b = stringify(valuesB[label]);
+    return { label, a, b, differs: a !== b };
+  });
+};
+
+const getStatus = (bundle) => {
+  if (!bundle.receipt) return 'Pending';
+  return parseInt(bundle.receipt.status, 16) === 1 ? 'Success' : 'Failed';
+};
+
+// Helper function to diff status, addresses and gas fields of two bundles
+export const diffOverview = (bundleA, bundleB) => {
+  const overviewEntries = (bundle) => {
+    const { transaction } = bundle;
+    return [
+      ['Status', getStatus(bundle)],
+      ['Chain ID', bundle.chainId],
+      ['Block', hexToDecimal(transaction.blockNumber)],
+      ['From', transaction.from?.toLowerCase()],
+      ['To', transaction.to?.toLowerCase() || null],
+      ['Nonce', hexToDecimal(transaction.nonce)],
+      ['Value', hexToDecimal(transaction.value)],
+      ['Type', hexToDecimal(transaction.type) || '0'],
+    ];
+  };
+
+  const gasEntries = ({ transaction, receipt }) => [
+    ['Gas Limit', hexToDecimal(transaction.gas)],
+    ['Gas Used', hexToDecimal(receipt?.gasUsed)],
+    ['Gas Price', hexToDecimal(transaction.gasPrice)],
+    ['Effective Gas Price', hexToDecimal(receipt?.effectiveGasPrice)],
+    ['Max Fee Per Gas', hexToDecimal(transaction.maxFeePerGas)],
+    ['Max Priority Fee Per Gas', hexToDecimal(transaction.maxPriorityFeePerGas)],
+    ['Transaction Fee', receipt?.effectiveGasPrice && receipt?.gasUsed
+      ? window.ethers.BigNumber.from(receipt.gasUsed).mul(receipt.effectiveGasPrice).toString()
+      : null],
+  ];
+
+  return {
+    overview: toRows(overviewEntries(bundleA), overviewEntries(bundleB)),
+    gas: toRows(gasEntries(bundleA), gasEntries(bundleB)),
+  };
+};
+
+// Helper function to diff the decoded input of two bundles, parameter by parameter
+export const diffInputParameters = (bundleA, bundleB) => {
+  const entries = (decoded) => (decoded
+    ? [['Function', decoded.functionSignature], ...Object.entries(decoded.decodedParameters)]
+    : [['Function', null]]);
+  return toRows(entries(bundleA.decodedInput), entries(bundleB.decodedInput));
+};
+
+// Identity of an event used to align the two sequences
+const eventKey = (log) => `${log.address.toLowerCase()}:${log.isDecoded ? log.eventSignature : log.topics?.[0]}`;
+
+// Helper function to align the event sequences of two bundles (longest common subsequence on
+// emitter + event) and mark each row as 'same', 'changed' (same event, different arguments),
+// 'onlyA' or 'onlyB'
+export const diffEventSequences = (logsA, logsB) => {
+  const keysA = logsA.map(eventKey);
+  const keysB = logsB.map(eventKey);
+
+  // lcs[i][j] = length of the LCS of keysA[i..] and keysB[j..]
+  const lcs = Array.from({ length: keysA.length + 1 }, () => new Array(keysB.length + 1).fill(0));
+  for (let i = keysA.length - 1; i >= 0; i--) {
+    for (let j = keysB.length - 1; j >= 0; j--) {
+      lcs[i][j] = keysA[i] === keysB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let i = 0;
+  let j = 0;
+  while (i < keysA.length || j < keysB.length) {
+    if (i < keysA.length && j < keysB.length && keysA[i] === keysB[j]) {
+      const argsA = stringify(logsA[i].isDecoded ? logsA[i].args : logsA[i].data);
+      const argsB = stringify(logsB[j].isDecoded ? logsB[j].args : logsB[j].data);
+      rows.push({ a: logsA[i], b: logsB[j], status: argsA === argsB ? 'same' : 'changed' });
+      i++;
+      j++;
+    } else if (j >= keysB.length || (i < keysA.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      rows.push({ a: logsA[i], b: null, status: 'onlyA' });
+      i++;
+    } else {
+      rows.push({ a: null, b: logsB[j], status: 'onlyB' });
+      j++;
+    }
+  }
+  return rows;
+};
+
+// Helper function to diff the net token flows of two bundles per address and token.
+// Returns [{ address, token, a, b, differs }] where a/b are raw deltas (null when absent).
+export const diffBalanceChanges = (changesA, changesB) => {
+  const rows = {};
+  const collect = (changes, side) => {
+    changes.forEach(entry => {
+      entry.changes.forEach(change => {
+        const key = `${entry.address}-${change.token}`;
+        if (!rows[key]) rows[key] = { address: entry.address, token: change.token, a: null, b: null };
+        rows[key][side] = change.delta;
+      });
+    });
+  };
+  collect(changesA, 'a');
+  collect(changesB, 'b');
+
+  return Object.values(rows)
+    .map(row => ({ ...row, differs: row.a !== row.b }))
+    .sort((x, y) => x.address.localeCompare(y.address) || (x.token === NATIVE_TOKEN_KEY ? -1 : y.token === NATIVE_TOKEN_KEY ? 1 : x.token.localeCompare(y.token)));
+};
@@ -0,0 +1,111 @@
+// Custom ABIs bound to a contract address on a specific chain, stored in local storage
+
+const CUSTOM_ABIS_KEY = 'customAbis';
+
+// Storage key of a binding, e.g. "369-0xabc..."
+export const getCustomAbiKey = (chainId, address) => `${chainId}-${(address || '').toLowerCase()}`;
+
+// Helper functions for local storage
+export const getStoredCustomAbis = () => {
+  try {
+    const stored = localStorage.getItem(CUSTOM_ABIS_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading custom ABIs:', error);
+    return {};
+  }
+};
+
+const saveCustomAbisToStorage = (customAbis) => {
+  try {
+    localStorage.setItem(CUSTOM_ABIS_KEY, JSON.stringify(customAbis));
+  } catch (error) {
+    console.error('Error saving custom ABIs:', error);
+  }
+};
+
+// Parse a pasted/uploaded ABI into JSON ABI fragments.
+// Accepts a JSON ABI array, a build artifact with an `abi` field, or
+// human-readable fragments (one per line, e.g. "function balanceOf(address) view returns (uint256)").
+export const parseAbiText = (text) => {
+  if (!window.ethers) {
+    throw new Error('Ethers.js not loaded');
+  }
+
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    throw new Error('Please paste an ABI');
+  }
+
+  let fragments;
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    fragments = Array.isArray(parsed) ? parsed : parsed.abi;
+    if (typeof fragments === 'string') {
+      fragments = JSON.parse(fragments);
+    }
+    if (!Array.isArray(fragments)) {
+      throw new Error('JSON must be an ABI array or an object with an "abi" array');
+    }
+  } else {
+    fragments = trimmed
+      .split('\n')
+      .map(line => line.trim().replace(/[;,]$/, ''))
+      .filter(line => line && !line.startsWith('//'))
+      .map(line => (/^(function|event|error|constructor|fallback|receive)\b/.test(line) ? line : `function ${line}`));
+  }
+
+  try {
+    const iface = new window.ethers.utils.Interface(fragments);
+    const abi = JSON.parse(iface.format(window.ethers.utils.FormatTypes.json));
+    if (abi.length === 0) {
+      throw new Error('ABI contains no fragments');
+    }
+    return abi;
+  } catch (error) {
+    throw new Error(`Invalid ABI: ${error.reason || error.message}`);
+  }
+};
+
+// Bind an ABI to a contract address on a chain
+export const saveCustomAbi = ({ chainId, address, name, abiText }) => {
+  if (!chainId || !/^\d+$/.test(String(chainId))) {
+    throw new Error('Please select a valid chain ID');
+  }
+  if (!window.ethers || !window.ethers.utils.isAddress(address || '')) {
+    throw new Error('Please enter a valid contract address');
+  }
+
+  const abi = parseAbiText(abiText);
+  const entry = {
+    chainId: String(chainId),
+    address: window.ethers.utils.getAddress(address),
+    name: (name || '').trim(),
+    abi,
+    updatedAt: new Date().toISOString(),
+  };
+
+  const customAbis = getStoredCustomAbis();
+  customAbis[getCustomAbiKey(chainId, address)] = entry;
+  saveCustomAbisToStorage(customAbis);
+  return entry;
+};
+
+// Remove the ABI bound to a contract address on a chain
+export const removeCustomAbi = (chainId, address) => {
+  const customAbis = getStoredCustomAbis();
+  delete customAbis[getCustomAbiKey(chainId, address)];
+  saveCustomAbisToStorage(customAbis);
+};
+
+// Get the ABI bound to a contract address on a chain, or null
+export const getCustomAbi = (chainId, address) => {
+  if (!chainId || !address) return null;
+  const entry = getStoredCustomAbis()[getCustomAbiKey(chainId, address)];
+  return entry ? entry.abi : null;
+};
@@ -0,0 +1,309 @@
+// Decoding helpers shared by the transaction views.
+// Ethers.js is loaded via a script tag in the HTML wrapper, so we access it via `window.ethers`.
+import { decodeInputWithSignatures, decodeLogWithSignatures } from './signatureUtils';
+import { getCustomAbi } from './customAbiUtils';
+import erc721ABI from '../abis/erc721.json';
+
+// Convert decoded ethers values into something React can render
+const formatDecodedValue = (arg) => {
+  if (window.ethers.BigNumber.isBigNumber(arg)) {
+    return arg.toString();
+  } else if (Array.isArray(arg)) {
+    // Handle arrays of parameters
+    return arg.map(item => window.ethers.BigNumber.isBigNumber(item) ? item.toString() : item);
+  }
+  return arg;
+};
+
+// Parse calldata with a single ABI, or return null when the selector is not in it
+const parseInputWithInterface = (input, abis) => {
+  const iface = new window.ethers.utils.Interface(abis);
+
+  try {
+    const decoded = iface.parseTransaction({ data: input });
+    if (decoded) {
+      return { fragment: decoded.functionFragment, args: decoded.args };
+    }
+  } catch (err) {
+    console.error("Failed to decode with ABI:", err);
+  }
+
+  return null;
+};
+
+// Parse calldata with the contract's custom ABI, then the shared ABIs, then the signature database.
+// Returns the function fragment and raw ethers values, or null.
+const parseInput = (input, abis, contract = {}) => {
+  const customAbi = getCustomAbi(contract.chainId, contract.address);
+  if (customAbi) {
+    const parsed = parseInputWithInterface(input, customAbi);
+    if (parsed) {
+      return { ...parsed, source: 'custom-abi' };
+    }
+  }
+
+  const parsed = parseInputWithInterface(input, abis);
+  if (parsed) {
+    return parsed;
+  }
+
+  // Fall back to the signature database and use the first candidate that decodes cleanly
+  const candidates = decodeInputWithSignatures(input);
+  const match = candidates.find(candidate => candidate.clean);
+  if (match) {
+    const fragment = window.ethers.utils.Fragment.from(`function ${match.signature}`);
+    return {
+      fragment,
+      args: window.ethers.utils.defaultAbiCoder.decode(fragment.inputs, `0x${input.slice(10)}`),
+      source: 'signature-database',
+      candidates,
+    };
+  }
+
+  return null;
+};
+
+// Helper function to decode input data using a given ABI.
+// `contract` ({ chainId, address }) selects a custom ABI bound to the called contract, which is tried first.
+export const decodeInputWithABI = (input, abis, contract = {}) => {
+  if (!input || typeof input !== 'string' || input.length < 10 || !window.ethers) {
+    return null;
+  }
+
+  const parsed = parseInput(input, abis, contract);
+  if (!parsed) {
+    return null;
+  }
+
+  // Decode parameters to a readable format
+  const decodedParameters = {};
+  parsed.args.forEach((arg, index) => {
+    const paramName = parsed.fragment.inputs[index].name || `param${index}`;
+    decodedParameters[paramName] = formatDecodedValue(arg);
+  });
+
+  return {
+    functionName: parsed.fragment.name,
+    functionSignature: parsed.fragment.format(),
+    decodedParameters: decodedParameters,
+    ...(parsed.source && { source: parsed.source }),
+    ...(parsed.candidates && { candidates: parsed.candidates }),
+  };
+};
+
+const MAX_NESTED_CALL_DEPTH = 4;
+
+// Names that identify the call target inside a (target, callData) style struct
+const TARGET_COMPONENT_NAMES = ['target', 'to', 'callee', 'contract', 'addr'];
+
+// Collect every bytes value in the decoded arguments that looks like calldata, with its inferred target.
+// Structs holding an address and a bytes field (Multicall `Call`, `Call3`, ...) target that address;
+// bare bytes in a `multicall`-style function are calls back into the same contract.
+const collectCalldataParams = (fragment, args, selfAddress) => {
+  const isSelfMulticall = /multicall/i.test(fragment.name);
+  const found = [];
+
+  const visit = (param, value, path) => {
+    if (value === null || value === undefined) return;
+
+    if (param.baseType === 'array') {
+      value.forEach((item, index) => visit(param.arrayChildren, item, `${path}[${index}]`));
+      return;
+    }
+
+    if (param.baseType === 'tuple') {
+      const bytesIndexes = param.components
+        .map((component, index) => (component.type === 'bytes' ? index : -1))
+        .filter(index => index !== -1);
+      const addressIndexes = param.components
+        .map((component, index) => (component.type === 'address' ? index : -1))
+        .filter(index => index !== -1);
+
+      let targetIndex = addressIndexes.find(index => TARGET_COMPONENT_NAMES.includes(param.components[index].name));
+      if (targetIndex === undefined && addressIndexes.length === 1) {
+        targetIndex = addressIndexes[0];
+      }
+
+      param.components.forEach((component, index) => {
+        const componentPath = `${path}.${component.name || index}`;
+        if (component.type === 'bytes' && bytesIndexes.length === 1 && targetIndex !== undefined) {
+          found.push({ path: componentPath, data: value[index], target: value[targetIndex], targetSource: 'parameter' });
+        } else {
+          visit(component, value[index], componentPath);
+        }
+      });
+      return;
+    }
+
+    if (param.type === 'bytes') {
+      found.push({
+        path,
+        data: value,
+        target: isSelfMulticall ? selfAddress : null,
+        targetSource: isSelfMulticall ? 'self' : 'unknown',
+      });
+    }
+  };
+
+  fragment.inputs.forEach((param, index) => visit(param, args[index], param.name || `param${index}`));
+  return found;
+};
+
+// Helper function to recursively decode calldata nested in `bytes`/`bytes[]` parameters.
+// Returns [{ path, target, targetSource, data, decoded, calls }]; calldata with an unknown
+// target is only included when it decodes.
+export const decodeNestedCalls = (input, abis, contract = {}, depth = 0) => {
+  if (!input || typeof input !== 'string' || input.length < 10 || !window.ethers || depth >= MAX_NESTED_CALL_DEPTH) {
+    return [];
+  }
+
+  const parsed = parseInput(input, abis, contract);
+  if (!parsed) {
+    return [];
+  }
+
+  return collectCalldataParams(parsed.fragment, parsed.args, contract.address || null)
+    .filter(param => param.data && param.data.length >= 10)
+    .map(param => {
+      const innerContract = { chainId: contract.chainId, address: param.target };
+      return {
+        ...param,
+        decoded: decodeInputWithABI(param.data, abis, innerContract),
+        calls: decodeNestedCalls(param.data, abis, innerContract, depth + 1),
+      };
+    })
+    .filter(call => call.target || call.decoded);
+};
+
+// Helper function to extract method ID from input data
+export const getMethodId = (input) => {
+  if (!input || typeof input !== 'string' || input.length < 10) {
+    return null;
+  }
+  // Method ID is the first 4 bytes (8 hex characters) after '0x'
+  return input.slice(0, 10);
+};
+
+// Helper function to decode the return data of a call, using the function selected by its input.
+// A custom ABI bound to `contract` ({ chainId, address }) is tried first.
+export const decodeOutputWithABI = (input, output, abis, contract = {}) => {
+  if (!output || output === '0x' || !getMethodId(input) || !window.ethers) {
+    return null;
+  }
+
+  const customAbi = getCustomAbi(contract.chainId, contract.address);
+  const abiSets = customAbi ? [customAbi, abis] : [abis];
+
+  for (const abiSet of abiSets) {
+    const iface = new window.ethers.utils.Interface(abiSet);
+
+    try {
+      const functionFragment = iface.getFunction(getMethodId(input));
+      const decoded = iface.decodeFunctionResult(functionFragment, output);
+      const decodedOutputs = {};
+      decoded.forEach((value, index) => {
+        const outputName = functionFragment.outputs[index]?.name || `output${index}`;
+        decodedOutputs[outputName] = formatDecodedValue(value);
+      });
+      return decodedOutputs;
+    } catch (err) {
+      // Unknown selector or output that does not match the ABI
+    }
+  }
+
+  return null;
+};
+
+// Block/transaction position of a log, when the RPC returned it
+const getLogLocation = (log) => (
+  log.blockNumber !== undefined && log.blockNumber !== null
+    ? {
+        blockNumber: parseInt(log.blockNumber, 16),
+        transactionHash: log.transactionHash,
+        transactionIndex: parseInt(log.transactionIndex, 16),
+      }
+    : {}
+);
+
+// Token standard of a transfer or approval event. ERC-721 Transfer/Approval share the ERC20
+// signatures but index the tokenId, so their logs carry four topics.
+const getTokenStandard = (eventName, log) => {
+  if (eventName === 'TransferSingle' || eventName === 'TransferBatch') return 'ERC-1155';
+  if (eventName === 'Transfer' || eventName === 'Approval') return log.topics.length === 4 ? 'ERC-721' : 'ERC-20';
+  return null;
+};
+
+// Helper function to tell whether a decoded log is a fungible (ERC20) Transfer
+export const isErc20Transfer = (log) => log.isDecoded && log.eventName === 'Transfer' && log.tokenStandard === 'ERC-20';
+
+// Helper function to decode logs using a given ABI.
+// When `chainId` is given, custom ABIs bound to the emitting contracts are tried first.
+export const decodeLogsWithABI = (logs, abis, chainId = null) => {
+  if (!logs || !window.ethers) {
+    return [];
+  }
+  const iface = new window.ethers.utils.Interface(abis);
+  const erc721Iface = new window.ethers.utils.Interface(erc721ABI);
+  const erc721Topics = [erc721Iface.getEventTopic('Transfer'), erc721Iface.getEventTopic('Approval')];
+  const customInterfaces = {};
+  const decodedLogs = [];
+
+  // Parse with the emitting contract's custom ABI first, then with the shared ABIs
+  const parseLog = (log) => {
+    const address = (log.address || '').toLowerCase();
+    if (customInterfaces[address] === undefined) {
+      const customAbi = getCustomAbi(chainId, address);
+      customInterfaces[address] = customAbi ? new window.ethers.utils.Interface(customAbi) : null;
+    }
+    if (customInterfaces[address]) {
+      try {
+        return customInterfaces[address].parseLog(log);
+      } catch (err) {
+        // Not an event of the custom ABI
+      }
+    }
+    if (log.topics?.length === 4 && erc721Topics.includes(log.topics[0])) {
+      return erc721Iface.parseLog(log);
+    }
+    return iface.parseLog(log);
+  };
+
+  logs.forEach(log => {
+    try {
+      const parsedLog = parseLog(log);
+      if (parsedLog) {
+        const decodedArgs = {};
+        parsedLog.args.forEach((arg, index) => {
+          const paramName = parsedLog.eventFragment.inputs[index].name || `arg${index}`;
+          decodedArgs[paramName] = formatDecodedValue(arg);
+        });
+        decodedLogs.push({
+          eventName: parsedLog.name,
+          eventSignature: parsedLog.eventFragment.format(), // Add the full event signature
+          address: log.address,
+          logIndex: parseInt(log.logIndex, 16), // Convert hex logIndex to a decimal number
+          topics: log.topics, // Add the raw topics to the decoded log object
+          args: decodedArgs, // Pass the arguments as a structured object, not a string
+          tokenStandard: getTokenStandard(parsedLog.name, log),
+          isDecoded: true,
+          ...getLogLocation(log),
+        });
+      }
+    } catch (err) {
+      // If decoding fails, add the raw log to the list with a flag
+      decodedLogs.push({
+        address: log.address,
+        logIndex: parseInt(log.logIndex, 16),
+        topics: log.topics,
+        data: log.data,
+        isDecoded: false,
+        // Candidate signatures from the signature database (parameter names are unknown)
+        signatureCandidates: decodeLogWithSignatures(log),
+        ...getLogLocation(log),
+      });
+      console.warn("Could not decode log:", log, err);
+    }
+  });
+
+  return decodedLogs;
+};
@@ -0,0 +1,135 @@
+// Analysis of contract creation transactions: deployed code, constructor arguments and proxy patterns
+import { makeDirectRpcCall } from './blockchainUtils';
+
+// EIP-170 limit on deployed code size
+export const MAX_CONTRACT_SIZE = 24576;
+
+// EIP-1967 storage slots: keccak256('eip1967.proxy.<name>') - 1
+export const EIP1967_SLOTS = {
+  implementation: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+  admin: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103',
+  beacon: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50'
+};
+
+// Implementation slot of pre-EIP-1967 OpenZeppelin (zos) proxies: keccak256('org.zeppelinos.proxy.implementation')
+const ZEPPELINOS_IMPLEMENTATION_SLOT = '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3';
+
+// EIP-1167 minimal proxy runtime code around the 20-byte implementation address
+const EIP1167_PREFIX = '363d3d373d3d3d363d73';
+const EIP1167_SUFFIX = '5af43d82803e903d91602b57fd5bf3';
+
+const PROXY_ABI = [
+  'function implementation() view returns (address)',
+  'function proxiableUUID() view returns (bytes32)'
+];
+
+// Helper function to get the size in bytes of hex-encoded bytecode
+export const getBytecodeSize = (code) => (code && code !== '0x' ? (code.length - 2) / 2 : 0);
+
+// Helper function to get the implementation of an EIP-1167 minimal proxy, or null
+export const getMinimalProxyImplementation = (code) => {
+  const body = (code || '').toLowerCase().replace(/^0x/, '');
+  if (body.length !== EIP1167_PREFIX.length + 40 + EIP1167_SUFFIX.length) return null;
+  if (!body.startsWith(EIP1167_PREFIX) || !body.endsWith(EIP1167_SUFFIX)) return null;
+  return window.ethers.utils.getAddress(`0x${body.slice(EIP1167_PREFIX.length, EIP1167_PREFIX.length + 40)}`);
+};
+
+// Helper function to split the constructor arguments off the creation code.
+// Solidity appends the CBOR metadata (whose length is in the last 2 bytes) to the runtime code; the same
+// metadata is embedded in the creation code, and the ABI-encoded constructor arguments follow the last copy.
+// Returns the hex-encoded arguments ('0x' when there are none) or null when the split cannot be found.
+export const extractConstructorArguments = (creationCode, runtimeCode) => {
+  const creation = (creationCode || '').toLowerCase().replace(/^0x/, '');
+  const runtime = (runtimeCode || '').toLowerCase().replace(/^0x/, '');
+  if (runtime.length < 4 || creation.length === 0) return null;
+
+  const metadataLength = parseInt(runtime.slice(-4), 16);
+  const tailLength = (metadataLength + 2) * 2;
+  if (!metadataLength || tailLength > runtime.length) return null;
+
+  const metadataTail = runtime.slice(-tailLength);
+  const index = creation.lastIndexOf(metadataTail);
+  if (index === -1) return null;
+
+  return `0x${creation.slice(index + tailLength)}`;
+};
+
+// Convert decoded values (BigNumbers, nested arrays/structs) to strings and arrays for display
+const toDisplayValue = (value) => {
+  if (window.ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (Array.isArray(value)) return value.map(toDisplayValue);
+  return value;
+};
+
+// Helper function to decode constructor arguments with an ABI that has a constructor.
+// Returns [{ name, type, value }] or null when the ABI has no constructor or the data does not match.
+export const decodeConstructorArguments = (abi, argumentsData) => {
+  if (!abi || !argumentsData) return null;
+  try {
+    const iface = new window.ethers.utils.Interface(abi);
+    if (!iface.deploy || iface.deploy.inputs.length === 0) return null;
+    const decoded = window.ethers.utils.defaultAbiCoder.decode(iface.deploy.inputs, argumentsData);
+    return iface.deploy.inputs.map((input, index) => ({
+      name: input.name || `arg${index}`,
+      type: input.type,
+      value: toDisplayValue(decoded[index])
+    }));
+  } catch (err) {
+    console.warn('Could not decode constructor arguments:', err);
+    return null;
+  }
+};
+
+// Read an address stored in the low 20 bytes of a storage slot, or null when the slot is empty
+const readAddressSlot = async (rpcUrl, address, slot) => {
+  const value = await makeDirectRpcCall(rpcUrl, 'eth_getStorageAt', [address, slot, 'latest']);
+  if (!value || window.ethers.BigNumber.from(value).isZero()) return null;
+  return window.ethers.utils.getAddress(window.ethers.utils.hexDataSlice(window.ethers.utils.hexZeroPad(value, 32), 12));
+};
+
+// eth_call a view function without arguments; null when it reverts or returns nothing
+const callView = async (rpcUrl, address, method) => {
+  const iface = new window.ethers.utils.Interface(PROXY_ABI);
+  try {
+    const result = await makeDirectRpcCall(rpcUrl, 'eth_call', [{ to: address, data: iface.encodeFunctionData(method) }, 'latest']);
+    return result && result !== '0x' ? iface.decodeFunctionResult(method, result)[0] : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Helper function to detect the proxy pattern of a contract from its code and storage.
+// Returns { type, implementation, admin, beacon } with type one of 'EIP-1167', 'UUPS', 'EIP-1967',
+// 'EIP-1967 Beacon', 'OpenZeppelin (legacy)', or null when the contract is not a recognized proxy.
+export const detectProxy = async (rpcUrl, address, code) => {
+  const minimalProxyImplementation = getMinimalProxyImplementation(code);
+  if (minimalProxyImplementation) {
+    return { type: 'EIP-1167', implementation: minimalProxyImplementation, admin: null, beacon: null };
+  }
+
+  const [implementation, admin, beacon] = await Promise.all([
+    readAddressSlot(rpcUrl, address, EIP1967_SLOTS.implementation),
+    readAddressSlot(rpcUrl, address, EIP1967_SLOTS.admin),
+    readAddressSlot(rpcUrl, address, EIP1967_SLOTS.beacon)
+  ]);
+
+  if (beacon) {
+    // The beacon holds the implementation shared by all its proxies
+    const beaconImplementation = await callView(rpcUrl, beacon, 'implementation');
+    return { type: 'EIP-1967 Beacon', implementation: beaconImplementation, admin, beacon };
+  }
+
+  if (implementation) {
+    // UUPS implementations carry the upgrade logic and report the EIP-1967 slot as their proxiableUUID
+    const uuid = await callView(rpcUrl, implementation, 'proxiableUUID');
+    const isUups = uuid && uuid.toLowerCase() === EIP1967_SLOTS.implementation;
+    return { type: isUups ? 'UUPS' : 'EIP-1967', implementation, admin, beacon: null };
+  }
+
+  const legacyImplementation = await readAddressSlot(rpcUrl, address, ZEPPELINOS_IMPLEMENTATION_SLOT);
+  if (legacyImplementation) {
+    return { type: 'OpenZeppelin (legacy)', implementation: legacyImplementation, admin: null, beacon: null };
+  }
+
+  return null;
+};
@@ -0,0 +1,52 @@
+// Fee breakdown of a mined transaction: burnt base fee, priority tip, savings against maxFee,
+// blob fee and the L1 data fee of OP-stack rollups. All amounts are returned as decimal strings in wei.
+
+const toBigNumber = (value) => (value !== undefined && value !== null ? window.ethers.BigNumber.from(value) : null);
+
+// Helper function to compute the fee breakdown of a transaction from its receipt and block.
+// Fields that do not apply (no base fee, no maxFeePerGas, not a blob or rollup transaction) are null.
+export const computeFeeBreakdown = ({ transaction, receipt, block }) => {
+  if (!transaction || !receipt || !window.ethers) return null;
+
+  const gasUsed = toBigNumber(receipt.gasUsed);
+  const effectiveGasPrice = toBigNumber(receipt.effectiveGasPrice || transaction.gasPrice);
+  if (!gasUsed || !effectiveGasPrice) return null;
+
+  const executionFee = gasUsed.mul(effectiveGasPrice);
+  const baseFeePerGas = toBigNumber(block?.baseFeePerGas);
+  const maxFeePerGas = toBigNumber(transaction.maxFeePerGas);
+
+  // Base fee is burnt, whatever is paid above it goes to the block producer
+  const burnt = baseFeePerGas ? gasUsed.mul(baseFeePerGas) : null;
+  const tip = burnt ? executionFee.sub(burnt) : null;
+  const savings = maxFeePerGas ? gasUsed.mul(maxFeePerGas).sub(executionFee) : null;
+
+  // EIP-4844 blob gas is paid (and burnt) on top of execution gas
+  const blobFee = receipt.blobGasUsed && receipt.blobGasPrice
+    ? toBigNumber(receipt.blobGasUsed).mul(receipt.blobGasPrice)
+    : null;
+
+  // OP-stack receipts carry the L1 data fee separately from the L2 execution fee
+  const l1Fee = toBigNumber(receipt.l1Fee);
+
+  let totalFee = executionFee;
+  if (blobFee) totalFee = totalFee.add(blobFee);
+  if (l1Fee) totalFee = totalFee.add(l1Fee);
+
+  const asString = (value) => (value ? value.toString() : null);
+  return {
+    gasUsed: gasUsed.toString(),
+    effectiveGasPrice: effectiveGasPrice.toString(),
+    baseFeePerGas: asString(baseFeePerGas),
+    executionFee: executionFee.toString(),
+    burnt: asString(burnt),
+    tip: asString(tip),
+    savings: asString(savings),
+    blobFee: asString(blobFee),
+    l1Fee: asString(l1Fee),
+    l1GasUsed: receipt.l1GasUsed ? toBigNumber(receipt.l1GasUsed).toString() : null,
+    l1GasPrice: receipt.l1GasPrice ? toBigNumber(receipt.l1GasPrice).toString() : null,
+    l1BlobBaseFee: receipt.l1BlobBaseFee ? toBigNumber(receipt.l1BlobBaseFee).toString() : null,
+    totalFee: totalFee.toString(),
+  };
+};
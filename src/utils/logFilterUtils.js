@@ -0,0 +1,102 @@
+// Filtering, sorting and grouping of decoded event logs, with the filters kept in URL parameters
+
+// Filters of the Event Logs panel and the URL parameter of each one
+export const DEFAULT_LOG_FILTERS = {
+  event: '',       // event name, e.g. Transfer
+  contract: '',    // emitting contract address (lowercase)
+  status: 'all',   // 'all' | 'decoded' | 'undecoded'
+  search: '',      // free text matched against argument values, topics and data
+  groupBy: 'none', // 'none' | 'contract'
+  view: 'cards',   // 'cards' | 'table'
+  sort: 'asc',     // logIndex order: 'asc' | 'desc'
+};
+
+const LOG_FILTER_PARAMS = {
+  event: 'logEvent',
+  contract: 'logContract',
+  status: 'logStatus',
+  search: 'logSearch',
+  groupBy: 'logGroup',
+  view: 'logView',
+  sort: 'logSort',
+};
+
+// Helper function to read the log filters from URL parameters, falling back to the defaults
+export const readLogFilters = (urlParams) => {
+  const filters = { ...DEFAULT_LOG_FILTERS };
+  Object.entries(LOG_FILTER_PARAMS).forEach(([key, param]) => {
+    const value = urlParams.get(param);
+    if (value) filters[key] = key === 'contract' ? value.toLowerCase() : value;
+  });
+  return filters;
+};
+
+// Helper function to add the non-default log filters to URL parameters
+export const writeLogFilters = (urlParams, filters) => {
+  Object.entries(LOG_FILTER_PARAMS).forEach(([key, param]) => {
+    if (filters[key] && filters[key] !== DEFAULT_LOG_FILTERS[key]) {
+      urlParams.set(param, filters[key]);
+    }
+  });
+  return urlParams;
+};
+
+// Helper function to tell whether any filter narrows down the list
+export const hasActiveLogFilters = (filters) => Boolean(filters.event || filters.contract || filters.search || filters.status !== 'all');
+
+// Flatten decoded argument values (including nested arrays) into one searchable string
+const getSearchText = (log) => {
+  const parts = [log.address, log.eventName, log.eventSignature];
+  if (log.isDecoded) {
+    Object.entries(log.args || {}).forEach(([key, value]) => {
+      parts.push(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    });
+  } else {
+    parts.push(...(log.topics || []), log.data);
+  }
+  return parts.filter(Boolean).join(' ').toLowerCase();
+};
+
+// Helper function to apply the filters and the logIndex sort order to decoded logs
+export const filterLogs = (logs, filters) => {
+  const search = filters.search.trim().toLowerCase();
+
+  const filtered = logs.filter(log => {
+    if (filters.status === 'decoded' && !log.isDecoded) return false;
+    if (filters.status === 'undecoded' && log.isDecoded) return false;
+    if (filters.event && log.eventName !== filters.event) return false;
+    if (filters.contract && log.address?.toLowerCase() !== filters.contract) return false;
+    if (search && !getSearchText(log).includes(search)) return false;
+    return true;
+  });
+
+  return filtered.sort((a, b) => (filters.sort === 'desc' ? b.logIndex - a.logIndex : a.logIndex - b.logIndex));
+};
+
+// Helper function to group logs by emitting contract, keeping the order of first appearance.
+// Returns [{ address, logs }]
+export const groupLogsByContract = (logs) => {
+  const groups = new Map();
+  logs.forEach(log => {
+    const address = (log.address || '').toLowerCase();
+    if (!groups.has(address)) groups.set(address, { address: log.address, logs: [] });
+    groups.get(address).logs.push(log);
+  });
+  return Array.from(groups.values());
+};
+
+// Helper function to count logs per event name and per contract, used for the filter options
+export const getLogFilterOptions = (logs) => {
+  const events = {};
+  const contracts = {};
+  logs.forEach(log => {
+    if (log.isDecoded) events[log.eventName] = (events[log.eventName] || 0) + 1;
+    const address = (log.address || '').toLowerCase();
+    if (!contracts[address]) contracts[address] = { address: log.address, count: 0 };
+    contracts[address].count += 1;
+  });
+  return {
+    events: Object.entries(events).sort((a, b) => b[1] - a[1]).map(([name, count]) => ({ name, count })),
+    contracts: Object.values(contracts).sort((a, b) => b.count - a.count),
+  };
+};
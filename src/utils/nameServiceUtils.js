@@ -0,0 +1,191 @@
+// Reverse (address -> name) and forward (name -> address) resolution through the ENS-compatible
+// name services configured in the chain registry (`nameService` of a chain), queried with eth_call
+import { chainsData } from '../data/chains.js';
+import { makeDirectRpcCall } from './blockchainUtils';
+
+const CACHE_STORAGE_KEY = 'nameServiceCache';
+// Resolved names are kept for a day, misses for an hour
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const MISS_CACHE_TTL_MS = 60 * 60 * 1000;
+// At most this many lookups run at once, to stay within public RPC rate limits
+const MAX_CONCURRENT_LOOKUPS = 4;
+
+const REGISTRY_ABI = ['function resolver(bytes32 node) view returns (address)'];
+const RESOLVER_ABI = [
+  'function addr(bytes32 node) view returns (address)',
+  'function name(bytes32 node) view returns (string)'
+];
+
+const pendingLookups = new Map();
+let memoryCache = null;
+let activeLookups = 0;
+const waitingLookups = [];
+
+// Helper function to list the name services configured in the chain registry
+export const getNameServices = () => Object.entries(chainsData)
+  .filter(([, chain]) => chain.nameService?.registry && Array.isArray(chain.rpcUrls) && chain.rpcUrls.length > 0)
+  .map(([chainId, chain]) => ({
+    chainId,
+    chainName: chain.name,
+    name: chain.nameService.name,
+    registry: chain.nameService.registry,
+    rpcUrls: chain.rpcUrls
+  }));
+
+// Helper function to tell whether an input looks like a name (e.g. vitalik.eth) rather than an address
+export const isNameInput = (value) => {
+  const trimmed = (value || '').trim();
+  return trimmed.includes('.') && !trimmed.startsWith('0x') && !/\s/.test(trimmed);
+};
+
+const loadCache = () => {
+  if (memoryCache) return memoryCache;
+  try {
+    memoryCache = JSON.parse(localStorage.getItem(CACHE_STORAGE_KEY) || '{}');
+  } catch (error) {
+    memoryCache = {};
+  }
+  return memoryCache;
+};
+
+const readCache = (key) => {
+  const entry = loadCache()[key];
+  return entry && entry.expires > Date.now() ? entry : null;
+};
+
+const writeCache = (key, value) => {
+  const cache = loadCache();
+  // Drop expired entries so the stored cache does not grow forever
+  Object.keys(cache).forEach(cacheKey => {
+    if (cache[cacheKey].expires <= Date.now()) delete cache[cacheKey];
+  });
+  cache[key] = { value, expires: Date.now() + (value ? CACHE_TTL_MS : MISS_CACHE_TTL_MS) };
+  try {
+    localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(cache));
+  } catch (error) {
+    console.error('Error saving name cache:', error);
+  }
+};
+
+// Run a lookup once a slot is free
+const runLimited = async (task) => {
+  if (activeLookups >= MAX_CONCURRENT_LOOKUPS) {
+    await new Promise(resolve => waitingLookups.push(resolve));
+  }
+  activeLookups++;
+  try {
+    return await task();
+  } finally {
+    activeLookups--;
+    if (waitingLookups.length > 0) waitingLookups.shift()();
+  }
+};
+
+// eth_call against the service's chain, trying its RPCs in order. Reverts resolve to null.
+const callView = async (service, to, abi, method, args) => {
+  const iface = new window.ethers.utils.Interface(abi);
+  const data = iface.encodeFunctionData(method, args);
+  let lastError = null;
+  for (const rpcUrl of service.rpcUrls) {
+    try {
+      const result = await makeDirectRpcCall(rpcUrl, 'eth_call', [{ to, data }, 'latest']);
+      if (!result || result === '0x') return null;
+      return iface.decodeFunctionResult(method, result)[0];
+    } catch (err) {
+      // A revert is an answer (no record), anything else is a reason to try the next RPC
+      if (err.data !== undefined) return null;
+      lastError = err;
+    }
+  }
+  throw lastError;
+};
+
+const getResolver = async (service, node) => {
+  const resolver = await callView(service, service.registry, REGISTRY_ABI, 'resolver', [node]);
+  return resolver && resolver !== window.ethers.constants.AddressZero ? resolver : null;
+};
+
+const forwardResolveWith = async (service, name) => {
+  const node = window.ethers.utils.namehash(name);
+  const resolver = await getResolver(service, node);
+  if (!resolver) return null;
+  const address = await callView(service, resolver, RESOLVER_ABI, 'addr', [node]);
+  return address && address !== window.ethers.constants.AddressZero ? window.ethers.utils.getAddress(address) : null;
+};
+
+const reverseResolveWith = async (service, address) => {
+  const node = window.ethers.utils.namehash(`${address.slice(2).toLowerCase()}.addr.reverse`);
+  const resolver = await getResolver(service, node);
+  if (!resolver) return null;
+  const name = await callView(service, resolver, RESOLVER_ABI, 'name', [node]);
+  if (!name) return null;
+
+  // Reverse records can be set to any name: only trust it when the name resolves back to the address
+  const forward = await forwardResolveWith(service, name);
+  return forward && forward.toLowerCase() === address.toLowerCase() ? name : null;
+};
+
+// Cache and de-duplicate a lookup across all callers
+const cachedLookup = (key, lookup) => {
+  const cached = readCache(key);
+  if (cached) return Promise.resolve(cached.value);
+  if (!pendingLookups.has(key)) {
+    const request = runLimited(lookup)
+      .then(value => {
+        writeCache(key, value);
+        return value;
+      })
+      .catch(error => {
+        // Network failures are not cached so the next render retries
+        console.error('Name service lookup failed:', error);
+        return null;
+      })
+      .finally(() => pendingLookups.delete(key));
+    pendingLookups.set(key, request);
+  }
+  return pendingLookups.get(key);
+};
+
+// Helper function to get the verified primary name of an address.
+// Resolves to { name, service } (service is the name service label, e.g. ENS) or null.
+export const lookupName = (address) => {
+  if (!address || !window.ethers || !window.ethers.utils.isAddress(address)) return Promise.resolve(null);
+  const normalized = address.toLowerCase();
+
+  return cachedLookup(`reverse:${normalized}`, async () => {
+    for (const service of getNameServices()) {
+      const name = await reverseResolveWith(service, normalized);
+      if (name) return { name, service: service.name };
+    }
+    return null;
+  });
+};
+
+// Helper function to resolve a name to a checksummed address, or null when no service knows it
+export const resolveName = (name) => {
+  const normalized = (name || '').trim().toLowerCase();
+  if (!normalized || !window.ethers) return Promise.resolve(null);
+
+  return cachedLookup(`forward:${normalized}`, async () => {
+    for (const service of getNameServices()) {
+      const address = await forwardResolveWith(service, normalized);
+      if (address) return address;
+    }
+    return null;
+  });
+};
+
+// Helper function to turn an address field value (address or name) into a checksummed address.
+// Throws when the value is neither a valid address nor a resolvable name.
+export const resolveAddressInput = async (value) => {
+  const trimmed = (value || '').trim();
+  if (window.ethers.utils.isAddress(trimmed)) {
+    return window.ethers.utils.getAddress(trimmed);
+  }
+  if (isNameInput(trimmed)) {
+    const address = await resolveName(trimmed);
+    if (!address) throw new Error(`Could not resolve the name "${trimmed}"`);
+    return address;
+  }
+  throw new Error(`"${trimmed}" is not a valid address or name`);
+};
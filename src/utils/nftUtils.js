@@ -0,0 +1,125 @@
+// NFT (ERC-721 / ERC-1155) transfers of a transaction, with collection names and token metadata
+// read on-chain (tokenURI / uri) via eth_call
+import { makeDirectRpcCall } from './blockchainUtils';
+import erc721ABI from '../abis/erc721.json';
+import erc1155ABI from '../abis/erc1155.json';
+
+const IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
+const ARWEAVE_GATEWAY = 'https://arweave.net/';
+
+const collectionCache = new Map();
+const metadataCache = new Map();
+
+// Helper function to flatten decoded ERC-721 and ERC-1155 transfer logs into one movement per token ID.
+// Returns [{ standard, contract, logIndex, operator, from, to, tokenId, amount }] with decimal strings.
+export const getNftTransfers = (decodedLogs) => decodedLogs.flatMap(log => {
+  if (!log.isDecoded) return [];
+  const { args } = log;
+  const base = { standard: log.tokenStandard, contract: log.address, logIndex: log.logIndex, from: args.from, to: args.to };
+
+  if (log.eventName === 'Transfer' && log.tokenStandard === 'ERC-721') {
+    return [{ ...base, operator: null, tokenId: args.tokenId, amount: '1' }];
+  }
+  if (log.eventName === 'TransferSingle') {
+    return [{ ...base, operator: args.operator, tokenId: args.id, amount: args.value }];
+  }
+  if (log.eventName === 'TransferBatch') {
+    return (args.ids || []).map((id, index) => ({ ...base, operator: args.operator, tokenId: id, amount: args.values[index] }));
+  }
+  return [];
+});
+
+// Helper function to turn ipfs:// and ar:// URIs into gateway URLs
+export const resolveMetadataUri = (uri) => {
+  if (!uri) return null;
+  if (uri.startsWith('ipfs://')) return `${IPFS_GATEWAY}${uri.slice('ipfs://'.length).replace(/^ipfs\//, '')}`;
+  if (uri.startsWith('ar://')) return `${ARWEAVE_GATEWAY}${uri.slice('ar://'.length)}`;
+  return uri;
+};
+
+// ERC-1155 URIs may contain an {id} placeholder: the token ID as 64 lowercase hex digits
+const substituteTokenId = (uri, tokenId) => uri.replace(
+  /\{id\}/gi,
+  window.ethers.BigNumber.from(tokenId).toHexString().slice(2).padStart(64, '0')
+);
+
+// Read the JSON of an on-chain data: URI or fetch it from its (gateway) URL
+const loadMetadataJson = async (uri) => {
+  if (uri.startsWith('data:')) {
+    const separator = uri.indexOf(',');
+    const header = uri.slice(0, separator);
+    const payload = uri.slice(separator + 1);
+    if (header.includes(';base64')) {
+      const bytes = Uint8Array.from(atob(payload), char => char.charCodeAt(0));
+      return JSON.parse(new TextDecoder().decode(bytes));
+    }
+    try {
+      return JSON.parse(decodeURIComponent(payload));
+    } catch (err) {
+      return JSON.parse(payload);
+    }
+  }
+
+  const response = await fetch(resolveMetadataUri(uri));
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.json();
+};
+
+// eth_call a view function; null when it reverts or returns nothing
+const callView = async (rpcUrl, address, abi, method, args = []) => {
+  const iface = new window.ethers.utils.Interface(abi);
+  try {
+    const result = await makeDirectRpcCall(rpcUrl, 'eth_call', [{ to: address, data: iface.encodeFunctionData(method, args) }, 'latest']);
+    return result && result !== '0x' ? iface.decodeFunctionResult(method, result)[0] : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Helper function to get the name and symbol of an NFT collection ({ name, symbol }, either may be null).
+// ERC-1155 does not standardize them, but many collections implement both.
+export const fetchCollectionInfo = (rpcUrl, contract) => {
+  const key = `${rpcUrl}:${contract.toLowerCase()}`;
+  if (!collectionCache.has(key)) {
+    collectionCache.set(key, Promise.all([
+      callView(rpcUrl, contract, erc721ABI, 'name'),
+      callView(rpcUrl, contract, erc721ABI, 'symbol')
+    ]).then(([name, symbol]) => ({ name, symbol })));
+  }
+  return collectionCache.get(key);
+};
+
+// Helper function to get the metadata of a token from tokenURI (ERC-721) or uri (ERC-1155).
+// Resolves to { uri, name, description, image, error }; `error` is set when the URI or JSON could not be read.
+export const fetchNftMetadata = (rpcUrl, standard, contract, tokenId) => {
+  const key = `${rpcUrl}:${contract.toLowerCase()}:${tokenId}`;
+  if (!metadataCache.has(key)) {
+    const load = async () => {
+      const rawUri = standard === 'ERC-1155'
+        ? await callView(rpcUrl, contract, erc1155ABI, 'uri', [tokenId])
+        : await callView(rpcUrl, contract, erc721ABI, 'tokenURI', [tokenId]);
+      if (!rawUri) {
+        return { uri: null, name: null, description: null, image: null, error: 'No token URI' };
+      }
+
+      const uri = standard === 'ERC-1155' ? substituteTokenId(rawUri, tokenId) : rawUri;
+      try {
+        const metadata = await loadMetadataJson(uri);
+        return {
+          uri,
+          name: metadata.name || null,
+          description: metadata.description || null,
+          image: resolveMetadataUri(metadata.image || metadata.image_url || null),
+          error: null
+        };
+      } catch (err) {
+        // Off-chain metadata is often blocked by CORS or gone; the URI is still worth showing
+        return { uri, name: null, description: null, image: null, error: err.message };
+      }
+    };
+    metadataCache.set(key, load());
+  }
+  return metadataCache.get(key);
+};
@@ -0,0 +1,160 @@
+// Offline decoding of signed raw transactions (legacy, EIP-2930, EIP-1559, EIP-4844 and EIP-7702).
+// Ethers.js is loaded via a script tag in the HTML wrapper, so we access it via `window.ethers`.
+
+export const TRANSACTION_TYPE_NAMES = {
+  0: 'Legacy',
+  1: 'EIP-2930',
+  2: 'EIP-1559',
+  3: 'EIP-4844',
+  4: 'EIP-7702'
+};
+
+// Unsigned fields of each typed transaction, in RLP order (followed by yParity, r, s)
+const TYPED_FIELDS = {
+  1: ['chainId', 'nonce', 'gasPrice', 'gas', 'to', 'value', 'input', 'accessList'],
+  2: ['chainId', 'nonce', 'maxPriorityFeePerGas', 'maxFeePerGas', 'gas', 'to', 'value', 'input', 'accessList'],
+  3: ['chainId', 'nonce', 'maxPriorityFeePerGas', 'maxFeePerGas', 'gas', 'to', 'value', 'input', 'accessList', 'maxFeePerBlobGas', 'blobVersionedHashes'],
+  4: ['chainId', 'nonce', 'maxPriorityFeePerGas', 'maxFeePerGas', 'gas', 'to', 'value', 'input', 'accessList', 'authorizationList']
+};
+
+const LEGACY_FIELDS = ['nonce', 'gasPrice', 'gas', 'to', 'value', 'input'];
+
+// Fields that are RLP-encoded integers and are returned as JSON-RPC quantities
+const QUANTITY_FIELDS = ['chainId', 'nonce', 'gasPrice', 'gas', 'value', 'maxPriorityFeePerGas', 'maxFeePerGas', 'maxFeePerBlobGas'];
+
+// RLP encodes zero as the empty byte string
+const toQuantity = (value) => window.ethers.utils.hexValue(value === '0x' ? '0x00' : value);
+const toNumber = (value) => window.ethers.BigNumber.from(value === '0x' ? 0 : value).toNumber();
+
+// Recover the signer of a digest from an RLP-encoded yParity/r/s triple
+const recoverSigner = (digest, yParity, r, s) => {
+  const { utils } = window.ethers;
+  return utils.recoverAddress(digest, {
+    r: utils.hexZeroPad(utils.hexValue(r === '0x' ? '0x00' : r), 32),
+    s: utils.hexZeroPad(utils.hexValue(s === '0x' ? '0x00' : s), 32),
+    recoveryParam: toNumber(yParity)
+  });
+};
+
+const decodeAccessList = (accessList) => accessList.map(([address, storageKeys]) => ({
+  address: window.ethers.utils.getAddress(address),
+  storageKeys
+}));
+
+// RLP encoding of an integer quantity (zero is the empty byte string)
+const toRlpQuantity = (value) => window.ethers.utils.stripZeros(window.ethers.BigNumber.from(value === '0x' ? 0 : value).toHexString());
+
+// Helper function to recover the authority (signer) of an EIP-7702 authorization tuple.
+// The authority signs keccak256(0x05 || rlp([chainId, address, nonce])). Returns null when recovery fails.
+export const recoverAuthorizationAuthority = ({ chainId, address, nonce, yParity, r, s }) => {
+  const { utils } = window.ethers;
+  try {
+    const digest = utils.keccak256(utils.concat([
+      '0x05',
+      utils.RLP.encode([toRlpQuantity(chainId), address, toRlpQuantity(nonce)])
+    ]));
+    return recoverSigner(digest, yParity, r, s);
+  } catch (err) {
+    console.error('Failed to recover authorization signer:', err);
+    return null;
+  }
+};
+
+const decodeAuthorizationList = (authorizationList) => authorizationList.map(([chainId, address, nonce, yParity, r, s]) => ({
+  chainId: toQuantity(chainId),
+  address: window.ethers.utils.getAddress(address),
+  nonce: toQuantity(nonce),
+  yParity: toQuantity(yParity),
+  r,
+  s,
+  authority: recoverAuthorizationAuthority({ chainId, address, nonce, yParity, r, s })
+}));
+
+// Helper function to decode a signed raw transaction and recover its sender.
+// Returns { transaction, rawTransaction, blobSidecar } where `transaction` has the same shape as
+// eth_getTransactionByHash (without block fields) and `rawTransaction` is the normalized input to broadcast.
+export const decodeRawTransaction = (rawTransaction) => {
+  const { utils } = window.ethers;
+  const raw = rawTransaction.trim().startsWith('0x') ? rawTransaction.trim() : `0x${rawTransaction.trim()}`;
+  if (!utils.isHexString(raw) || raw.length < 4) {
+    throw new Error('Raw transaction must be a hex string');
+  }
+
+  const firstByte = parseInt(raw.slice(2, 4), 16);
+  const type = firstByte >= 0xc0 ? 0 : firstByte;
+  if (!TRANSACTION_TYPE_NAMES[type]) {
+    throw new Error(`Unsupported transaction type 0x${firstByte.toString(16)}`);
+  }
+
+  let fields;
+  let unsignedPayload;
+  // Blob transactions are hashed without their sidecar
+  let hashedPayload = raw;
+  let yParity;
+  let r;
+  let s;
+  let chainId = null;
+  let v;
+  let blobSidecar = null;
+
+  if (type === 0) {
+    const decoded = utils.RLP.decode(raw);
+    if (decoded.length !== 9) throw new Error(`Invalid legacy transaction: expected 9 fields, got ${decoded.length}`);
+    fields = decoded.slice(0, 6);
+    [v, r, s] = decoded.slice(6);
+    const vNumber = toNumber(v);
+    if (vNumber >= 35) {
+      // EIP-155: v = chainId * 2 + 35 + yParity
+      chainId = Math.floor((vNumber - 35) / 2);
+      yParity = vNumber - (chainId * 2 + 35);
+      unsignedPayload = utils.RLP.encode([...fields, utils.hexlify(chainId), '0x', '0x']);
+    } else {
+      yParity = vNumber - 27;
+      unsignedPayload = utils.RLP.encode(fields);
+    }
+    yParity = utils.hexlify(yParity);
+  } else {
+    let decoded = utils.RLP.decode(utils.hexDataSlice(raw, 1));
+    // Blob transactions in network form wrap the payload: [tx, blobs, commitments, proofs]
+    if (type === 3 && Array.isArray(decoded[0])) {
+      blobSidecar = { blobs: decoded[1].length, commitments: decoded[2], proofs: decoded[3] };
+      decoded = decoded[0];
+      hashedPayload = utils.hexlify(utils.concat(['0x03', utils.RLP.encode(decoded)]));
+    }
+
+    const names = TYPED_FIELDS[type];
+    if (decoded.length !== names.length + 3) {
+      throw new Error(`Invalid ${TRANSACTION_TYPE_NAMES[type]} transaction: expected ${names.length + 3} fields, got ${decoded.length}`);
+    }
+    fields = decoded.slice(0, names.length);
+    [yParity, r, s] = decoded.slice(names.length);
+    unsignedPayload = utils.concat([utils.hexlify(type), utils.RLP.encode(fields)]);
+  }
+
+  const names = type === 0 ? LEGACY_FIELDS : TYPED_FIELDS[type];
+  const transaction = { type: toQuantity(utils.hexlify(type)) };
+  names.forEach((name, index) => {
+    const value = fields[index];
+    if (QUANTITY_FIELDS.includes(name)) {
+      transaction[name] = toQuantity(value);
+    } else if (name === 'to') {
+      transaction.to = value === '0x' ? null : utils.getAddress(value);
+    } else if (name === 'accessList') {
+      transaction.accessList = decodeAccessList(value);
+    } else if (name === 'authorizationList') {
+      transaction.authorizationList = decodeAuthorizationList(value);
+    } else {
+      transaction[name] = value;
+    }
+  });
+  if (chainId !== null) transaction.chainId = toQuantity(utils.hexlify(chainId));
+
+  transaction.from = recoverSigner(utils.keccak256(unsignedPayload), yParity, r, s);
+  transaction.hash = utils.keccak256(hashedPayload);
+  transaction.v = type === 0 ? toQuantity(v) : toQuantity(yParity);
+  if (type !== 0) transaction.yParity = toQuantity(yParity);
+  transaction.r = toQuantity(r);
+  transaction.s = toQuantity(s);
+
+  return { transaction, rawTransaction: raw, blobSidecar };
+};
@@ -0,0 +1,267 @@
+// Self-contained investigation report of a transaction, exported as JSON, Markdown or printable HTML
+import { NATIVE_TOKEN_KEY } from './tokenFlowUtils';
+
+const FEE_ITEMS = [
+  ['burnt', 'Burnt (Base Fee × Gas Used)'],
+  ['tip', 'Priority Tip to Block Producer'],
+  ['executionFee', 'Execution Fee (Gas Used × Effective Gas Price)'],
+  ['blobFee', 'Blob Fee (Blob Gas Used × Blob Gas Price)'],
+  ['l1Fee', 'L1 Data Fee'],
+  ['totalFee', 'Total Paid'],
+  ['savings', 'Saved vs. Max Fee'],
+];
+
+const toUsd = (amount, price) => (price ? Number((amount * price).toFixed(6)) : null);
+
+// Serialize decoded values (ethers BigNumbers, bigints) to plain JSON
+const toPlain = (value) => JSON.parse(JSON.stringify(value ?? null, (key, item) => {
+  if (typeof item === 'bigint') return item.toString();
+  if (item && item.type === 'BigNumber' && item.hex) return window.ethers.BigNumber.from(item.hex).toString();
+  return item;
+}));
+
+// Helper function to assemble the report of a loaded transaction.
+// `getHistoricalPrice(address)` returns the USD price at the block time (or null), `nativePrice` the
+// current USD price of the coin fees are paid in (priced by the chain's `nativeGeckoId`).
+export const buildTransactionReport = ({
+  rpcUrl,
+  chainId,
+  chainName,
+  nativeSymbol = 'ETH',
+  nativeTokenAddress = null,
+  transaction,
+  receipt,
+  block,
+  structuredTransaction,
+  structuredReceipt,
+  structuredBlock,
+  decodedInput,
+  decodedLogs = [],
+  balanceChanges = [],
+  tokenData = {},
+  getHistoricalPrice = () => null,
+  feeBreakdown = null,
+  nativePrice = null,
+}) => {
+  const { utils } = window.ethers;
+  const nativeToken = nativeTokenAddress ? tokenData[nativeTokenAddress.toLowerCase()] : null;
+  const currentNativePrice = nativePrice || nativeToken?.price || null;
+  const nativePriceThen = nativeTokenAddress ? getHistoricalPrice(nativeTokenAddress) : null;
+
+  const describeToken = (token) => {
+    if (token === NATIVE_TOKEN_KEY) {
+      return { symbol: nativeSymbol, decimals: 18, priceNow: currentNativePrice, priceThen: nativePriceThen };
+    }
+    const info = tokenData[token];
+    return {
+      symbol: info?.symbol?.toUpperCase() || null,
+      decimals: info?.decimals ?? null,
+      priceNow: info?.price || null,
+      priceThen: getHistoricalPrice(token),
+    };
+  };
+
+  const tokenFlows = balanceChanges.map(entry => ({
+    address: entry.address,
+    isSender: entry.isSender,
+    isIntermediate: entry.isIntermediate,
+    changes: entry.changes.map(change => {
+      const { symbol, decimals, priceNow, priceThen } = describeToken(change.token);
+      const amount = decimals !== null ? parseFloat(utils.formatUnits(change.delta, decimals)) : null;
+      return {
+        token: change.token,
+        symbol,
+        rawDelta: change.delta,
+        amount,
+        usdThen: amount !== null ? toUsd(amount, priceThen) : null,
+        usdNow: amount !== null ? toUsd(amount, priceNow) : null,
+      };
+    }),
+  }));
+
+  const fees = feeBreakdown
+    ? {
+        nativeSymbol,
+        nativePrice: currentNativePrice,
+        gasUsed: feeBreakdown.gasUsed,
+        effectiveGasPrice: feeBreakdown.effectiveGasPrice,
+        baseFeePerGas: feeBreakdown.baseFeePerGas,
+        items: FEE_ITEMS
+          .filter(([key]) => feeBreakdown[key] !== null)
+          .map(([key, label]) => {
+            const amount = parseFloat(utils.formatEther(feeBreakdown[key]));
+            return { key, label, wei: feeBreakdown[key], amount, usd: toUsd(amount, currentNativePrice) };
+          }),
+      }
+    : null;
+
+  // The block's transaction list can be huge and is not needed for the report
+  const { transactions: blockTransactions, ...blockWithoutTransactions } = block || {};
+
+  return {
+    generatedAt: new Date().toISOString(),
+    hash: transaction.hash,
+    chain: { chainId: String(chainId), name: chainName || null, rpcUrl },
+    status: receipt ? (parseInt(receipt.status, 16) === 1 ? 'Success' : 'Failed') : 'Pending',
+    transaction: toPlain(structuredTransaction),
+    receipt: toPlain(structuredReceipt),
+    block: toPlain(structuredBlock),
+    decodedInput: toPlain(decodedInput),
+    decodedLogs: toPlain(decodedLogs.map(log => (log.isDecoded
+      ? { logIndex: log.logIndex, address: log.address, event: log.eventSignature, args: log.args }
+      : { logIndex: log.logIndex, address: log.address, topics: log.topics, data: log.data }))),
+    tokenFlows,
+    fees,
+    raw: {
+      transaction: toPlain(transaction),
+      receipt: toPlain(receipt),
+      block: block ? { ...toPlain(blockWithoutTransactions), transactionCount: blockTransactions?.length ?? null } : null,
+    },
+  };
+};
+
+const formatUsd = (value) => {
+  if (value === null || value === undefined) return '-';
+  // Keep more digits for small amounts (e.g. fees on chains with cheap native coins)
+  const digits = Math.abs(value) < 1 ? 6 : 2;
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: digits })}`;
+};
+const formatAmount = (value) => (value === null || value === undefined ? '-' : value.toLocaleString('en-US', { maximumFractionDigits: 8 }));
+const formatValue = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? ''));
+
+// Shared table model used by the Markdown and HTML renderers: [{ title, headers, rows }]
+const buildSections = (report) => {
+  const sections = [];
+  const entries = (object) => Object.entries(object || {}).map(([key, value]) => [key, formatValue(value)]);
+
+  sections.push({
+    title: 'Overview',
+    headers: ['Field', 'Value'],
+    rows: [
+      ['Hash', report.hash],
+      ['Status', report.status],
+      ['Chain', `${report.chain.name || 'Unknown'} (${report.chain.chainId})`],
+      ['RPC', report.chain.rpcUrl],
+      ...entries(report.transaction),
+    ],
+  });
+  if (report.receipt) sections.push({ title: 'Receipt', headers: ['Field', 'Value'], rows: entries(report.receipt) });
+  if (report.block) sections.push({ title: 'Block', headers: ['Field', 'Value'], rows: entries(report.block) });
+
+  if (report.decodedInput) {
+    sections.push({
+      title: `Decoded Input: ${report.decodedInput.functionSignature}`,
+      headers: ['Parameter', 'Value'],
+      rows: entries(report.decodedInput.decodedParameters),
+    });
+  }
+
+  sections.push({
+    title: `Event Logs (${report.decodedLogs.length})`,
+    headers: ['#', 'Contract', 'Event', 'Arguments / Data'],
+    rows: report.decodedLogs.map(log => [
+      String(log.logIndex),
+      log.address,
+      log.event || `unknown (${log.topics?.[0] || 'no topics'})`,
+      log.event ? formatValue(log.args) : log.data,
+    ]),
+  });
+
+  sections.push({
+    title: 'Token Flows',
+    headers: ['Address', 'Token', 'Amount', 'USD then', 'USD now'],
+    rows: report.tokenFlows.flatMap(entry => entry.changes.map(change => [
+      entry.address,
+      change.symbol || change.token,
+      change.amount !== null ? `${change.amount > 0 ? '+' : ''}${formatAmount(change.amount)}` : `${change.rawDelta} (raw)`,
+      formatUsd(change.usdThen),
+      formatUsd(change.usdNow),
+    ])),
+  });
+
+  if (report.fees) {
+    sections.push({
+      title: 'Fee Breakdown',
+      headers: ['Item', report.fees.nativeSymbol, 'USD (current price)'],
+      rows: report.fees.items.map(item => [item.label, formatAmount(item.amount), formatUsd(item.usd)]),
+    });
+  }
+
+  return sections;
+};
+
+// Escape a value for a Markdown table cell
+const escapeMarkdownCell = (value) => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+// Helper function to render a report as Markdown (tables per section)
+export const reportToMarkdown = (report) => {
+  const lines = [
+    `# Transaction Report`,
+    '',
+    `\`${report.hash}\``,
+    '',
+    `Generated ${report.generatedAt}`,
+  ];
+
+  buildSections(report).forEach(section => {
+    lines.push('', `## ${section.title}`, '');
+    if (section.rows.length === 0) {
+      lines.push('_None_');
+      return;
+    }
+    lines.push(`| ${section.headers.join(' | ')} |`);
+    lines.push(`| ${section.headers.map(() => '---').join(' | ')} |`);
+    section.rows.forEach(row => lines.push(`| ${row.map(escapeMarkdownCell).join(' | ')} |`));
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const REPORT_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 2rem; font-size: 12px; }
+  h1 { font-size: 20px; margin-bottom: 0.25rem; }
+  h2 { font-size: 15px; margin: 1.5rem 0 0.5rem; border-bottom: 1px solid #d1d5db; padding-bottom: 0.25rem; }
+  .meta { color: #6b7280; margin-bottom: 1rem; }
+  code, td { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; word-break: break-all; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #e5e7eb; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; font-family: inherit; }
+  .empty { color: #6b7280; font-style: italic; }
+  @media print {
+    body { margin: 0; }
+    h2 { break-after: avoid; }
+    tr { break-inside: avoid; }
+  }
+`;
+
+// Helper function to render a report as a standalone, print-optimized HTML document
+export const reportToHtml = (report) => {
+  const sections = buildSections(report).map(section => {
+    const table = section.rows.length === 0
+      ? '<p class="empty">None</p>'
+      : `<table><thead><tr>${section.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`
+        + `<tbody>${section.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+    return `<h2>${escapeHtml(section.title)}</h2>${table}`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Transaction Report ${escapeHtml(report.hash)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>Transaction Report</h1>
+<div class="meta"><code>${escapeHtml(report.hash)}</code><br>Generated ${escapeHtml(report.generatedAt)}</div>
+${sections}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,143 @@
+// Revert reason decoding for failed transactions
+import { makeDirectRpcCall } from './blockchainUtils';
+import { getCustomAbi } from './customAbiUtils';
+import { decodeInputWithSignatures } from './signatureUtils';
+
+// Selectors of the built-in Solidity errors
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Panic codes emitted by the Solidity compiler (>= 0.8.0)
+export const PANIC_CODES = {
+  0x00: 'Generic compiler inserted panic',
+  0x01: 'Assertion failed (assert)',
+  0x11: 'Arithmetic overflow or underflow',
+  0x12: 'Division or modulo by zero',
+  0x21: 'Conversion to an invalid enum value',
+  0x22: 'Incorrectly encoded storage byte array',
+  0x31: 'pop() on an empty array',
+  0x32: 'Array index out of bounds',
+  0x41: 'Out of memory (too large allocation)',
+  0x51: 'Call to an uninitialized internal function',
+};
+
+// Convert decoded ethers values into plain strings for rendering
+const formatErrorArg = (value) => {
+  if (window.ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatErrorArg);
+  }
+  return value;
+};
+
+// Try to decode a custom error with the given ABI
+const parseCustomError = (data, abi) => {
+  try {
+    const iface = new window.ethers.utils.Interface(abi);
+    const parsed = iface.parseError(data);
+    const args = {};
+    parsed.errorFragment.inputs.forEach((param, index) => {
+      args[param.name || `arg${index}`] = formatErrorArg(parsed.args[index]);
+    });
+    return {
+      name: parsed.name,
+      signature: parsed.errorFragment.format(),
+      args,
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Decode revert data as Error(string), Panic(uint256) or a custom error.
+// Custom errors are looked up in the contract's custom ABI, then `abis`, then the signature database.
+export const decodeRevertData = (data, abis, contract = {}) => {
+  if (!data || data === '0x') {
+    return { type: 'empty', message: 'Reverted without a reason' };
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [reason] = window.ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`);
+      return { type: 'error', signature: 'Error(string)', message: reason };
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const [code] = window.ethers.utils.defaultAbiCoder.decode(['uint256'], `0x${data.slice(10)}`);
+      const codeNumber = code.toNumber();
+      return {
+        type: 'panic',
+        signature: 'Panic(uint256)',
+        code: `0x${codeNumber.toString(16).padStart(2, '0')}`,
+        message: PANIC_CODES[codeNumber] || 'Unknown panic code',
+      };
+    }
+  } catch (error) {
+    return { type: 'unknown', message: 'Malformed revert data', data };
+  }
+
+  const customAbi = getCustomAbi(contract.chainId, contract.address);
+  const customError = (customAbi && parseCustomError(data, customAbi)) || parseCustomError(data, abis);
+  if (customError) {
+    return { type: 'custom', message: customError.name, ...customError };
+  }
+
+  // Error selectors share the 4-byte format of function selectors
+  const match = decodeInputWithSignatures(data).find(candidate => candidate.clean);
+  if (match) {
+    return {
+      type: 'custom',
+      message: match.decoded.functionName,
+      name: match.decoded.functionName,
+      signature: match.decoded.functionSignature,
+      args: match.decoded.decodedParameters,
+      source: 'signature-database',
+    };
+  }
+
+  return { type: 'unknown', message: `Unknown error selector ${selector}`, data };
+};
+
+// Pull the revert data out of a JSON-RPC error (nodes return it as a string or nested object)
+export const extractRevertData = (error) => {
+  const candidates = [error?.data, error?.data?.data, error?.data?.result];
+  const hexData = candidates.find(value => typeof value === 'string' && /^0x[0-9a-fA-F]*$/.test(value));
+  if (hexData) return hexData;
+
+  // Some nodes only put the data in the message, e.g. "execution reverted: 0x08c379a0..."
+  const match = (error?.message || '').match(/0x[0-9a-fA-F]{8,}/);
+  return match ? match[0] : null;
+};
+
+// Replay a transaction with eth_call against the state of its parent block.
+// Earlier transactions in the same block are not applied, so the result can differ from the original run.
+export const replayTransaction = async (rpcUrl, tx, blockNumber) => {
+  const call = {
+    from: tx.from,
+    to: tx.to,
+    value: tx.value,
+    data: tx.input,
+    gas: tx.gas,
+  };
+  const parentBlock = `0x${(blockNumber - 1).toString(16)}`;
+
+  try {
+    const output = await makeDirectRpcCall(rpcUrl, 'eth_call', [call, parentBlock]);
+    return { reverted: false, output, block: blockNumber - 1 };
+  } catch (error) {
+    // Network/HTTP failures carry no JSON-RPC error code
+    if (error.code === undefined) {
+      throw error;
+    }
+    return {
+      reverted: true,
+      revertData: extractRevertData(error),
+      rpcMessage: error.message,
+      block: blockNumber - 1,
+    };
+  }
+};
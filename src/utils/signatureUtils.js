@@ -0,0 +1,215 @@
+// Signature database lookups and candidate decoding for selectors/topics that no bundled ABI knows
+import { functionSignatures, eventSignatures } from '../data/signatures';
+
+const CUSTOM_SIGNATURES_KEY = 'customSignatures';
+
+// Helper functions for local storage
+export const getStoredSignatures = () => {
+  try {
+    const stored = localStorage.getItem(CUSTOM_SIGNATURES_KEY);
+    const parsed = stored ? JSON.parse(stored) : {};
+    return {
+      functions: parsed.functions || [],
+      events: parsed.events || [],
+    };
+  } catch (error) {
+    console.error('Error loading stored signatures:', error);
+    return { functions: [], events: [] };
+  }
+};
+
+const saveSignaturesToStorage = (signatures) => {
+  try {
+    localStorage.setItem(CUSTOM_SIGNATURES_KEY, JSON.stringify(signatures));
+  } catch (error) {
+    console.error('Error saving signatures:', error);
+  }
+};
+
+// Parse "transfer(address,uint256)", "function transfer(address to, uint256 amount)" or
+// "event Transfer(address indexed from, ...)" into a canonical text signature
+export const parseTextSignature = (text) => {
+  if (!window.ethers) {
+    throw new Error('Ethers.js not loaded');
+  }
+
+  const trimmed = (text || '').trim().replace(/;$/, '');
+  if (!trimmed) {
+    throw new Error('Please enter a signature');
+  }
+
+  const isEvent = trimmed.startsWith('event ');
+  const source = isEvent || trimmed.startsWith('function ') ? trimmed : `function ${trimmed}`;
+
+  try {
+    const fragment = window.ethers.utils.Fragment.from(source);
+    const signature = fragment.format();
+    return {
+      kind: isEvent ? 'event' : 'function',
+      signature,
+      hash: isEvent
+        ? window.ethers.utils.id(signature)
+        : window.ethers.utils.id(signature).slice(0, 10),
+    };
+  } catch (error) {
+    throw new Error(`Invalid signature: ${error.reason || error.message}`);
+  }
+};
+
+// Add a signature to the local database
+export const addCustomSignature = (text) => {
+  const parsed = parseTextSignature(text);
+  const stored = getStoredSignatures();
+  const list = parsed.kind === 'event' ? stored.events : stored.functions;
+
+  if (!list.includes(parsed.signature)) {
+    list.push(parsed.signature);
+    saveSignaturesToStorage(stored);
+  }
+
+  return parsed;
+};
+
+// Remove a signature from the local database
+export const removeCustomSignature = (signature) => {
+  const stored = getStoredSignatures();
+  saveSignaturesToStorage({
+    functions: stored.functions.filter(item => item !== signature),
+    events: stored.events.filter(item => item !== signature),
+  });
+};
+
+// Look up all candidate text signatures for a 4-byte selector.
+// `storedSignatures` defaults to the signatures saved in this browser.
+export const lookupFunctionSignatures = (selector, storedSignatures = getStoredSignatures()) => {
+  if (!selector || !window.ethers) return [];
+  const key = selector.toLowerCase();
+  const local = storedSignatures.functions.filter(sig => window.ethers.utils.id(sig).slice(0, 10) === key);
+  return Array.from(new Set([...(functionSignatures[key] || []), ...local]));
+};
+
+// Look up all candidate text signatures for an event topic0
+export const lookupEventSignatures = (topic0) => {
+  if (!topic0 || !window.ethers) return [];
+  const key = topic0.toLowerCase();
+  const local = getStoredSignatures().events.filter(sig => window.ethers.utils.id(sig) === key);
+  return Array.from(new Set([...(eventSignatures[key] || []), ...local]));
+};
+
+// Convert decoded values into plain strings/arrays for rendering
+const formatValue = (value) => {
+  if (window.ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatValue);
+  }
+  return value;
+};
+
+// Try every candidate signature for some calldata.
+// A candidate is "clean" when the arguments re-encode to exactly the same bytes.
+export const decodeInputWithSignatures = (input, storedSignatures = getStoredSignatures()) => {
+  if (!input || input.length < 10 || !window.ethers) return [];
+
+  const selector = input.slice(0, 10);
+  const argsData = `0x${input.slice(10)}`;
+
+  return lookupFunctionSignatures(selector, storedSignatures).map(signature => {
+    try {
+      const fragment = window.ethers.utils.Fragment.from(`function ${signature}`);
+      const values = window.ethers.utils.defaultAbiCoder.decode(fragment.inputs, argsData);
+      const reencoded = window.ethers.utils.defaultAbiCoder.encode(fragment.inputs, values);
+
+      const decodedParameters = {};
+      fragment.inputs.forEach((param, index) => {
+        decodedParameters[param.name || `param${index}`] = formatValue(values[index]);
+      });
+
+      return {
+        signature,
+        clean: reencoded.toLowerCase() === argsData.toLowerCase(),
+        decoded: {
+          functionName: fragment.name,
+          functionSignature: fragment.format(),
+          decodedParameters,
+        },
+        error: null,
+      };
+    } catch (error) {
+      return { signature, clean: false, decoded: null, error: error.reason || error.message };
+    }
+  });
+};
+
+// All ways of choosing `count` indexed parameters out of `total`
+const indexedCombinations = (total, count, start = 0) => {
+  if (count === 0) return [[]];
+  const combinations = [];
+  for (let i = start; i <= total - count; i++) {
+    indexedCombinations(total, count - 1, i + 1).forEach(rest => combinations.push([i, ...rest]));
+  }
+  return combinations;
+};
+
+// Try every candidate event signature for a log. Text signatures do not say which
+// parameters are indexed, so every placement matching the topic count is tried.
+export const decodeLogWithSignatures = (log) => {
+  if (!log || !log.topics || log.topics.length === 0 || !window.ethers) return [];
+
+  const indexedCount = log.topics.length - 1;
+  const candidates = [];
+
+  lookupEventSignatures(log.topics[0]).forEach(signature => {
+    const base = window.ethers.utils.Fragment.from(`event ${signature}`);
+    if (indexedCount > base.inputs.length) {
+      candidates.push({ signature, clean: false, decoded: null, error: 'Too many topics for this signature' });
+      return;
+    }
+
+    const decodedCandidates = [];
+    let lastError = null;
+    indexedCombinations(base.inputs.length, indexedCount).forEach(indexedPositions => {
+      try {
+        const fragment = window.ethers.utils.EventFragment.fromObject({
+          type: 'event',
+          name: base.name,
+          anonymous: false,
+          inputs: base.inputs.map((param, index) => ({
+            ...JSON.parse(param.format('json')),
+            name: `arg${index}`,
+            indexed: indexedPositions.includes(index),
+          })),
+        });
+        const iface = new window.ethers.utils.Interface([fragment]);
+        const values = iface.decodeEventLog(fragment, log.data, log.topics);
+
+        const dataParams = fragment.inputs.filter(param => !param.indexed);
+        const dataValues = dataParams.map(param => values[param.name]);
+        const reencoded = window.ethers.utils.defaultAbiCoder.encode(dataParams, dataValues);
+
+        const args = {};
+        fragment.inputs.forEach((param, index) => {
+          args[param.name || `arg${index}`] = formatValue(values[index]);
+        });
+
+        decodedCandidates.push({
+          signature: fragment.format('minimal').replace(/^event /, ''),
+          clean: reencoded.toLowerCase() === (log.data || '0x').toLowerCase(),
+          decoded: { eventName: fragment.name, args },
+          error: null,
+        });
+      } catch (error) {
+        lastError = error.reason || error.message;
+      }
+    });
+
+    if (decodedCandidates.length > 0) {
+      candidates.push(...decodedCandidates);
+    } else {
+      candidates.push({ signature, clean: false, decoded: null, error: lastError });
+    }
+  });
+
+  return candidates;
+};
@@ -0,0 +1,73 @@
+// Simulation of unsigned calls against a block: eth_call, eth_estimateGas and debug_traceCall
+import { makeDirectRpcCall } from './blockchainUtils';
+import { extractRevertData } from './revertUtils';
+import { traceCall } from './traceUtils';
+
+const NAMED_BLOCK_TAGS = ['latest', 'pending', 'earliest', 'safe', 'finalized'];
+
+// Helper function to turn a block input (named tag, decimal or hex number) into an RPC block tag
+export const normalizeBlockTag = (input) => {
+  const trimmed = (input || '').trim().toLowerCase();
+  if (!trimmed) return 'latest';
+  if (NAMED_BLOCK_TAGS.includes(trimmed)) return trimmed;
+  if (/^\d+$/.test(trimmed)) return `0x${parseInt(trimmed, 10).toString(16)}`;
+  if (/^0x[0-9a-f]+$/.test(trimmed)) return trimmed;
+  throw new Error(`"${input}" is not a block number or tag (${NAMED_BLOCK_TAGS.join(', ')})`);
+};
+
+// Helper function to convert a parameter typed into a form into a value ethers can encode.
+// Arrays and tuples are entered as JSON, booleans as true/false.
+export const parseParameterValue = (type, text) => {
+  const value = (text || '').trim();
+  if (type.endsWith(']') || type.startsWith('tuple')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Parameter of type ${type} must be JSON, e.g. ["0x...", "0x..."]`);
+    }
+  }
+  if (type === 'bool') return value === 'true' || value === '1';
+  return value;
+};
+
+// Helper function to build the JSON-RPC call object; `value` is in wei (decimal string or BigNumber)
+export const buildSimulationCall = ({ from, to, value, data }) => {
+  const call = { to };
+  if (from) call.from = from;
+  if (value && !window.ethers.BigNumber.from(value).isZero()) {
+    call.value = window.ethers.BigNumber.from(value).toHexString();
+  }
+  if (data && data !== '0x') call.data = data;
+  return call;
+};
+
+// Helper function to run eth_call, eth_estimateGas and debug_traceCall in parallel.
+// Returns {
+//   call: { reverted, output, revertData, rpcMessage },
+//   gasEstimate: { gas, error },
+//   trace: { source, root, logs } | null, traceError
+// }
+export const simulateCall = async (rpcUrl, call, blockTag = 'latest') => {
+  const [callResult, gasEstimate, traceResult] = await Promise.all([
+    makeDirectRpcCall(rpcUrl, 'eth_call', [call, blockTag]).then(
+      output => ({ reverted: false, output, revertData: null, rpcMessage: null }),
+      error => {
+        // Only execution reverts are a simulation result; network, HTTP and other RPC errors are rethrown
+        const revertData = extractRevertData(error);
+        if (error.code !== 3 && !revertData && !/revert/i.test(error.message || '')) throw error;
+        return { reverted: true, output: null, revertData, rpcMessage: error.message };
+      }
+    ),
+    makeDirectRpcCall(rpcUrl, 'eth_estimateGas', [call, blockTag]).then(
+      gas => ({ gas: parseInt(gas, 16), error: null }),
+      error => ({ gas: null, error: error.message })
+    ),
+    // Only nodes with the debug namespace support tracing calls
+    traceCall(rpcUrl, call, blockTag).then(
+      trace => ({ trace, error: null }),
+      error => ({ trace: null, error: error.message })
+    ),
+  ]);
+
+  return { call: callResult, gasEstimate, trace: traceResult.trace, traceError: traceResult.error };
+};
@@ -0,0 +1,202 @@
+// Uniswap V2/V3 swap recognition from decoded Swap events
+import {
+  makeMulticall,
+  generateCallData,
+  createERC20InfoCalls,
+  DEFAULT_MULTICALL3_ADDRESS
+} from './blockchainUtils';
+
+// token0()/token1() are shared by Uniswap V2 pairs and V3 pools
+const POOL_TOKENS_ABI = [
+  { "inputs": [], "name": "token0", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" },
+  { "inputs": [], "name": "token1", "outputs": [{ "internalType": "address", "name": "", "type": "address" }], "stateMutability": "view", "type": "function" },
+];
+
+// Pool tokens and token metadata never change, so they are cached per RPC
+const poolCache = {};
+const tokenCache = {};
+
+// Helper function to pick the Uniswap V2/V3 Swap events out of decoded logs.
+// Amounts are normalized to the pool's perspective: positive = paid into the pool.
+export const extractSwapEvents = (decodedLogs = []) => {
+  if (!window.ethers) return [];
+  const { BigNumber } = window.ethers;
+
+  return decodedLogs
+    .filter(log => log.isDecoded && log.eventName === 'Swap')
+    .map(log => {
+      const { args } = log;
+
+      if (args.amount0In !== undefined) {
+        return {
+          protocol: 'Uniswap V2',
+          pool: log.address.toLowerCase(),
+          logIndex: log.logIndex,
+          sender: args.sender,
+          recipient: args.to,
+          amount0: BigNumber.from(args.amount0In).sub(args.amount0Out).toString(),
+          amount1: BigNumber.from(args.amount1In).sub(args.amount1Out).toString(),
+        };
+      }
+
+      if (args.sqrtPriceX96 !== undefined) {
+        return {
+          protocol: 'Uniswap V3',
+          pool: log.address.toLowerCase(),
+          logIndex: log.logIndex,
+          sender: args.sender,
+          recipient: args.recipient,
+          amount0: BigNumber.from(args.amount0).toString(),
+          amount1: BigNumber.from(args.amount1).toString(),
+        };
+      }
+
+      return null;
+    })
+    .filter(Boolean);
+};
+
+// Fetch token0/token1 of every pool and symbol/decimals of their tokens with Multicall3.
+// Returns { pools: { [pool]: { token0, token1 } }, tokens: { [token]: { symbol, decimals } } }
+export const fetchPoolTokens = async (rpcUrl, pools, multicallAddress = DEFAULT_MULTICALL3_ADDRESS) => {
+  const poolKey = (pool) => `${rpcUrl}-${pool.toLowerCase()}`;
+
+  const missingPools = pools.filter(pool => !poolCache[poolKey(pool)]);
+  if (missingPools.length > 0) {
+    const calls = missingPools.flatMap(pool => ['token0', 'token1'].map(methodName => ({
+      target: pool,
+      callData: generateCallData(POOL_TOKENS_ABI, methodName, []),
+      abi: POOL_TOKENS_ABI,
+      methodName,
+      parameters: [],
+    })));
+    const { results } = await makeMulticall(rpcUrl, multicallAddress, calls);
+
+    missingPools.forEach((pool, index) => {
+      const token0 = results[index * 2];
+      const token1 = results[index * 2 + 1];
+      if (token0.success && token1.success) {
+        poolCache[poolKey(pool)] = {
+          token0: token0.result[0].toLowerCase(),
+          token1: token1.result[0].toLowerCase(),
+        };
+      }
+    });
+  }
+
+  const poolTokens = {};
+  pools.forEach(pool => {
+    if (poolCache[poolKey(pool)]) poolTokens[pool.toLowerCase()] = poolCache[poolKey(pool)];
+  });
+
+  const tokenKey = (token) => `${rpcUrl}-${token}`;
+  const tokens = Array.from(new Set(Object.values(poolTokens).flatMap(pool => [pool.token0, pool.token1])));
+  const missingTokens = tokens.filter(token => !tokenCache[tokenKey(token)]);
+  if (missingTokens.length > 0) {
+    // createERC20InfoCalls returns name, symbol and decimals calls for each token
+    const calls = missingTokens.flatMap(token => createERC20InfoCalls(token));
+    const { results } = await makeMulticall(rpcUrl, multicallAddress, calls);
+
+    missingTokens.forEach((token, index) => {
+      const symbol = results[index * 3 + 1];
+      const decimals = results[index * 3 + 2];
+      tokenCache[tokenKey(token)] = {
+        symbol: symbol.success && typeof symbol.result[0] === 'string' ? symbol.result[0] : `${token.slice(0, 6)}...${token.slice(-4)}`,
+        decimals: decimals.success ? Number(decimals.result[0]) : null,
+      };
+    });
+  }
+
+  const tokenInfo = {};
+  tokens.forEach(token => {
+    tokenInfo[token] = tokenCache[tokenKey(token)];
+  });
+
+  return { pools: poolTokens, tokens: tokenInfo };
+};
+
+// Format a raw amount with decimals, or leave it in raw units when decimals are unknown
+const toDecimal = (amount, decimals) => (
+  decimals !== null && decimals !== undefined
+    ? parseFloat(window.ethers.utils.formatUnits(amount, decimals))
+    : parseFloat(amount)
+);
+
+// Helper function to turn swap events into "X TOKEN_A -> Y TOKEN_B" descriptions.
+// Swaps whose pool tokens are unknown, or whose amounts do not describe one input and one output, are skipped.
+export const describeSwaps = (swaps, poolInfo) => {
+  const { BigNumber } = window.ethers;
+
+  return swaps
+    .map(swap => {
+      const pool = poolInfo.pools[swap.pool];
+      if (!pool) return null;
+
+      const amount0 = BigNumber.from(swap.amount0);
+      const amount1 = BigNumber.from(swap.amount1);
+      if (amount0.isNegative() === amount1.isNegative()) return null;
+
+      const zeroForOne = !amount0.isNegative();
+      const tokenIn = zeroForOne ? pool.token0 : pool.token1;
+      const tokenOut = zeroForOne ? pool.token1 : pool.token0;
+      const amountIn = (zeroForOne ? amount0 : amount1).abs().toString();
+      const amountOut = (zeroForOne ? amount1 : amount0).abs().toString();
+
+      const tokenInInfo = poolInfo.tokens[tokenIn] || {};
+      const tokenOutInfo = poolInfo.tokens[tokenOut] || {};
+      const amountInDecimal = toDecimal(amountIn, tokenInInfo.decimals);
+      const amountOutDecimal = toDecimal(amountOut, tokenOutInfo.decimals);
+
+      return {
+        ...swap,
+        direction: zeroForOne ? 'token0 → token1' : 'token1 → token0',
+        tokenIn,
+        tokenOut,
+        amountIn,
+        amountOut,
+        tokenInInfo,
+        tokenOutInfo,
+        amountInDecimal,
+        amountOutDecimal,
+        // Units of tokenOut received per unit of tokenIn
+        price: amountInDecimal > 0 ? amountOutDecimal / amountInDecimal : null,
+      };
+    })
+    .filter(Boolean);
+};
+
+// Helper function to chain consecutive swaps (in log order) where each hop spends the previous hop's output token.
+// Returns [{ hops, tokenIn, tokenOut, amountIn, amountOut, ... }]
+export const buildSwapRoutes = (describedSwaps) => {
+  const routes = [];
+  let current = null;
+
+  [...describedSwaps]
+    .sort((a, b) => a.logIndex - b.logIndex)
+    .forEach(swap => {
+      const previous = current?.hops[current.hops.length - 1];
+      if (previous && previous.tokenOut === swap.tokenIn) {
+        current.hops.push(swap);
+      } else {
+        current = { hops: [swap] };
+        routes.push(current);
+      }
+    });
+
+  return routes.map(({ hops }) => {
+    const first = hops[0];
+    const last = hops[hops.length - 1];
+    return {
+      hops,
+      tokenIn: first.tokenIn,
+      tokenOut: last.tokenOut,
+      tokenInInfo: first.tokenInInfo,
+      tokenOutInfo: last.tokenOutInfo,
+      amountIn: first.amountIn,
+      amountOut: last.amountOut,
+      amountInDecimal: first.amountInDecimal,
+      amountOutDecimal: last.amountOutDecimal,
+      price: first.amountInDecimal > 0 ? last.amountOutDecimal / first.amountInDecimal : null,
+    };
+  });
+};
@@ -0,0 +1,140 @@
+// Per-address token balance changes of a transaction, derived from its value and decoded logs
+
+// Key used for the chain's native token in balance change maps
+export const NATIVE_TOKEN_KEY = 'native';
+
+// Helper function to compute the net balance change of every participant of a transaction.
+// Sources: the native `value` (only when the transaction succeeded), ERC20 Transfer logs and
+// WETH-style Deposit/Withdrawal logs. Native transfers made by internal calls emit no logs
+// and are therefore not included.
+// Returns [{ address, changes: [{ token, delta }], isSender, isIntermediate }] where `delta`
+// is a decimal string in raw units and `token` is a lowercase token address or NATIVE_TOKEN_KEY.
+export const computeNetBalanceChanges = ({ transaction, decodedLogs = [], succeeded = true }) => {
+  if (!transaction || !window.ethers) return [];
+
+  const { BigNumber } = window.ethers;
+  const balances = {};
+  const sent = new Set();
+  const received = new Set();
+
+  const addDelta = (address, token, amount) => {
+    if (!address) return;
+    const holder = address.toLowerCase();
+    if (!balances[holder]) balances[holder] = {};
+    balances[holder][token] = (balances[holder][token] || BigNumber.from(0)).add(amount);
+  };
+
+  const move = (from, to, token, amount) => {
+    const value = BigNumber.from(amount || 0);
+    if (value.isZero()) return;
+    addDelta(from, token, value.mul(-1));
+    addDelta(to, token, value);
+    if (from) sent.add(from.toLowerCase());
+    if (to) received.add(to.toLowerCase());
+  };
+
+  if (succeeded && transaction.value && transaction.to) {
+    move(transaction.from, transaction.to, NATIVE_TOKEN_KEY, transaction.value);
+  }
+
+  decodedLogs
+    .filter(log => log.isDecoded)
+    .forEach(log => {
+      const token = log.address.toLowerCase();
+      const { args } = log;
+
+      if (log.eventName === 'Transfer' && args.from && args.to && args.value !== undefined) {
+        move(args.from, args.to, token, args.value);
+      } else if (log.eventName === 'Deposit' && args.dst && args.wad !== undefined) {
+        // Wrapping: native goes into the wrapper contract, wrapped tokens are credited to `dst`
+        move(args.dst, token, NATIVE_TOKEN_KEY, args.wad);
+        move(null, args.dst, token, args.wad);
+      } else if (log.eventName === 'Withdrawal' && args.src && args.wad !== undefined) {
+        // Unwrapping: wrapped tokens of `src` are burned and native is paid out to it
+        move(args.src, null, token, args.wad);
+        move(token, args.src, NATIVE_TOKEN_KEY, args.wad);
+      }
+    });
+
+  const sender = transaction.from.toLowerCase();
+
+  return Object.entries(balances)
+    .map(([address, tokens]) => {
+      const changes = Object.entries(tokens)
+        .filter(([, delta]) => !delta.isZero())
+        .map(([token, delta]) => ({ token, delta: delta.toString() }));
+
+      return {
+        address,
+        changes,
+        isSender: address === sender,
+        // Pools, routers and other hops that both receive and send within the transaction
+        isIntermediate: address !== sender && sent.has(address) && received.has(address),
+      };
+    })
+    .filter(entry => entry.changes.length > 0 || entry.isIntermediate)
+    .sort((a, b) => Number(b.isSender) - Number(a.isSender) || Number(a.isIntermediate) - Number(b.isIntermediate));
+};
+
+// Helper function to build a directed token flow graph of a transaction.
+// Nodes are addresses, edges are individual movements ordered by logIndex (the native
+// transaction value, when present, comes first with logIndex null).
+// Returns { nodes: [{ address, isSender }], edges: [{ id, from, to, token, amount, logIndex, kind }] }
+export const buildTokenFlowGraph = ({ transaction, decodedLogs = [], succeeded = true }) => {
+  if (!transaction || !window.ethers) return { nodes: [], edges: [] };
+
+  const { BigNumber } = window.ethers;
+  const edges = [];
+
+  const addEdge = (from, to, token, amount, logIndex, kind) => {
+    const value = BigNumber.from(amount || 0);
+    if (value.isZero()) return;
+    edges.push({
+      id: `${logIndex ?? 'tx'}-${kind}-${edges.length}`,
+      from: from.toLowerCase(),
+      to: to.toLowerCase(),
+      token,
+      amount: value.toString(),
+      logIndex,
+      kind,
+    });
+  };
+
+  if (succeeded && transaction.value && transaction.to) {
+    addEdge(transaction.from, transaction.to, NATIVE_TOKEN_KEY, transaction.value, null, 'Value');
+  }
+
+  decodedLogs
+    .filter(log => log.isDecoded)
+    .sort((a, b) => a.logIndex - b.logIndex)
+    .forEach(log => {
+      const token = log.address.toLowerCase();
+      const { args } = log;
+
+      if (log.eventName === 'Transfer' && args.from && args.to && args.value !== undefined) {
+        addEdge(args.from, args.to, token, args.value, log.logIndex, 'Transfer');
+      } else if (log.eventName === 'Deposit' && args.dst && args.wad !== undefined) {
+        addEdge(args.dst, token, NATIVE_TOKEN_KEY, args.wad, log.logIndex, 'Deposit');
+      } else if (log.eventName === 'Withdrawal' && args.src && args.wad !== undefined) {
+        addEdge(token, args.src, NATIVE_TOKEN_KEY, args.wad, log.logIndex, 'Withdrawal');
+      }
+    });
+
+  const sender = transaction.from.toLowerCase();
+  const nodes = [];
+  const seen = new Set();
+  const addNode = (address) => {
+    if (seen.has(address)) return;
+    seen.add(address);
+    nodes.push({ address, isSender: address === sender });
+  };
+
+  // Sender first, then addresses in order of first appearance
+  if (edges.some(edge => edge.from === sender || edge.to === sender)) addNode(sender);
+  edges.forEach(edge => {
+    addNode(edge.from);
+    addNode(edge.to);
+  });
+
+  return { nodes, edges };
+};
@@ -0,0 +1,251 @@
+// Transaction tracing helpers (debug_traceTransaction / trace_transaction / debug_traceCall)
+import { makeDirectRpcCall } from './blockchainUtils';
+
+// Normalize a callTracer frame into the shape used by the call trace views
+const normalizeCallFrame = (frame, depth = 0) => ({
+  type: (frame.type || 'CALL').toUpperCase(),
+  from: frame.from,
+  to: frame.to || null,
+  value: frame.value || '0x0',
+  gas: frame.gas || null,
+  gasUsed: frame.gasUsed || null,
+  input: frame.input || '0x',
+  output: frame.output || '0x',
+  error: frame.error || null,
+  revertReason: frame.revertReason || null,
+  depth,
+  calls: (frame.calls || []).map(call => normalizeCallFrame(call, depth + 1)),
+});
+
+// Convert a single Parity-style trace (Erigon/Reth/OpenEthereum) into a call frame
+const parityTraceToFrame = (trace) => {
+  const { action = {}, result = {} } = trace;
+
+  let type;
+  if (trace.type === 'call') {
+    type = (action.callType || 'call').toUpperCase();
+  } else if (trace.type === 'create') {
+    type = (action.creationMethod || 'create').toUpperCase();
+  } else {
+    // 'suicide' / 'selfdestruct' and 'reward' traces
+    type = trace.type === 'suicide' ? 'SELFDESTRUCT' : trace.type.toUpperCase();
+  }
+
+  return {
+    type,
+    from: action.from || action.address,
+    to: trace.type === 'create' ? result?.address || null : action.to || action.refundAddress || null,
+    value: action.value || action.balance || '0x0',
+    gas: action.gas || null,
+    gasUsed: result?.gasUsed || null,
+    input: action.input || action.init || '0x',
+    output: result?.output || result?.code || '0x',
+    error: trace.error || null,
+    revertReason: null,
+    calls: [],
+  };
+};
+
+// Rebuild the nested call tree from the flat trace_transaction list using each traceAddress
+export const buildTreeFromParityTraces = (traces) => {
+  if (!traces || traces.length === 0) return null;
+
+  let root = null;
+  traces.forEach(trace => {
+    const frame = parityTraceToFrame(trace);
+    const path = trace.traceAddress || [];
+
+    if (path.length === 0) {
+      root = { ...frame, depth: 0 };
+      return;
+    }
+
+    let parent = root;
+    for (let i = 0; i < path.length - 1 && parent; i++) {
+      parent = parent.calls[path[i]];
+    }
+    if (parent) {
+      parent.calls[path[path.length - 1]] = { ...frame, depth: path.length };
+    }
+  });
+
+  return root;
+};
+
+// Fetch the call tree of a transaction, preferring the Geth callTracer and
+// falling back to trace_transaction on Erigon/Reth nodes
+export const fetchCallTrace = async (rpcUrl, txHash) => {
+  try {
+    const trace = await makeDirectRpcCall(rpcUrl, 'debug_traceTransaction', [
+      txHash,
+      { tracer: 'callTracer' }
+    ]);
+    return {
+      source: 'debug_traceTransaction',
+      root: normalizeCallFrame(trace),
+    };
+  } catch (debugError) {
+    try {
+      const traces = await makeDirectRpcCall(rpcUrl, 'trace_transaction', [txHash]);
+      const root = buildTreeFromParityTraces(traces);
+      if (!root) {
+        throw new Error('empty trace');
+      }
+      return {
+        source: 'trace_transaction',
+        root,
+      };
+    } catch (traceError) {
+      throw new Error(
+        `This RPC does not support tracing (debug_traceTransaction: ${debugError.message}; trace_transaction: ${traceError.message})`
+      );
+    }
+  }
+};
+
+// Collect the logs of a raw callTracer frame (traced with `withLog`) in emission order, as RPC-style
+// logs. Each log's `position` is the number of subcalls made before it; logs of reverted frames are dropped.
+export const collectCallLogs = (frame) => {
+  const logs = [];
+  const visit = (current) => {
+    if (current.error) return;
+    const frameLogs = current.logs || [];
+    const calls = current.calls || [];
+    const emitLogs = (position) => frameLogs
+      .filter(log => (log.position === undefined ? calls.length : parseInt(log.position, 16)) === position)
+      .forEach(log => logs.push({
+        address: log.address,
+        topics: log.topics || [],
+        data: log.data || '0x',
+        logIndex: `0x${logs.length.toString(16)}`,
+      }));
+
+    calls.forEach((call, index) => {
+      emitLogs(index);
+      visit(call);
+    });
+    emitLogs(calls.length);
+  };
+  if (frame) visit(frame);
+  return logs;
+};
+
+// Trace an unsigned call with the Geth callTracer (debug_traceCall), including emitted logs
+export const traceCall = async (rpcUrl, call, blockTag = 'latest') => {
+  const trace = await makeDirectRpcCall(rpcUrl, 'debug_traceCall', [
+    call,
+    blockTag,
+    { tracer: 'callTracer', tracerConfig: { withLog: true } }
+  ]);
+  return {
+    source: 'debug_traceCall',
+    root: normalizeCallFrame(trace),
+    logs: collectCallLogs(trace),
+  };
+};
+
+// Count all frames in a call tree
+export const countCallFrames = (frame) => {
+  if (!frame) return 0;
+  return 1 + frame.calls.reduce((total, call) => total + countCallFrames(call), 0);
+};
+
+// Fetch the pre/post state of every account touched by a transaction (prestateTracer in diffMode)
+export const fetchStateDiff = async (rpcUrl, txHash) => {
+  try {
+    const diff = await makeDirectRpcCall(rpcUrl, 'debug_traceTransaction', [
+      txHash,
+      { tracer: 'prestateTracer', tracerConfig: { diffMode: true } }
+    ]);
+    return {
+      pre: diff?.pre || {},
+      post: diff?.post || {},
+    };
+  } catch (error) {
+    throw new Error(`This RPC does not support prestateTracer: ${error.message}`);
+  }
+};
+
+const ZERO_WORD = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+// Normalize a 32-byte storage word so that missing and zero values compare equal
+const normalizeWord = (value) => {
+  if (!value) return ZERO_WORD;
+  return window.ethers.utils.hexZeroPad(value, 32).toLowerCase();
+};
+
+// Turn a diffMode result into a per-account list of balance, nonce, code and storage changes.
+// In diffMode the tracer omits zero-valued slots and unchanged fields from `post`, and accounts
+// that are only in `pre` were deleted (SELFDESTRUCT).
+export const summarizeStateDiff = ({ pre, post }) => {
+  const addresses = Array.from(new Set([...Object.keys(pre), ...Object.keys(post)]));
+
+  return addresses.map(address => {
+    const before = pre[address] || {};
+    const after = post[address] || {};
+    const deleted = !(address in post);
+
+    const balanceBefore = before.balance || '0x0';
+    const balanceAfter = deleted ? '0x0' : after.balance || balanceBefore;
+    const nonceBefore = before.nonce || 0;
+    const nonceAfter = deleted ? 0 : after.nonce !== undefined ? after.nonce : nonceBefore;
+
+    const slots = Array.from(new Set([
+      ...Object.keys(before.storage || {}),
+      ...Object.keys(after.storage || {}),
+    ]));
+    const storage = slots
+      .map(slot => ({
+        slot: normalizeWord(slot),
+        before: normalizeWord(before.storage?.[slot]),
+        after: normalizeWord(after.storage?.[slot]),
+      }))
+      .filter(change => change.before !== change.after);
+
+    return {
+      address: address.toLowerCase(),
+      balanceBefore,
+      balanceAfter,
+      balanceChanged: !window.ethers.BigNumber.from(balanceBefore).eq(balanceAfter),
+      nonceBefore,
+      nonceAfter,
+      codeChanged: deleted ? Boolean(before.code && before.code !== '0x') : after.code !== undefined && after.code !== before.code,
+      deleted,
+      storage,
+    };
+  });
+};
+
+// Mapping slot indices commonly used for ERC20 `_balances`
+// (0-10 covers most Solidity layouts, 51 is OpenZeppelin ERC20Upgradeable)
+const BALANCE_MAPPING_SLOTS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 51];
+
+// ERC-7201 namespace of OpenZeppelin v5 ERC20 storage; `_balances` is its first member
+const OZ_ERC20_STORAGE_LOCATION = '0x52c63247e1f47db19d5ce0460030c497f067ca4cebf71ba98eeadabe20bace00';
+
+// Precompute the storage keys of balances[holder] for every token/holder pair, so that
+// changed slots can be matched back to a token balance.
+// Returns { [token]: { [slotKey]: { holder, mappingSlot, layout } } }
+export const buildBalanceSlotIndex = (holdersByToken) => {
+  const { keccak256, defaultAbiCoder } = window.ethers.utils;
+  const index = {};
+
+  Object.entries(holdersByToken).forEach(([token, holders]) => {
+    const tokenIndex = {};
+    holders.forEach(holder => {
+      BALANCE_MAPPING_SLOTS.forEach(mappingSlot => {
+        // Solidity: keccak256(key . slot)
+        const solidityKey = keccak256(defaultAbiCoder.encode(['address', 'uint256'], [holder, mappingSlot]));
+        tokenIndex[solidityKey.toLowerCase()] = { holder, mappingSlot, layout: 'solidity' };
+        // Vyper: keccak256(slot . key)
+        const vyperKey = keccak256(defaultAbiCoder.encode(['uint256', 'address'], [mappingSlot, holder]));
+        tokenIndex[vyperKey.toLowerCase()] = { holder, mappingSlot, layout: 'vyper' };
+      });
+      const namespacedKey = keccak256(defaultAbiCoder.encode(['address', 'bytes32'], [holder, OZ_ERC20_STORAGE_LOCATION]));
+      tokenIndex[namespacedKey.toLowerCase()] = { holder, mappingSlot: 'ERC-7201', layout: 'solidity' };
+    });
+    index[token.toLowerCase()] = tokenIndex;
+  });
+
+  return index;
+};